@@ -1,36 +1,266 @@
 import dotenv from "dotenv";
-import { createAcrossClient } from "@across-protocol/app-sdk";
-import { createWalletClient, http, parseUnits, formatUnits } from "viem";
+import {
+  createAcrossClient,
+  simulateApproveTx,
+  addressToBytes32,
+  getIntegratorDataSuffix,
+} from "@across-protocol/app-sdk";
+import {
+  createWalletClient,
+  http,
+  parseUnits,
+  formatUnits,
+  parseAbi,
+  encodeFunctionData,
+  concat,
+  erc20Abi,
+  parseEventLogs,
+} from "viem";
 import { privateKeyToAccount } from "viem/accounts";
-import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { AsyncLocalStorage } from "async_hooks";
 import axios from "axios";
 import {
   BRIDGE_OPERATIONS,
   THRESHOLDS,
   MONITORING,
+  REBALANCE,
+  ACCOUNTS,
   CHAINS,
   OPTIONS,
 } from "../tools/config.js";
 import {
   getTokenAddress,
+  getConfiguredDecimals,
   getTokenDecimals,
   getChainName,
+  getNativeSymbol,
+  getRpcUrl,
+  getSpokePoolAddress,
+  getExplorerTxUrl,
   describeBridgeOperation,
+  hasOutputTokenChoice,
   createRouteObject,
+  findAvailableRoutes,
+  getSupportedTokensForChain,
 } from "../tools/helper.js";
+import { loadBridgeConfig } from "../tools/configLoader.js";
+import { askForConfirmation } from "../tools/confirm.js";
+import { createNotifier } from "../tools/notifier.js";
+import {
+  isDynamicAmount,
+  resolveAmount,
+  toDecimalString,
+} from "../tools/amounts.js";
+import {
+  resolveRebalanceTargets,
+  computeRebalancePlan,
+} from "../tools/rebalance.js";
+import { getNextRunTime, describeSchedule } from "../tools/schedule.js";
+import { createNonceManager } from "../tools/nonces.js";
+import {
+  createConcurrencyLimiter,
+  runWithConcurrency,
+} from "../tools/parallel.js";
+import { createDepositStore, depositKey } from "../tools/depositStore.js";
+import { createHistoryStore, entryToken } from "../tools/historyStore.js";
+import { createDepositTracker } from "../tools/depositTracker.js";
+import { loadKeystoreAccount } from "../tools/keystore.js";
+import { createExternalSignerAccount } from "../tools/externalSigner.js";
+import { evaluateThresholds } from "../tools/thresholds.js";
+import { createPriceOracle } from "../tools/prices.js";
+import { loadRoutes } from "../tools/routes.js";
+import {
+  createTokenMetadata,
+  TokenMetadataError,
+} from "../tools/tokenMetadata.js";
+import {
+  readBalances,
+  createFundingLedger,
+  checkFunding,
+  applyGasBuffer,
+} from "../tools/preflight.js";
+import {
+  getRetryPolicy,
+  shouldRetry,
+  createRetryScheduler,
+} from "../tools/retry.js";
 
 // Load environment variables
 dotenv.config();
 
-// Initialize private key from environment
-const privateKey = process.env.PRIVATE_KEY;
-if (!privateKey) {
-  console.error("Error: PRIVATE_KEY environment variable is required");
+// Get the value following a command-line flag, e.g. --config bridge.yaml
+function getArgValue(flag) {
+  const index = process.argv.findIndex(
+    (arg) => arg === flag || arg.startsWith(`${flag}=`)
+  );
+  if (index === -1) return undefined;
+
+  const arg = process.argv[index];
+  return arg.includes("=") ? arg.slice(flag.length + 1) : process.argv[index + 1];
+}
+
+// Load the config file (--config or BRIDGE_CONFIG_FILE) and validate the
+// configuration before anything runs
+try {
+  loadBridgeConfig(getArgValue("--config") || process.env.BRIDGE_CONFIG_FILE);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
   process.exit(1);
 }
 
-// Initialize the account
-const account = privateKeyToAccount(`0x${privateKey}`);
+// Hands out nonces per chain so operations running in parallel never collide
+const nonceManager = createNonceManager();
+
+// The account is created on first use so read-only commands work without a key
+let account = null;
+let unlocking = null;
+
+// Accounts backed by external signers, by signer URL and address
+const signerAccounts = new Map();
+
+// External signer used by every operation that does not set its own
+function getDefaultSigner() {
+  const url = process.env.EXTERNAL_SIGNER_URL || OPTIONS.externalSigner?.url;
+  return url ? { ...OPTIONS.externalSigner, url } : null;
+}
+
+// Connect to an external signer once and reuse the account
+function getSignerAccount(signer) {
+  const key = `${signer.url}|${signer.address || ""}`;
+  if (!signerAccounts.has(key)) {
+    const loading = createExternalSignerAccount(signer, { nonceManager });
+    // A failed connection is retried by the next operation that needs it
+    loading.catch(() => signerAccounts.delete(key));
+    signerAccounts.set(key, loading);
+  }
+  return signerAccounts.get(key);
+}
+
+// Keystore to sign with instead of PRIVATE_KEY, if one is configured
+function getKeystoreSource() {
+  const file = process.env.KEYSTORE_FILE || OPTIONS.keystore?.file;
+  return file ? { ...OPTIONS.keystore, file } : null;
+}
+
+// Account for a private key given with or without its 0x prefix
+function privateKeyAccount(privateKey) {
+  return privateKeyToAccount(`0x${privateKey.replace(/^0x/, "")}`, {
+    nonceManager,
+  });
+}
+
+// Named accounts from ACCOUNTS, loaded on first use
+const namedAccounts = new Map();
+
+// Load a named account from its private key variable, keystore or external signer
+function loadNamedAccount(name) {
+  if (!namedAccounts.has(name)) {
+    const settings = ACCOUNTS[name];
+    if (!settings) {
+      return Promise.reject(
+        new Error(`Account ${name} is not defined in ACCOUNTS`)
+      );
+    }
+
+    const loading = (async () => {
+      if (settings.signer) return getSignerAccount(settings.signer);
+      if (settings.keystore) {
+        return loadKeystoreAccount(settings.keystore, { nonceManager });
+      }
+
+      const privateKey = process.env[settings.privateKeyEnv];
+      if (!privateKey) {
+        throw new Error(
+          `${settings.privateKeyEnv} environment variable is required for account ${name}`
+        );
+      }
+      return privateKeyAccount(privateKey);
+    })();
+    // A failed load (e.g. a wrong passphrase) is retried the next time the account is needed
+    loading.catch(() => namedAccounts.delete(name));
+    namedAccounts.set(name, loading);
+  }
+  return namedAccounts.get(name);
+}
+
+// Load the account: the "default" named account, the default external signer, the keystore
+// (which may prompt for its passphrase, so it runs once before anything is signed) or the private key
+export async function unlockAccount() {
+  if (account) return account;
+
+  if (ACCOUNTS.default) {
+    account = await loadNamedAccount("default");
+    return account;
+  }
+
+  const signer = getDefaultSigner();
+  if (signer) {
+    account = await getSignerAccount(signer);
+    logWithTime(`Signing with external signer at ${signer.url}`);
+    return account;
+  }
+
+  const keystore = getKeystoreSource();
+  if (!keystore) return getAccount();
+
+  if (!unlocking) {
+    unlocking = loadKeystoreAccount(keystore, { nonceManager })
+      .then((loaded) => {
+        account = loaded;
+        logWithTime(`Unlocked keystore ${keystore.file}`);
+        return account;
+      })
+      .finally(() => {
+        unlocking = null;
+      });
+  }
+  return unlocking;
+}
+
+// The account to sign with: the running operation's own signer, or else the private
+// key in the environment, or the keystore or external signer once unlockAccount has loaded it
+function getAccount() {
+  const scoped = operationContext.getStore()?.account;
+  if (scoped) return scoped;
+
+  if (!account) {
+    if (ACCOUNTS.default || getDefaultSigner() || getKeystoreSource()) {
+      throw new Error("The account has not been unlocked yet");
+    }
+
+    const privateKey = process.env.PRIVATE_KEY;
+    if (!privateKey) {
+      throw new Error(
+        "PRIVATE_KEY environment variable or a keystore (KEYSTORE_FILE) is required"
+      );
+    }
+    account = privateKeyAccount(privateKey);
+  }
+
+  return account;
+}
+
+// Dry-run mode simulates the approve and deposit calls instead of broadcasting them
+const dryRun =
+  OPTIONS.dryRun ||
+  process.env.DRY_RUN === "true" ||
+  process.argv.includes("--dry-run");
+
+// One-shot runs can exit without waiting for the retries they scheduled
+const waitForRetries =
+  OPTIONS.waitForRetries !== false &&
+  process.env.NO_RETRY_WAIT !== "true" &&
+  !process.argv.includes("--no-retry-wait");
+
+// Offline mode uses the cached Across routes instead of fetching them
+if (
+  process.env.ROUTES_OFFLINE === "true" ||
+  process.argv.includes("--offline")
+) {
+  OPTIONS.routes = { ...OPTIONS.routes, offline: true };
+}
 
 // Initialize Across client with supported chains
 const supportedChains = Object.keys(CHAINS).map((id) => {
@@ -39,7 +269,7 @@ const supportedChains = Object.keys(CHAINS).map((id) => {
     name: CHAINS[id].name,
     rpcUrls: {
       default: {
-        http: [CHAINS[id].rpcUrl],
+        http: [getRpcUrl(id)],
       },
     },
   };
@@ -49,37 +279,156 @@ const client = createAcrossClient({
   chains: supportedChains,
 });
 
+// Where deposit status comes from: the Across API, SpokePool events over RPC, or both
+const statusSource =
+  getArgValue("--status-source") ||
+  process.env.STATUS_SOURCE ||
+  MONITORING.statusSource ||
+  "api";
+if (!["api", "rpc", "auto"].includes(statusSource)) {
+  console.error(
+    `Error: Status source must be api, rpc or auto, got "${statusSource}"`
+  );
+  process.exit(1);
+}
+
+// Follows deposits through SpokePool events when the status API is not used
+const depositTracker = createDepositTracker({
+  getPublicClient: (chainId) => client.getPublicClient(chainId),
+  getSpokePoolAddress,
+  blockRange: MONITORING.logBlockRange,
+});
+
+// USD prices for valuing quotes and checking USD thresholds (OPTIONS.prices)
+const priceOracle = createPriceOracle(OPTIONS.prices, {
+  getPublicClient: (chainId) => client.getPublicClient(chainId),
+  log: (message) => logWithTime(message),
+});
+
+// Token decimals and symbols read from the token contracts
+const tokenMetadata = createTokenMetadata({
+  getPublicClient: (chainId) => client.getPublicClient(chainId),
+});
+
+// ERC-20 functions used for allowance checks and approvals
+const ERC20_ABI = parseAbi([
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+]);
+
+// SpokePool deposit function, used to build calldata for dry runs
+const SPOKE_POOL_DEPOSIT_ABI = parseAbi([
+  "function deposit(bytes32 depositor, bytes32 recipient, bytes32 inputToken, bytes32 outputToken, uint256 inputAmount, uint256 outputAmount, uint256 destinationChainId, bytes32 exclusiveRelayer, uint32 quoteTimestamp, uint32 fillDeadline, uint32 exclusivityParameter, bytes message) payable",
+]);
+
+// Log output stream; the CLI moves logs to stderr when printing JSON
+let logStream = process.stdout;
+
+// Send log output to another stream
+export function setLogStream(stream) {
+  logStream = stream;
+}
+
+// Tracks which operation a log line belongs to, so parallel runs stay readable,
+// and the account that operation signs with
+const operationContext = new AsyncLocalStorage();
+
 // Helper function to log with timestamp
 function logWithTime(message) {
   const now = new Date();
   const timestamp = now.toLocaleTimeString();
-  console.log(`[${timestamp}] ${message}`);
+  const context = operationContext.getStore();
+  // Operations sending from a named account are tagged with it, e.g. "[name @ treasury]"
+  const accountTag =
+    context?.accountName &&
+    context.accountName !== "default" &&
+    ACCOUNTS[context.accountName]
+      ? ` @ ${context.accountName}`
+      : "";
+  const prefix = context ? `[${context.operation}${accountTag}] ` : "";
+  // Keep leading blank lines above the timestamp so the prefix stays on the text
+  const [, breaks, text] = String(message).match(/^(\n*)([\s\S]*)$/);
+  logStream.write(`${breaks}[${timestamp}] ${prefix}${text}\n`);
 }
 
-// Save transaction to history file
-function saveTransactionToHistory(operation, result, quote = null) {
-  if (!OPTIONS.saveHistory) return;
+// History entries recorded during this run
+const runRecords = [];
+
+// Saved transaction history (JSON Lines, converted from the old JSON array on first use)
+const historyStore = createHistoryStore(OPTIONS.historyFile, {
+  log: logWithTime,
+});
 
-  const historyFile = OPTIONS.historyFile;
-  let history = [];
+// Get the history entries recorded during this run
+export function getRunRecords() {
+  return runRecords;
+}
 
-  // Try to read existing history
+// Read the transaction history file
+export function readTransactionHistory() {
   try {
-    if (fs.existsSync(historyFile)) {
-      const data = fs.readFileSync(historyFile, "utf8");
-      history = JSON.parse(data);
-    }
+    return historyStore.read();
   } catch (error) {
     logWithTime(`Warning: Could not read history file: ${error.message}`);
   }
 
+  return [];
+}
+
+// Query the saved transaction history (see filterHistory in tools/historyStore.js)
+export function queryTransactionHistory(filters) {
+  return historyStore.query(filters);
+}
+
+// Deliver notifications to the channels configured in MONITORING.notifications
+const notifier = createNotifier(MONITORING.notifications, logWithTime);
+
+// Deposits that were sent but not yet seen filled, kept on disk across restarts
+const depositStore = createDepositStore(
+  OPTIONS.pendingDepositsFile || "pending_deposits.json"
+);
+
+// List the deposits that are still outstanding
+export function getPendingDeposits() {
+  return depositStore.list();
+}
+
+// Save transaction to history file
+function saveTransactionToHistory(operation, result, quote = null) {
   // Prepare the data - Convert any BigInt values to strings
   const safeOperation = {
     name: operation.name,
     tokenSymbol: operation.tokenSymbol,
+    ...(operation.tokenAddress ? { tokenAddress: operation.tokenAddress } : {}),
+    // Decimals read from the token contract, once the token has been resolved
+    ...(operation.decimals !== undefined && operation.decimals !== null
+      ? { decimals: operation.decimals }
+      : {}),
+    // The token received, when the operation picks one
+    ...(hasOutputTokenChoice(operation)
+      ? {
+          // A token picked by address has no symbol until its contract has been read
+          outputTokenSymbol:
+            operation.outputSymbol ||
+            operation.outputTokenSymbol ||
+            (operation.outputTokenAddress ? undefined : operation.tokenSymbol),
+          ...(operation.outputTokenAddress
+            ? { outputTokenAddress: operation.outputTokenAddress }
+            : {}),
+          ...(operation.useBridged ? { useBridged: true } : {}),
+        }
+      : {}),
     originChainId: Number(operation.originChainId),
     destinationChainId: Number(operation.destinationChainId),
-    inputAmount: operation.inputAmount.toString(),
+    inputAmount:
+      operation.inputAmount === undefined
+        ? null
+        : operation.inputAmount.toString(),
+    ...(operation.recipient ? { recipient: operation.recipient } : {}),
+    ...(operation.amount ? { amount: operation.amount } : {}),
+    ...(operation.amountResolution
+      ? { amountResolution: operation.amountResolution }
+      : {}),
   };
 
   // Convert any potential BigInt values in the result to strings
@@ -89,16 +438,78 @@ function saveTransactionToHistory(operation, result, quote = null) {
     originTxHash: result.originTxHash || null,
     destinationTxHash: result.destinationTxHash || null,
     error: result.error || null,
+    attempt: result.attempt || 1,
+    nextRetryAt: result.nextRetryAt || null,
   };
 
+  // Record how a deposit ended (filled, failed, expired or refunded)
+  if (result.outcome) {
+    safeResult.outcome = result.outcome;
+  }
+  if (result.refundTxHash) {
+    safeResult.refundTxHash = result.refundTxHash;
+    safeResult.refundAmount = result.refundAmount ?? null;
+  }
+
+  // Mark deposits whose tracking was resumed after a restart
+  if (result.resumed) {
+    safeResult.resumed = true;
+  }
+
+  // Record the simulated calls of a dry run
+  if (result.simulation) {
+    safeResult.simulation = result.simulation;
+  }
+
+  // Record the gas used and effective gas price of each origin-chain transaction
+  if (result.gas) {
+    safeResult.gas = result.gas;
+  }
+
+  // Record the USD values of the quote when prices are configured, with the
+  // measured gas in place of the estimate once the transactions are mined
+  const usd = result.usd || operationContext.getStore()?.usd;
+  if (usd) {
+    safeResult.usd = { ...usd };
+    if (result.gas?.usd !== null && result.gas?.usd !== undefined) {
+      safeResult.usd.gas = result.gas.usd;
+      safeResult.usd.totalCost =
+        usd.fees === null ? null : roundUsd(usd.fees + result.gas.usd);
+    }
+  }
+
+  // Record every threshold rule and which ones blocked the operation
+  if (result.thresholdCheck) {
+    safeResult.thresholdCheck = {
+      blockedBy: result.thresholdCheck.blockedBy,
+      checks: result.thresholdCheck.checks.map(
+        ({ rule, value, limit, passed }) => ({ rule, value, limit, passed })
+      ),
+    };
+  }
+
+  // Record balances and gas estimates when the pre-flight check failed
+  if (result.preflight) {
+    safeResult.preflight = result.preflight;
+  }
+
+  // Record both quotes when the quote was refreshed before the deposit
+  if (result.quoteRefresh) {
+    safeResult.quoteRefresh = result.quoteRefresh;
+  }
+
+  // Record the operator's choices when the quote needed confirmation
+  if (result.confirmations && result.confirmations.length > 0) {
+    safeResult.confirmations = result.confirmations;
+  }
+
   // Add output amount if available from quote
   if (quote && quote.deposit && quote.deposit.outputAmount) {
     try {
-      const decimals =
-        operation.decimals || getTokenDecimals(operation.tokenSymbol);
+      const decimals = getOperationDecimals(operation);
       safeResult.outputAmount = formatUnits(
         quote.deposit.outputAmount,
-        decimals
+        getOutputDecimals(operation)
       );
 
       // Calculate fees
@@ -120,16 +531,25 @@ function saveTransactionToHistory(operation, result, quote = null) {
     }
   }
 
-  // Add new transaction with safe values
-  history.push({
+  // Add new transaction with safe values (dry-run entries are tagged as simulations)
+  const context = operationContext.getStore();
+  const entry = {
     timestamp: new Date().toISOString(),
+    ...(dryRun ? { simulation: true } : {}),
+    account: {
+      name: context?.accountName || getAccountName(operation),
+      address: context?.account?.address || operation.depositor || null,
+    },
     operation: safeOperation,
     result: safeResult,
-  });
+  };
+  runRecords.push(entry);
 
-  // Save updated history
+  if (!OPTIONS.saveHistory) return;
+
+  // Append the entry to the history file
   try {
-    fs.writeFileSync(historyFile, JSON.stringify(history, null, 2));
+    historyStore.append(entry);
     if (OPTIONS.verboseLogging) {
       logWithTime(`Transaction saved to history file`);
     }
@@ -138,31 +558,228 @@ function saveTransactionToHistory(operation, result, quote = null) {
   }
 }
 
-// Get a quote for bridging
-async function getQuote(operation) {
+// Routes loaded for the current run or daemon tick, shared by its operations
+let runRoutes = null;
+
+// Load the Across routes (OPTIONS.routes), fetching them again once the cache is stale
+export async function refreshRoutes() {
+  const loading = loadRoutes({ log: (message) => logWithTime(message) });
+  runRoutes = loading;
+  // A failed load is tried again by the next operation
+  loading.catch(() => {
+    if (runRoutes === loading) runRoutes = null;
+  });
+  return loading;
+}
+
+// Routes of the current run, loaded by the first operation that needs them
+function getRunRoutes() {
+  return runRoutes || refreshRoutes();
+}
+
+// Log where the routes in use came from
+function logRoutes(routes) {
+  if (!routes) {
+    logWithTime(`No Across route list; routes are taken from the TOKENS table`);
+    return;
+  }
+  logWithTime(
+    `Using ${routes.count} Across routes (${
+      routes.source === "api"
+        ? "fetched from the API"
+        : `cached ${new Date(routes.fetchedAt).toLocaleString()}`
+    })`
+  );
+}
+
+// Address of an operation's input token on its origin chain
+function getOperationTokenAddress(operation) {
+  return (
+    operation.tokenAddress ||
+    getTokenAddress(operation.tokenSymbol, operation.originChainId)
+  );
+}
+
+// Read an operation's tokens from their contracts. Tokens named by address get their symbol
+// and decimals from the chain; for the others the configured decimals (the operation's
+// own, or TOKEN_DECIMALS) and symbol must match the contract. When the chain cannot be
+// read, configured decimals are used with a warning. The output token is read as well, so
+// quotes for the returned operation need no further lookups.
+export async function resolveOperationToken(operation) {
+  // Route checks use the routes loaded for this run
+  await getRunRoutes();
+
+  const { tokenSymbol, originChainId } = operation;
+  const configuredDecimals =
+    operation.decimals ??
+    (tokenSymbol ? getConfiguredDecimals(tokenSymbol) : null);
+
+  let metadata;
+  try {
+    metadata = await tokenMetadata.resolve({
+      address: getOperationTokenAddress(operation),
+      chainId: originChainId,
+      symbol: tokenSymbol,
+      decimals: configuredDecimals,
+    });
+  } catch (error) {
+    if (error instanceof TokenMetadataError || configuredDecimals === null) {
+      throw new Error(
+        `Could not resolve the token of ${operation.name}: ${
+          error.shortMessage || error.message
+        }`
+      );
+    }
+    logWithTime(
+      `Warning: Could not read ${tokenSymbol} on ${getChainName(
+        originChainId
+      )} (${
+        error.shortMessage || error.message
+      }); using ${configuredDecimals} decimals from the config`
+    );
+    return resolveOutputToken({ ...operation, decimals: configuredDecimals });
+  }
+
+  return resolveOutputToken({
+    ...operation,
+    tokenSymbol: tokenSymbol || metadata.symbol,
+    decimals: metadata.decimals,
+  });
+}
+
+// Describe an operation, reading the symbol of a token named by address from its contract
+// (the description falls back to the address when the chain cannot be read)
+async function describeOperation(operation) {
+  if (operation.tokenSymbol || !operation.tokenAddress) {
+    return describeBridgeOperation(operation);
+  }
   try {
-    const {
-      tokenSymbol,
-      originChainId,
-      destinationChainId,
-      inputAmount,
-      useNativeToken = false,
-    } = operation;
+    const { symbol } = await tokenMetadata.getMetadata(
+      operation.tokenAddress,
+      operation.originChainId
+    );
+    return describeBridgeOperation({
+      ...operation,
+      tokenSymbol: symbol || undefined,
+    });
+  } catch (error) {
+    return describeBridgeOperation(operation);
+  }
+}
+
+// Destination token an operation picks, in the form createRouteObject takes
+function getOutputTokenOptions(operation) {
+  return {
+    tokenSymbol: operation.outputTokenSymbol,
+    tokenAddress: operation.outputTokenAddress,
+    useBridged: operation.useBridged,
+  };
+}
 
-    // Get decimals for the token
-    const decimals = operation.decimals || getTokenDecimals(tokenSymbol);
+// Route of an operation, with the output token it picks
+function getOperationRoute(operation) {
+  return createRouteObject(
+    operation.tokenSymbol,
+    operation.originChainId,
+    operation.destinationChainId,
+    operation.useNativeToken || false,
+    operation.tokenAddress,
+    getOutputTokenOptions(operation)
+  );
+}
 
-    // Parse the amount with the correct decimals
-    const parsedAmount = parseUnits(inputAmount.toString(), decimals);
+// Read the token an operation receives on the destination chain. Its decimals can differ
+// from the input token's (USDC has 18 on BNB Chain), so output amounts are read with
+// outputDecimals and shown as outputSymbol. A picked symbol must match the contract.
+async function resolveOutputToken(operation) {
+  const route = getOperationRoute(operation);
+  const { outputTokenSymbol, outputTokenAddress } = operation;
+  const configuredSymbol = outputTokenAddress
+    ? outputTokenSymbol
+    : outputTokenSymbol || operation.tokenSymbol;
 
-    // Create route object for the quote
-    const route = createRouteObject(
-      tokenSymbol,
-      originChainId,
-      destinationChainId,
-      useNativeToken
+  try {
+    const metadata = await tokenMetadata.resolve({
+      address: route.outputToken,
+      chainId: route.destinationChainId,
+      symbol: outputTokenSymbol,
+    });
+    return {
+      ...operation,
+      outputSymbol: configuredSymbol || metadata.symbol || route.outputToken,
+      outputDecimals: metadata.decimals,
+    };
+  } catch (error) {
+    if (error instanceof TokenMetadataError) {
+      throw new Error(`Output token mismatch: ${error.message}`);
+    }
+
+    // The same token keeps the input decimals; another token needs configured decimals
+    let fallbackDecimals = operation.decimals;
+    if (hasOutputTokenChoice(operation)) {
+      fallbackDecimals = configuredSymbol
+        ? getConfiguredDecimals(configuredSymbol)
+        : null;
+    }
+    if (fallbackDecimals === null) {
+      throw new Error(
+        `Could not resolve the output token of ${operation.name}: ${
+          error.shortMessage || error.message
+        }`
+      );
+    }
+    logWithTime(
+      `Warning: Could not read the output token on ${getChainName(
+        route.destinationChainId
+      )} (${
+        error.shortMessage || error.message
+      }); using ${fallbackDecimals} decimals`
+    );
+    return {
+      ...operation,
+      outputSymbol: configuredSymbol || route.outputToken,
+      outputDecimals: fallbackDecimals,
+    };
+  }
+}
+
+// Decimals of an operation's input token, as resolveOperationToken read them from the
+// token contract (or the configured ones when the chain could not be read)
+function getOperationDecimals(operation) {
+  if (operation.decimals === undefined || operation.decimals === null) {
+    throw new Error(`The token of ${operation.name} has not been resolved`);
+  }
+  return operation.decimals;
+}
+
+// Decimals of the token an operation receives (the input token's unless it picks another)
+function getOutputDecimals(operation) {
+  return operation.outputDecimals ?? getOperationDecimals(operation);
+}
+
+// Symbol of the token an operation receives
+function getOutputSymbol(operation) {
+  return (
+    operation.outputSymbol ||
+    operation.outputTokenSymbol ||
+    operation.tokenSymbol
+  );
+}
+
+// Get a quote for bridging (the operation comes from resolveOperationToken)
+export async function getQuote(operation) {
+  try {
+    const { inputAmount } = operation;
+
+    // Parse the amount with the decimals read from the token contract
+    const parsedAmount = parseUnits(
+      inputAmount.toString(),
+      getOperationDecimals(operation)
     );
 
+    // Create route object for the quote
+    const route = getOperationRoute(operation);
+
     // Get quote from Across
     if (OPTIONS.verboseLogging) {
       logWithTime(`Getting quote for ${describeBridgeOperation(operation)}`);
@@ -171,40 +788,15 @@ async function getQuote(operation) {
     const quote = await client.getQuote({
       route,
       inputAmount: parsedAmount,
+      ...(operation.recipient ? { recipient: operation.recipient } : {}),
     });
 
+    // Remember when the quote was fetched so stale quotes can be refreshed
+    quote.fetchedAt = new Date();
+
     // Log quote details if enabled
     if (OPTIONS.showQuoteDetails) {
-      logWithTime(`Quote details:`);
-      logWithTime(
-        `- Input amount: ${formatUnits(
-          quote.deposit.inputAmount,
-          decimals
-        )} ${tokenSymbol}`
-      );
-      logWithTime(
-        `- Output amount: ${formatUnits(
-          quote.deposit.outputAmount,
-          decimals
-        )} ${tokenSymbol}`
-      );
-      logWithTime(
-        `- Estimated fill time: ${quote.estimatedFillTimeSec} seconds`
-      );
-
-      const relayFee = quote.fees.totalRelayFee.total;
-      logWithTime(
-        `- Total relay fee: ${formatUnits(relayFee, decimals)} ${tokenSymbol}`
-      );
-
-      const lpFee = quote.fees.lpFee.total;
-      logWithTime(`- LP fee: ${formatUnits(lpFee, decimals)} ${tokenSymbol}`);
-
-      // Calculate and log the total fee percentage
-      const totalFee = BigInt(relayFee) + BigInt(lpFee);
-      const feePercentage =
-        (Number(totalFee) / Number(quote.deposit.inputAmount)) * 100;
-      logWithTime(`- Total fee percentage: ${feePercentage.toFixed(4)}%`);
+      logQuoteBreakdown(quote, operation);
     }
 
     return quote;
@@ -214,362 +806,2371 @@ async function getQuote(operation) {
   }
 }
 
-// Check if a quote meets our thresholds
-function quoteExceedsThresholds(quote, operation) {
-  const { inputAmount } = operation;
-  const decimals =
-    operation.decimals || getTokenDecimals(operation.tokenSymbol);
+// Summarize the amounts and fees of a quote in token units (the output amount in
+// units of the output token)
+export function summarizeQuote(quote, operation) {
+  const decimals = getOperationDecimals(operation);
+  const relayFee = BigInt(quote.fees.totalRelayFee.total);
+  const lpFee = BigInt(quote.fees.lpFee.total);
 
-  // Convert amounts to compare them
-  const parsedInputAmount = parseUnits(inputAmount.toString(), decimals);
+  // Calculate the total fee percentage
+  const totalFee = relayFee + lpFee;
+  const feePercentage =
+    (Number(totalFee) / Number(quote.deposit.inputAmount)) * 100;
 
-  // Calculate the output percentage relative to input
-  const outputPercentage =
-    Number(quote.deposit.outputAmount) / Number(parsedInputAmount);
+  return {
+    inputAmount: formatUnits(quote.deposit.inputAmount, decimals),
+    outputAmount: formatUnits(
+      quote.deposit.outputAmount,
+      getOutputDecimals(operation)
+    ),
+    relayFee: formatUnits(relayFee, decimals),
+    lpFee: formatUnits(lpFee, decimals),
+    feePercentage,
+    estimatedFillTimeSec: quote.estimatedFillTimeSec,
+  };
+}
 
-  // Check if the quote meets our thresholds
-  const meetsOutputThreshold =
-    outputPercentage >= THRESHOLDS.minOutputPercentage;
-  const meetsFillTimeThreshold =
-    quote.estimatedFillTimeSec <= THRESHOLDS.maxFillTimeSeconds;
+// Log the quote breakdown
+function logQuoteBreakdown(quote, operation) {
+  const { tokenSymbol } = operation;
+  const summary = summarizeQuote(quote, operation);
 
-  // Log threshold checks
-  logWithTime(`Threshold check:`);
-  logWithTime(
-    `- Output percentage: ${(outputPercentage * 100).toFixed(4)}% (minimum: ${
-      THRESHOLDS.minOutputPercentage * 100
-    }%)`
-  );
+  logWithTime(`Quote details:`);
+  logWithTime(`- Input amount: ${summary.inputAmount} ${tokenSymbol}`);
   logWithTime(
-    `- Fill time: ${quote.estimatedFillTimeSec}s (maximum: ${THRESHOLDS.maxFillTimeSeconds}s)`
-  );
-  logWithTime(
-    `- Meets all thresholds: ${meetsOutputThreshold && meetsFillTimeThreshold}`
+    `- Output amount: ${summary.outputAmount} ${getOutputSymbol(operation)}`
   );
+  logWithTime(`- Estimated fill time: ${summary.estimatedFillTimeSec} seconds`);
+  logWithTime(`- Total relay fee: ${summary.relayFee} ${tokenSymbol}`);
+  logWithTime(`- LP fee: ${summary.lpFee} ${tokenSymbol}`);
+  logWithTime(`- Total fee percentage: ${summary.feePercentage.toFixed(4)}%`);
+}
 
-  return meetsOutputThreshold && meetsFillTimeThreshold;
+// Round a USD value to a tenth of a cent
+function roundUsd(value) {
+  return Math.round(value * 1000) / 1000;
 }
 
-// Execute a quote
-async function executeQuote(quote, operation) {
-  try {
-    logWithTime(`Executing bridge transaction for ${operation.name}...`);
+// USD prices of the bridged token, the token received and the origin chain's native
+// token (null without a price)
+async function getOperationPrices(operation) {
+  const nativeSymbol = getNativeSymbol(operation.originChainId);
+  const outputSymbol = getOutputSymbol(operation);
+  if (!priceOracle.enabled) {
+    return {
+      nativeSymbol,
+      outputSymbol,
+      token: null,
+      output: null,
+      native: null,
+    };
+  }
 
-    // Set up wallet client for the origin chain
-    const walletClient = createWalletClient({
-      account,
-      chain: {
-        id: Number(operation.originChainId),
-        name: CHAINS[operation.originChainId].name,
-        rpcUrls: {
-          default: {
-            http: [CHAINS[operation.originChainId].rpcUrl],
-          },
-        },
-      },
-      transport: http(CHAINS[operation.originChainId].rpcUrl),
-    });
+  const [token, native, output] = await Promise.all([
+    priceOracle.getUsdPrice(operation.tokenSymbol),
+    priceOracle.getUsdPrice(nativeSymbol),
+    priceOracle.getUsdPrice(outputSymbol),
+  ]);
+  return {
+    nativeSymbol,
+    outputSymbol,
+    token: token?.price ?? null,
+    output: output?.price ?? null,
+    native: native?.price ?? null,
+  };
+}
 
-    // Transaction result tracking
-    const result = {
-      success: false,
-      depositId: null,
-      originTxHash: null,
-      destinationTxHash: null,
-      error: null,
+// Convert an amount of the origin chain's native token into the bridged token: directly
+// when they are the same asset, otherwise through their USD prices (null without them)
+function nativeToToken(amount, operation, prices) {
+  const decimals = getOperationDecimals(operation);
+  const sameAsset =
+    operation.tokenSymbol === prices.nativeSymbol ||
+    (operation.tokenSymbol === "WETH" && prices.nativeSymbol === "ETH");
+
+  if (sameAsset) {
+    return (amount * 10n ** BigInt(decimals)) / 10n ** 18n;
+  }
+  if (prices.token && prices.native) {
+    const value =
+      (Number(formatUnits(amount, 18)) * prices.native) / prices.token;
+    return parseUnits(value.toFixed(decimals), decimals);
+  }
+  return null;
+}
+
+// Estimate the approval and deposit gas on the origin chain and what it costs, in the
+// native token and in the bridged token
+async function estimateOriginGas(quote, operation, prices) {
+  try {
+    const estimate = await estimateExecutionGas(quote);
+    const gas = estimate.approvalGas + estimate.depositGas;
+    const cost = gas * estimate.gasPrice;
+    return {
+      gas,
+      gasPrice: estimate.gasPrice,
+      cost,
+      costInToken: nativeToToken(cost, operation, prices),
     };
+  } catch (error) {
+    logWithTime(`Warning: Could not estimate origin gas: ${error.message}`);
+    return null;
+  }
+}
 
-    // Execute the quote
-    await client.executeQuote({
-      walletClient,
-      deposit: quote.deposit,
-      onProgress: (progress) => {
-        if (progress.step === "approve") {
-          if (progress.status === "pending") {
-            logWithTime(`Approving token transfer...`);
-          } else if (progress.status === "txSuccess") {
-            logWithTime(
-              `Token approval successful: ${progress.txReceipt.transactionHash}`
-            );
-          }
-        }
+// Work out the gas actually paid on the origin chain from the transaction receipts,
+// including the L1 data fee that OP Stack chains add to their receipts
+async function measureOriginGas(gasReceipts, operation) {
+  if (!gasReceipts || gasReceipts.length === 0) return null;
 
-        if (progress.step === "deposit") {
-          if (progress.status === "pending") {
-            logWithTime(`Sending funds to Across...`);
-          } else if (progress.status === "txSuccess") {
-            result.depositId = progress.depositId;
-            result.originTxHash = progress.txReceipt.transactionHash;
+  const prices = await getOperationPrices(operation);
+  const decimals = getOperationDecimals(operation);
 
-            logWithTime(`Deposit successful:`);
-            logWithTime(
+  const transactions = gasReceipts.map(({ step, receipt }) => {
+    const gasUsed = BigInt(receipt.gasUsed);
+    const effectiveGasPrice = BigInt(receipt.effectiveGasPrice ?? 0);
+    const l1Fee = receipt.l1Fee ? BigInt(receipt.l1Fee) : 0n;
+    return {
+      step,
+      txHash: receipt.transactionHash,
+      gasUsed,
+      effectiveGasPrice,
+      l1Fee,
+      cost: gasUsed * effectiveGasPrice + l1Fee,
+    };
+  });
+
+  const gasUsed = transactions.reduce((sum, tx) => sum + tx.gasUsed, 0n);
+  const cost = transactions.reduce((sum, tx) => sum + tx.cost, 0n);
+  const costInToken = nativeToToken(cost, operation, prices);
+
+  return {
+    transactions: transactions.map((tx) => ({
+      step: tx.step,
+      txHash: tx.txHash,
+      gasUsed: tx.gasUsed.toString(),
+      effectiveGasPrice: tx.effectiveGasPrice.toString(),
+      ...(tx.l1Fee > 0n ? { l1Fee: formatUnits(tx.l1Fee, 18) } : {}),
+      cost: formatUnits(tx.cost, 18),
+    })),
+    gasUsed: gasUsed.toString(),
+    cost: formatUnits(cost, 18),
+    symbol: prices.nativeSymbol,
+    costInToken:
+      costInToken === null ? null : formatUnits(costInToken, decimals),
+    usd: prices.native
+      ? roundUsd(Number(formatUnits(cost, 18)) * prices.native)
+      : null,
+  };
+}
+
+// Log the gas paid on the origin chain
+function logOriginGas(gas, operation) {
+  logWithTime(
+    `Origin gas paid: ${gas.cost} ${gas.symbol} (${gas.gasUsed} gas${
+      gas.costInToken === null
+        ? ""
+        : `, ${gas.costInToken} ${operation.tokenSymbol}`
+    }${gas.usd === null ? "" : `, $${gas.usd.toFixed(2)}`})`
+  );
+}
+
+// Value a quote's amounts, fees and estimated origin-chain gas in USD
+// (null where there is no price or no gas estimate)
+function valueQuoteInUsd(quote, operation, prices, originGas) {
+  const decimals = getOperationDecimals(operation);
+  const toUsd = (amount, price, amountDecimals) =>
+    price
+      ? roundUsd(Number(formatUnits(BigInt(amount), amountDecimals)) * price)
+      : null;
+
+  const relayFee = toUsd(
+    quote.fees.totalRelayFee.total,
+    prices.token,
+    decimals
+  );
+  const lpFee = toUsd(quote.fees.lpFee.total, prices.token, decimals);
+  const fees = relayFee === null ? null : roundUsd(relayFee + lpFee);
+  const gas = originGas ? toUsd(originGas.cost, prices.native, 18) : null;
+
+  return {
+    input: toUsd(quote.deposit.inputAmount, prices.token, decimals),
+    output: toUsd(
+      quote.deposit.outputAmount,
+      prices.output,
+      getOutputDecimals(operation)
+    ),
+    relayFee,
+    lpFee,
+    fees,
+    gas,
+    totalCost: fees === null || gas === null ? null : roundUsd(fees + gas),
+    prices: {
+      [operation.tokenSymbol]: prices.token,
+      [prices.outputSymbol]: prices.output,
+      [prices.nativeSymbol]: prices.native,
+    },
+  };
+}
+
+// Log the USD values of a quote
+function logUsdValues(usd, operation) {
+  const format = (value) =>
+    value === null ? "unknown" : `$${value.toFixed(2)}`;
+
+  logWithTime(`USD values:`);
+  logWithTime(
+    `- Input: ${format(usd.input)} (${operation.tokenSymbol} at ${format(
+      usd.prices[operation.tokenSymbol]
+    )})`
+  );
+  logWithTime(`- Output: ${format(usd.output)}`);
+  logWithTime(`- Relay fee: ${format(usd.relayFee)}`);
+  logWithTime(`- LP fee: ${format(usd.lpFee)}`);
+  logWithTime(`- Origin gas (estimated): ${format(usd.gas)}`);
+  logWithTime(`- Total cost: ${format(usd.totalCost)}`);
+}
+
+// Log the cost of a quote including the origin gas: the relay and LP fees only cover
+// what Across charges, while small transfers often pay more for gas
+function logTotalCost(quote, operation, prices, originGas) {
+  const { tokenSymbol } = operation;
+  const decimals = getOperationDecimals(operation);
+
+  logWithTime(`Total cost:`);
+  if (!originGas) {
+    logWithTime(`- Origin gas: unknown (could not be estimated)`);
+    return;
+  }
+
+  logWithTime(
+    `- Origin gas (estimated): ${formatUnits(originGas.cost, 18)} ${
+      prices.nativeSymbol
+    } (${originGas.gas} gas)`
+  );
+  if (originGas.costInToken === null) {
+    logWithTime(
+      `- Fees + gas: unknown (no USD prices to convert ${prices.nativeSymbol} to ${tokenSymbol})`
+    );
+    return;
+  }
+
+  const total =
+    BigInt(quote.fees.totalRelayFee.total) +
+    BigInt(quote.fees.lpFee.total) +
+    originGas.costInToken;
+  const percentage = (Number(total) / Number(quote.deposit.inputAmount)) * 100;
+  logWithTime(
+    `- Fees + gas: ${formatUnits(
+      total,
+      decimals
+    )} ${tokenSymbol} (${percentage.toFixed(4)}% of the input)`
+  );
+}
+
+// Check a quote against the operation's thresholds (THRESHOLDS with the operation's own
+// overrides) and log every rule that is set with its verdict. The origin gas is estimated
+// first for the total cost rules, and with prices configured the quote is valued in USD
+// for the USD rules and the history.
+export async function checkQuoteThresholds(quote, operation) {
+  const thresholds = { ...THRESHOLDS, ...(operation.thresholds || {}) };
+  const decimals = getOperationDecimals(operation);
+
+  const prices = await getOperationPrices(operation);
+  const originGas = await estimateOriginGas(quote, operation, prices);
+  const usd = priceOracle.enabled
+    ? valueQuoteInUsd(quote, operation, prices, originGas)
+    : null;
+
+  if (OPTIONS.showQuoteDetails) {
+    logTotalCost(quote, operation, prices, originGas);
+    if (usd) logUsdValues(usd, operation);
+  }
+
+  const evaluation = evaluateThresholds(
+    {
+      inputAmount: BigInt(quote.deposit.inputAmount),
+      outputAmount: BigInt(quote.deposit.outputAmount),
+      relayFee: BigInt(quote.fees.totalRelayFee.total),
+      lpFee: BigInt(quote.fees.lpFee.total),
+      gasCost: originGas?.costInToken ?? null,
+      estimatedFillTimeSec: quote.estimatedFillTimeSec,
+      usd,
+    },
+    thresholds,
+    {
+      decimals,
+      tokenSymbol: operation.tokenSymbol,
+      outputDecimals: getOutputDecimals(operation),
+      outputSymbol: getOutputSymbol(operation),
+    }
+  );
+
+  // Log threshold checks, marking the rules the operation overrides
+  logWithTime(`Threshold check:`);
+  evaluation.checks.forEach((check) => {
+    const source =
+      operation.thresholds?.[check.rule] !== undefined ? " [operation]" : "";
+    logWithTime(
+      `- ${check.label}: ${check.text}${source} - ${
+        check.passed ? "pass" : "FAIL"
+      }`
+    );
+  });
+  logWithTime(`- Meets all thresholds: ${evaluation.passed}`);
+
+  return { ...evaluation, usd, originGas };
+}
+
+// Check if a quote meets our thresholds
+export async function quoteExceedsThresholds(quote, operation) {
+  return (await checkQuoteThresholds(quote, operation)).passed;
+}
+
+// Show the quote to the operator and ask whether to execute it
+// Operations running in parallel wait their turn for the confirmation prompt
+let confirmationQueue = Promise.resolve();
+
+async function confirmQuote(quote, operation) {
+  const turn = confirmationQueue.then(() => promptForQuote(quote, operation));
+  confirmationQueue = turn.catch(() => {});
+  return turn;
+}
+
+// Show a quote and ask the operator what to do with it
+async function promptForQuote(quote, operation) {
+  logWithTime(`\nQuote meets thresholds and is waiting for confirmation.`);
+
+  // The breakdown was already logged by getQuote when quote details are enabled
+  if (!OPTIONS.showQuoteDetails) {
+    logQuoteBreakdown(quote, operation);
+  }
+  logWithTime(`- Threshold verdict: meets all thresholds`);
+
+  const decision = await askForConfirmation(operation);
+
+  if (decision.source === "non-interactive") {
+    logWithTime(
+      `No terminal or answers file available. Treating the quote as declined.`
+    );
+  } else {
+    logWithTime(
+      `Operator decision: ${decision.action}${
+        decision.amount !== undefined ? ` (${decision.amount})` : ""
+      } [${decision.source}]`
+    );
+  }
+
+  return decision;
+}
+
+// Wallet clients by chain ID and account, reused across operations (and daemon runs)
+const walletClients = new Map();
+
+// Create (or reuse) a wallet client for the origin chain of an operation
+function createOriginWalletClient(chainId) {
+  const signer = getAccount();
+  const key = `${Number(chainId)}:${signer.address}`;
+  if (walletClients.has(key)) {
+    return walletClients.get(key);
+  }
+
+  const rpcUrl = getRpcUrl(chainId);
+
+  const walletClient = createWalletClient({
+    account: signer,
+    chain: {
+      id: Number(chainId),
+      name: CHAINS[chainId].name,
+      rpcUrls: {
+        default: {
+          http: [rpcUrl],
+        },
+      },
+    },
+    transport: http(rpcUrl),
+  });
+  walletClients.set(key, walletClient);
+
+  return walletClient;
+}
+
+// Read the SpokePool allowance for the input token of a deposit
+async function getAllowance(deposit, owner) {
+  const publicClient = client.getPublicClient(deposit.originChainId);
+
+  return publicClient.readContract({
+    address: deposit.inputToken,
+    abi: ERC20_ABI,
+    functionName: "allowance",
+    args: [owner, deposit.spokePoolAddress],
+  });
+}
+
+// Approve the SpokePool to spend the input token if the allowance is too low.
+// Returns the approval receipt, or null when no approval was needed.
+async function ensureAllowance(walletClient, deposit) {
+  if (deposit.isNative) return null;
+
+  const publicClient = client.getPublicClient(deposit.originChainId);
+  const allowance = await getAllowance(deposit, walletClient.account.address);
+
+  if (allowance >= BigInt(deposit.inputAmount)) return null;
+
+  logWithTime(`Approving token transfer...`);
+  const { request } = await simulateApproveTx({
+    walletClient,
+    publicClient,
+    spender: deposit.spokePoolAddress,
+    approvalAmount: BigInt(deposit.inputAmount),
+    tokenAddress: deposit.inputToken,
+  });
+  const approveTxHash = await walletClient.writeContract({
+    account: walletClient.account,
+    ...request,
+  });
+  const receipt = await publicClient.waitForTransactionReceipt({
+    hash: approveTxHash,
+  });
+  logWithTime(`Token approval successful: ${approveTxHash}`);
+  return receipt;
+}
+
+// Re-quote if the quote is older than OPTIONS.maxQuoteAgeSeconds and abort when
+// the fresh output is worse than the original by more than OPTIONS.maxSlippage
+async function refreshStaleQuote(quote, operation, result) {
+  const ageSeconds = (Date.now() - quote.fetchedAt.getTime()) / 1000;
+  if (ageSeconds <= OPTIONS.maxQuoteAgeSeconds) {
+    return quote;
+  }
+
+  logWithTime(
+    `Quote is ${ageSeconds.toFixed(0)}s old (maximum: ${
+      OPTIONS.maxQuoteAgeSeconds
+    }s). Re-quoting before deposit...`
+  );
+  const freshQuote = await getQuote(operation);
+
+  // Output amounts are in units of the token received
+  const decimals = getOutputDecimals(operation);
+  const originalOutput = BigInt(quote.deposit.outputAmount);
+  const freshOutput = BigInt(freshQuote.deposit.outputAmount);
+  const driftPercentage =
+    (Number(originalOutput - freshOutput) / Number(originalOutput)) * 100;
+  const aborted = driftPercentage > OPTIONS.maxSlippage;
+
+  result.quoteRefresh = {
+    ageSeconds: Number(ageSeconds.toFixed(1)),
+    originalFetchedAt: quote.fetchedAt.toISOString(),
+    originalOutputAmount: formatUnits(originalOutput, decimals),
+    refreshedFetchedAt: freshQuote.fetchedAt.toISOString(),
+    refreshedOutputAmount: formatUnits(freshOutput, decimals),
+    driftPercentage: Number(driftPercentage.toFixed(4)),
+    maxSlippage: OPTIONS.maxSlippage,
+    aborted,
+  };
+
+  logWithTime(
+    `- Output drift: ${driftPercentage.toFixed(4)}% (maximum: ${
+      OPTIONS.maxSlippage
+    }%)`
+  );
+
+  if (aborted) {
+    result.error = `Output dropped ${driftPercentage.toFixed(
+      4
+    )}% since the original quote, exceeding maxSlippage of ${
+      OPTIONS.maxSlippage
+    }%`;
+    logWithTime(`Deposit aborted: ${result.error}`);
+    return null;
+  }
+
+  return freshQuote;
+}
+
+// Encode the SpokePool deposit call for a quote (mirrors the SDK's simulateDepositTx)
+function encodeDepositCalldata(deposit, depositor) {
+  const data = encodeFunctionData({
+    abi: SPOKE_POOL_DEPOSIT_ABI,
+    functionName: "deposit",
+    args: [
+      addressToBytes32(depositor),
+      addressToBytes32(deposit.recipient ?? depositor),
+      addressToBytes32(deposit.inputToken),
+      addressToBytes32(deposit.outputToken),
+      BigInt(deposit.inputAmount),
+      BigInt(deposit.outputAmount),
+      BigInt(deposit.destinationChainId),
+      addressToBytes32(deposit.exclusiveRelayer),
+      deposit.quoteTimestamp,
+      deposit.fillDeadline,
+      deposit.exclusivityDeadline,
+      deposit.message,
+    ],
+  });
+
+  return concat([data, getIntegratorDataSuffix(client.integratorId)]);
+}
+
+// Build the approve call that lets the SpokePool spend the input token
+function buildApproveCall(deposit) {
+  return {
+    to: deposit.inputToken,
+    data: encodeFunctionData({
+      abi: ERC20_ABI,
+      functionName: "approve",
+      args: [deposit.spokePoolAddress, BigInt(deposit.inputAmount)],
+    }),
+  };
+}
+
+// Build the SpokePool deposit call for a quote
+function buildDepositCall(deposit) {
+  return {
+    to: deposit.spokePoolAddress,
+    data: encodeDepositCalldata(deposit, getAccount().address),
+    value: deposit.isNative ? BigInt(deposit.inputAmount) : 0n,
+  };
+}
+
+// Estimate gas for a call and run it with eth_call, reporting the outcome
+async function simulateCall(publicClient, call) {
+  try {
+    await publicClient.call({ account: getAccount().address, ...call });
+    const gas = await publicClient.estimateGas({
+      account: getAccount().address,
+      ...call,
+    });
+    return { outcome: "success", gas: gas.toString() };
+  } catch (error) {
+    return {
+      outcome: "revert",
+      gas: null,
+      error: error.shortMessage || error.message,
+    };
+  }
+}
+
+// Simulate the approve and deposit calls of a quote without broadcasting anything
+async function simulateQuote(quote, operation) {
+  const { deposit } = quote;
+  const publicClient = client.getPublicClient(deposit.originChainId);
+
+  logWithTime(`Dry run: simulating transactions for ${operation.name}...`);
+
+  const result = {
+    success: false,
+    error: null,
+    simulation: {
+      rpcUrl: getRpcUrl(deposit.originChainId),
+      approval: null,
+      deposit: null,
+    },
+  };
+
+  // Allowance check and approval calldata
+  if (!deposit.isNative) {
+    const allowance = await getAllowance(deposit, getAccount().address);
+    const needsApproval = allowance < BigInt(deposit.inputAmount);
+
+    result.simulation.approval = {
+      required: needsApproval,
+      allowance: allowance.toString(),
+    };
+
+    if (needsApproval) {
+      const call = buildApproveCall(deposit);
+
+      result.simulation.approval = {
+        ...result.simulation.approval,
+        ...call,
+        ...(await simulateCall(publicClient, call)),
+      };
+    }
+  }
+
+  // Deposit calldata, built the same way the SDK builds the real deposit
+  const depositCall = buildDepositCall(deposit);
+
+  result.simulation.deposit = {
+    to: depositCall.to,
+    data: depositCall.data,
+    value: depositCall.value.toString(),
+    ...(await simulateCall(publicClient, depositCall)),
+  };
+
+  // The deposit cannot succeed on-chain until the approval is mined, so its revert
+  // says nothing about the real deposit: the dry run is unverified, not passed
+  if (
+    result.simulation.deposit.outcome === "revert" &&
+    result.simulation.approval?.required
+  ) {
+    result.simulation.deposit.note = "Expected to revert until the approval is mined";
+  }
+
+  const approvalOk =
+    !result.simulation.approval?.required ||
+    result.simulation.approval.outcome === "success";
+  if (!approvalOk) {
+    result.simulation.outcome = "failed";
+  } else if (result.simulation.deposit.outcome === "success") {
+    result.simulation.outcome = "passed";
+  } else {
+    result.simulation.outcome = result.simulation.deposit.note
+      ? "unverified"
+      : "failed";
+  }
+  result.success = result.simulation.outcome === "passed";
+
+  // Report the simulation
+  if (result.simulation.approval?.required) {
+    const approval = result.simulation.approval;
+    logWithTime(`- Approval: ${approval.outcome}`);
+    logWithTime(`  Gas estimate: ${approval.gas ?? "n/a"}`);
+    logWithTime(`  Calldata: ${approval.data}`);
+    if (approval.error) logWithTime(`  Error: ${approval.error}`);
+  } else {
+    logWithTime(`- Approval: not required`);
+  }
+
+  const simulatedDeposit = result.simulation.deposit;
+  logWithTime(`- Deposit: ${simulatedDeposit.outcome}`);
+  logWithTime(`  Gas estimate: ${simulatedDeposit.gas ?? "n/a"}`);
+  logWithTime(`  Value: ${simulatedDeposit.value}`);
+  logWithTime(`  Calldata: ${simulatedDeposit.data}`);
+  if (simulatedDeposit.error) logWithTime(`  Error: ${simulatedDeposit.error}`);
+  if (simulatedDeposit.note) logWithTime(`  Note: ${simulatedDeposit.note}`);
+  logWithTime(`Dry run ${result.simulation.outcome}. Nothing was broadcast.`);
+
+  if (result.simulation.outcome === "unverified") {
+    result.error =
+      "The deposit could not be simulated until the approval is mined";
+  } else if (!result.success) {
+    result.error =
+      result.simulation.approval?.error ||
+      simulatedDeposit.error ||
+      "Simulation failed";
+  }
+
+  return result;
+}
+
+// Funds reserved by operations that passed pre-flight but have not finished
+const fundingLedger = createFundingLedger();
+
+// Estimate gas and gas price for the approve and deposit transactions of a quote
+async function estimateExecutionGas(quote) {
+  const { deposit } = quote;
+  const publicClient = client.getPublicClient(deposit.originChainId);
+  const preflightOptions = OPTIONS.preflight || {};
+
+  let approvalRequired = false;
+  let approvalGas = 0n;
+  if (!deposit.isNative) {
+    const allowance = await getAllowance(deposit, getAccount().address);
+    approvalRequired = allowance < BigInt(deposit.inputAmount);
+  }
+  if (approvalRequired) {
+    const approval = await simulateCall(publicClient, buildApproveCall(deposit));
+    approvalGas = BigInt(approval.gas ?? preflightOptions.fallbackApprovalGas);
+  }
+
+  // The deposit cannot be estimated until the approval is mined, so fall back
+  // to a fixed estimate when estimation fails
+  const depositEstimate = await simulateCall(
+    publicClient,
+    buildDepositCall(deposit)
+  );
+  const depositGas = BigInt(
+    depositEstimate.gas ?? preflightOptions.fallbackDepositGas
+  );
+
+  // Use the max fee per gas so the check holds if the base fee rises
+  const fees = await publicClient.estimateFeesPerGas().catch(() => null);
+  const gasPrice = fees?.maxFeePerGas ?? (await publicClient.getGasPrice());
+
+  return {
+    approvalRequired,
+    approvalGas,
+    depositGas,
+    depositGasEstimated: depositEstimate.gas !== null,
+    gasPrice,
+  };
+}
+
+// Check that the account can pay for the deposit and its gas, taking into account
+// funds reserved by other queued operations. Reserves the funds when the check passes.
+async function runPreflightChecks(quote, operation) {
+  const { deposit } = quote;
+  const owner = getAccount().address;
+  const chainId = deposit.originChainId;
+  const publicClient = client.getPublicClient(chainId);
+  const decimals = getOperationDecimals(operation);
+  const nativeSymbol = getNativeSymbol(chainId);
+
+  logWithTime(`Pre-flight check on ${getChainName(chainId)}:`);
+
+  const gas = await estimateExecutionGas(quote);
+  const totalGas = applyGasBuffer(
+    gas.approvalGas + gas.depositGas,
+    OPTIONS.preflight?.gasBufferMultiplier ?? 1
+  );
+  const gasCost = totalGas * gas.gasPrice;
+
+  const balances = await readBalances(
+    publicClient,
+    owner,
+    deposit.isNative ? null : deposit.inputToken
+  );
+
+  const inputAmount = BigInt(deposit.inputAmount);
+  const nativeRequired = gasCost + (deposit.isNative ? inputAmount : 0n);
+  const nativeKey = fundingLedger.key(chainId, owner, "native");
+  const tokenKey = fundingLedger.key(chainId, owner, deposit.inputToken);
+
+  const { ok, reasons } = checkFunding({
+    nativeBalance: balances.native,
+    nativeRequired,
+    nativeReserved: fundingLedger.reserved(nativeKey),
+    tokenBalance: balances.token,
+    tokenRequired: inputAmount,
+    tokenReserved: fundingLedger.reserved(tokenKey),
+    tokenDecimals: decimals,
+    tokenSymbol: operation.tokenSymbol,
+    nativeSymbol,
+  });
+
+  const details = {
+    nativeBalance: formatUnits(balances.native, 18),
+    tokenBalance:
+      balances.token === null ? null : formatUnits(balances.token, decimals),
+    approvalRequired: gas.approvalRequired,
+    approvalGas: gas.approvalGas.toString(),
+    depositGas: gas.depositGas.toString(),
+    depositGasEstimated: gas.depositGasEstimated,
+    gasPrice: gas.gasPrice.toString(),
+    estimatedGasCost: formatUnits(gasCost, 18),
+    reasons,
+  };
+
+  logWithTime(`- ${nativeSymbol} balance: ${details.nativeBalance}`);
+  if (details.tokenBalance !== null) {
+    logWithTime(
+      `- ${operation.tokenSymbol} balance: ${details.tokenBalance}`
+    );
+  }
+  if (gas.approvalRequired) {
+    logWithTime(`- Approval gas: ${details.approvalGas}`);
+  }
+  logWithTime(
+    `- Deposit gas: ${details.depositGas}${
+      gas.depositGasEstimated ? "" : " (fallback estimate)"
+    }`
+  );
+  logWithTime(
+    `- Estimated gas cost: ${details.estimatedGasCost} ${nativeSymbol}`
+  );
+  reasons.forEach((reason) => logWithTime(`- ${reason}`));
+  logWithTime(`- Can be funded: ${ok}`);
+
+  if (!ok) {
+    return { ok, reasons, details, reservation: null };
+  }
+
+  // Reserve the funds so queued operations do not count them twice
+  const reservation = [[nativeKey, nativeRequired]];
+  if (!deposit.isNative) {
+    reservation.push([tokenKey, inputAmount]);
+  }
+  reservation.forEach(([key, amount]) => fundingLedger.reserve(key, amount));
+
+  return { ok, reasons, details, reservation };
+}
+
+// Estimate how much native token to keep back for gas when bridging the max balance
+async function estimateGasReserve(publicClient) {
+  const preflightOptions = OPTIONS.preflight || {};
+  const fees = await publicClient.estimateFeesPerGas().catch(() => null);
+  const gasPrice = fees?.maxFeePerGas ?? (await publicClient.getGasPrice());
+  const gas = applyGasBuffer(
+    BigInt(preflightOptions.fallbackDepositGas ?? 250000),
+    preflightOptions.gasBufferMultiplier ?? 1
+  );
+
+  return gas * gasPrice;
+}
+
+// Resolve a dynamic amount (percentage, reserve or max) from the current balance
+async function resolveOperationAmount(operation) {
+  const { tokenSymbol, originChainId } = operation;
+  const decimals = getOperationDecimals(operation);
+  const isNative = tokenSymbol === "ETH" && operation.useNativeToken;
+  const publicClient = client.getPublicClient(Number(originChainId));
+
+  const balances = await readBalances(
+    publicClient,
+    getAccount().address,
+    isNative ? null : getOperationTokenAddress(operation)
+  );
+  const balance = isNative ? balances.native : balances.token;
+
+  // Keep enough native token for gas when bridging everything. Only native ETH pays
+  // for gas; "max" on an ERC-20 (WETH included) bridges the whole token balance.
+  let gasReserve = 0n;
+  if (isNative && operation.amount.mode === "max") {
+    gasReserve =
+      operation.amount.gasReserve !== undefined
+        ? parseUnits(toDecimalString(operation.amount.gasReserve), 18)
+        : await estimateGasReserve(publicClient);
+  }
+
+  const resolution = resolveAmount(operation.amount, {
+    balance,
+    decimals,
+    gasReserve,
+  });
+
+  logWithTime(
+    `Resolved ${operation.amount.mode} amount: ${
+      resolution.inputAmount
+    } ${tokenSymbol} (balance: ${formatUnits(balance, decimals)}${
+      gasReserve > 0n ? `, gas reserve: ${formatUnits(gasReserve, 18)}` : ""
+    }${resolution.capped ? ", capped at maxAmount" : ""})`
+  );
+
+  return {
+    ok: resolution.ok,
+    reason: resolution.reason,
+    inputAmount: resolution.inputAmount,
+    balance: formatUnits(balance, decimals),
+    gasReserve: formatUnits(gasReserve, 18),
+    capped: resolution.capped,
+  };
+}
+
+// Resolve an operation for a quote outside a bridge run: its tokens, and a dynamic amount
+// from the current balance of its account, as runBridgeOperation does before quoting
+export async function resolveOperationForQuote(operation) {
+  const resolved = await resolveOperationToken(operation);
+  if (!isDynamicAmount(resolved)) return resolved;
+
+  return operationContext.run(
+    { operation: resolved.name, accountName: getAccountName(resolved) },
+    async () => {
+      operationContext.getStore().account = await resolveOperationAccount(
+        resolved
+      );
+      const amountResolution = await resolveOperationAmount(resolved);
+      if (!amountResolution.ok) {
+        throw new Error(
+          `Cannot quote ${resolved.name}: ${amountResolution.reason}`
+        );
+      }
+      return {
+        ...resolved,
+        inputAmount: amountResolution.inputAmount,
+        amountResolution,
+      };
+    }
+  );
+}
+
+// Release funds reserved by a pre-flight check
+function releaseFunds(reservation) {
+  if (!reservation) return;
+  reservation.forEach(([key, amount]) => fundingLedger.release(key, amount));
+}
+
+// Warn when queued operations that draw on the same balance cannot all be funded
+async function checkQueuedFunding(operations) {
+  const groups = new Map();
+
+  // Dynamic amounts adapt to the balance, so only fixed amounts can overdraw it
+  operations.filter((operation) => !isDynamicAmount(operation)).forEach((operation) => {
+    const isNative =
+      operation.tokenSymbol === "ETH" && operation.useNativeToken;
+    // Each account has its own balances
+    const key = `${getAccountName(operation)}:${operation.originChainId}:${
+      operation.tokenAddress || operation.tokenSymbol
+    }:${isNative}`;
+    if (!groups.has(key)) {
+      groups.set(key, { isNative, operations: [] });
+    }
+    groups.get(key).operations.push(operation);
+  });
+
+  for (const { isNative, operations: group } of groups.values()) {
+    if (group.length < 2) continue;
+
+    const { originChainId } = group[0];
+
+    try {
+      const { tokenSymbol, decimals } = await resolveOperationToken(group[0]);
+      const owner = (await resolveOperationAccount(group[0])).address;
+      const tokenAddress = isNative ? null : getOperationTokenAddress(group[0]);
+      const balances = await readBalances(
+        client.getPublicClient(Number(originChainId)),
+        owner,
+        tokenAddress
+      );
+      const balance = isNative ? balances.native : balances.token;
+      const total = group.reduce(
+        (sum, op) => sum + parseUnits(op.inputAmount.toString(), decimals),
+        0n
+      );
+
+      if (total > balance) {
+        logWithTime(
+          `Warning: ${group.length} queued operations need ${formatUnits(
+            total,
+            decimals
+          )} ${tokenSymbol} on ${getChainName(
+            originChainId
+          )} but the balance of ${owner} is ${formatUnits(
+            balance,
+            decimals
+          )}. Later operations may be skipped.`
+        );
+      }
+    } catch (error) {
+      logWithTime(
+        `Warning: Could not check queued funding on ${getChainName(
+          originChainId
+        )}: ${error.message}`
+      );
+    }
+  }
+}
+
+// Record a deposit as soon as its transaction confirms, so it can be tracked after a restart
+function recordPendingDeposit(operation, quote, result) {
+  try {
+    const decimals = getOperationDecimals(operation);
+
+    depositStore.record({
+      operationName: operation.name,
+      accountName: getAccountName(operation),
+      tokenSymbol: operation.tokenSymbol,
+      originChainId: Number(operation.originChainId),
+      destinationChainId: Number(operation.destinationChainId),
+      depositId: result.depositId,
+      originTxHash: result.originTxHash,
+      inputAmount: formatUnits(BigInt(quote.deposit.inputAmount), decimals),
+      expectedOutputAmount: formatUnits(
+        BigInt(quote.deposit.outputAmount),
+        getOutputDecimals(operation)
+      ),
+      outputToken: quote.deposit.outputToken,
+      recipient: quote.deposit.recipient,
+      fillDeadline: Number(quote.deposit.fillDeadline),
+      // Used to find the refund if the deposit expires
+      inputToken: quote.deposit.inputToken,
+      depositor: getAccount().address,
+      decimals,
+      status: "pending",
+    });
+  } catch (error) {
+    logWithTime(`Warning: Could not record pending deposit: ${error.message}`);
+  }
+}
+
+// Update a tracked deposit after polling: expired deposits are kept until the
+// refund is seen, and deposits with a final status are removed
+function settlePendingDeposit(originChainId, depositId, status) {
+  const key = depositKey(originChainId, depositId);
+
+  try {
+    if (status === "pending" || status === "expired") {
+      depositStore.update(key, {
+        status,
+        lastCheckedAt: new Date().toISOString(),
+      });
+    } else {
+      depositStore.remove(key);
+    }
+  } catch (error) {
+    logWithTime(`Warning: Could not update pending deposit: ${error.message}`);
+  }
+}
+
+// Execute a quote (onDeposited runs once the deposit transaction is mined)
+async function executeQuote(quote, operation, onDeposited = () => {}) {
+  // Held while this operation sends its approval and deposit on the origin chain
+  let releaseChain = null;
+
+  // Transaction result tracking
+  const result = {
+    success: false,
+    depositId: null,
+    originTxHash: null,
+    destinationTxHash: null,
+    error: null,
+    // Receipts of the origin-chain transactions, for the gas actually paid
+    gasReceipts: [],
+  };
+
+  try {
+    logWithTime(`Executing bridge transaction for ${operation.name}...`);
+
+    // Set up wallet client for the origin chain
+    const walletClient = createOriginWalletClient(operation.originChainId);
+
+    // Operations on the same origin chain send one at a time (fills are still tracked in parallel)
+    releaseChain = await nonceManager.lock(
+      operation.originChainId,
+      getAccount().address
+    );
+
+    // Approve up front so the quote can be checked right before the deposit
+    const approvalReceipt = await ensureAllowance(walletClient, quote.deposit);
+    if (approvalReceipt) {
+      result.gasReceipts.push({ step: "approve", receipt: approvalReceipt });
+    }
+
+    // The quote may have gone stale while waiting for the approval or confirmation
+    const depositQuote = await refreshStaleQuote(quote, operation, result);
+    if (!depositQuote) {
+      return result;
+    }
+    if (depositQuote !== quote) {
+      result.executedQuote = depositQuote;
+    }
+
+    // Execute the quote
+    await client.executeQuote({
+      walletClient,
+      deposit: depositQuote.deposit,
+      onProgress: (progress) => {
+        if (progress.step === "approve") {
+          if (progress.status === "pending") {
+            logWithTime(`Approving token transfer...`);
+          } else if (progress.status === "txSuccess") {
+            result.gasReceipts.push({
+              step: "approve",
+              receipt: progress.txReceipt,
+            });
+            logWithTime(
+              `Token approval successful: ${progress.txReceipt.transactionHash}`
+            );
+          }
+        }
+
+        if (progress.step === "deposit") {
+          if (progress.status === "pending") {
+            logWithTime(`Sending funds to Across...`);
+          } else if (progress.status === "txSuccess") {
+            // The deposit has landed, so the next operation on this chain can send
+            if (releaseChain) {
+              releaseChain();
+              releaseChain = null;
+            }
+
+            result.depositId = progress.depositId;
+            result.originTxHash = progress.txReceipt.transactionHash;
+            result.gasReceipts.push({
+              step: "deposit",
+              receipt: progress.txReceipt,
+            });
+            recordPendingDeposit(operation, depositQuote, result);
+            onDeposited();
+
+            logWithTime(`Deposit successful:`);
+            logWithTime(
               `- Transaction hash: ${progress.txReceipt.transactionHash}`
             );
             logWithTime(`- Deposit ID: ${progress.depositId}`);
             logWithTime(
-              `- Waiting for funds to be bridged to ${getChainName(
-                operation.destinationChainId
-              )}...`
+              `- Waiting for funds to be bridged to ${getChainName(
+                operation.destinationChainId
+              )}...`
+            );
+          }
+        }
+
+        if (progress.step === "fill") {
+          if (progress.status === "pending") {
+            logWithTime(
+              `Relayer processing your transfer on destination chain...`
             );
+          } else if (progress.status === "txSuccess") {
+            // Mark transaction as successful when fill is complete
+            result.success = true;
+
+            if (progress.txReceipt) {
+              result.destinationTxHash = progress.txReceipt.transactionHash;
+              logWithTime(
+                `Bridge complete! Funds received on ${getChainName(
+                  operation.destinationChainId
+                )}`
+              );
+              logWithTime(
+                `- Fill transaction hash: ${progress.txReceipt.transactionHash}`
+              );
+            } else {
+              logWithTime(
+                `Bridge complete! Funds received on ${getChainName(
+                  operation.destinationChainId
+                )}`
+              );
+            }
+
+            // Fix for BigInt conversion - handle the timestamp safely
+            if (progress.fillTxTimestamp) {
+              let timestamp;
+              try {
+                // Handle if it's a BigInt by converting to string first
+                if (typeof progress.fillTxTimestamp === "bigint") {
+                  timestamp = new Date(
+                    Number(progress.fillTxTimestamp.toString()) * 1000
+                  );
+                } else {
+                  timestamp = new Date(progress.fillTxTimestamp);
+                }
+                logWithTime(`- Fill timestamp: ${timestamp.toLocaleString()}`);
+              } catch (error) {
+                logWithTime(
+                  `- Fill timestamp: [Timestamp not available in readable format]`
+                );
+              }
+            }
           }
         }
+      },
+    });
+
+    return result;
+  } catch (error) {
+    logWithTime(`Error executing quote: ${error.message}`);
+    // Keep the deposit details so the deposit can still be tracked
+    return {
+      ...result,
+      success: false,
+      error: error.message,
+    };
+  } finally {
+    if (releaseChain) {
+      // Stopped before the deposit landed, so re-read the nonce from the chain next time
+      nonceManager.reset({
+        address: getAccount().address,
+        chainId: Number(operation.originChainId),
+      });
+      releaseChain();
+    }
+  }
+}
+
+// Fetch the current status of a deposit from the Across API
+export async function fetchDepositStatus(originChainId, depositId) {
+  const url = `https://app.across.to/api/deposit/status?originChainId=${originChainId}&depositId=${depositId}`;
+  const response = await axios.get(url);
+  return response.data;
+}
+
+// Deposit statuses reported by the Across API that end tracking
+const FILLED_STATUSES = ["filled", "fill", "success"];
+const FAILED_STATUSES = ["failed"];
+const EXPIRED_STATUSES = ["expired"];
+const REFUNDED_STATUSES = ["refunded"];
+
+// Find how much of the input token a refund transaction returned to the depositor
+async function findRefundAmount(originChainId, refundTxHash, deposit) {
+  if (!deposit.inputToken || !deposit.depositor) return null;
+
+  try {
+    const receipt = await client
+      .getPublicClient(Number(originChainId))
+      .getTransactionReceipt({ hash: refundTxHash });
+    const transfers = parseEventLogs({
+      abi: erc20Abi,
+      eventName: "Transfer",
+      logs: receipt.logs,
+    }).filter(
+      (log) =>
+        log.address.toLowerCase() === deposit.inputToken.toLowerCase() &&
+        log.args.to.toLowerCase() === deposit.depositor.toLowerCase()
+    );
+    if (transfers.length === 0) return null;
+
+    const amount = transfers.reduce((sum, log) => sum + log.args.value, 0n);
+    return deposit.decimals !== undefined
+      ? formatUnits(amount, deposit.decimals)
+      : amount.toString();
+  } catch (error) {
+    logWithTime(`Could not read refund transaction: ${error.message}`);
+    return null;
+  }
+}
+
+// Check a deposit once through the Across status API
+async function checkDepositViaApi(originChainId, depositId, deposit) {
+  const status = await fetchDepositStatus(originChainId, depositId);
+  const statusLower = status.status.toLowerCase();
+
+  if (FILLED_STATUSES.includes(statusLower)) {
+    return {
+      status: "filled",
+      fillTxHash: status.fillTx || null,
+      destinationChainId: status.destinationChainId,
+    };
+  }
+
+  if (FAILED_STATUSES.includes(statusLower)) {
+    return { status: "failed" };
+  }
+
+  if (REFUNDED_STATUSES.includes(statusLower)) {
+    const refundTxHash = status.depositRefundTxHash || null;
+    const refundAmount = refundTxHash
+      ? await findRefundAmount(originChainId, refundTxHash, deposit)
+      : null;
+    return { status: "refunded", refundTxHash, refundAmount };
+  }
+
+  // Unfilled deposits expire at their fill deadline and are refunded in a later bundle
+  const deadlinePassed =
+    deposit.fillDeadline && Date.now() / 1000 > Number(deposit.fillDeadline);
+  if (EXPIRED_STATUSES.includes(statusLower) || deadlinePassed) {
+    return { status: "expired" };
+  }
+
+  return { status: "pending", apiStatus: statusLower };
+}
+
+// Check a deposit once, through the API, SpokePool events, or the API with events as fallback
+export async function checkDepositStatus(originChainId, depositId, deposit = {}) {
+  const onChain = async () => {
+    const outcome = await depositTracker.checkDeposit({
+      originChainId,
+      depositId,
+      originTxHash: deposit.originTxHash,
+    });
+    if (outcome.status !== "refunded") return outcome;
+    return {
+      ...outcome,
+      refundAmount: await findRefundAmount(
+        originChainId,
+        outcome.refundTxHash,
+        deposit
+      ),
+    };
+  };
+
+  if (statusSource === "rpc") {
+    return onChain();
+  }
+
+  try {
+    return await checkDepositViaApi(originChainId, depositId, deposit);
+  } catch (error) {
+    if (statusSource === "api" || !deposit.originTxHash) {
+      throw error;
+    }
+    logWithTime(
+      `Status API unavailable (${error.message}), checking SpokePool events instead`
+    );
+    return onChain();
+  }
+}
+
+// Poll the status of a deposit until it is filled, fails, expires or is refunded
+// deposit: optional { originTxHash, fillDeadline, inputToken, depositor, decimals } used to
+// track it on-chain, to notice expiry and to work out the refunded amount
+// Returns { status, fillTxHash, refundTxHash, refundAmount } where status is
+// "filled", "failed", "expired" (refund still to come), "refunded" or "pending"
+// (still unknown after MONITORING.maxPollingAttempts)
+export async function pollDepositStatus(originChainId, depositId, deposit = {}) {
+  logWithTime(
+    `Polling status for deposit ID: ${depositId}${
+      statusSource === "api" ? "" : ` (status source: ${statusSource})`
+    }`
+  );
+  if (deposit.fillDeadline) {
+    logWithTime(
+      `- Fill deadline: ${new Date(
+        Number(deposit.fillDeadline) * 1000
+      ).toLocaleString()}`
+    );
+  }
+
+  let attempts = 0;
+
+  while (attempts < MONITORING.maxPollingAttempts) {
+    attempts++;
+
+    try {
+      const outcome = await checkDepositStatus(
+        originChainId,
+        depositId,
+        deposit
+      );
+
+      logWithTime(
+        `Deposit status (attempt ${attempts}): ${
+          outcome.apiStatus || outcome.status
+        }`
+      );
+
+      if (outcome.status === "filled") {
+        logWithTime(`Deposit successfully completed!`);
+        return outcome;
+      }
+
+      if (outcome.status === "failed") {
+        logWithTime(`Deposit failed!`);
+        return outcome;
+      }
+
+      if (outcome.status === "refunded") {
+        logWithTime(
+          `Deposit expired and was refunded on ${getChainName(originChainId)}${
+            outcome.refundAmount !== null ? `: ${outcome.refundAmount}` : ""
+          }`
+        );
+        if (outcome.refundTxHash) {
+          logWithTime(
+            `- Refund transaction: ${
+              getExplorerTxUrl(originChainId, outcome.refundTxHash) ||
+              outcome.refundTxHash
+            }`
+          );
+        }
+        return outcome;
+      }
+
+      if (outcome.status === "expired") {
+        logWithTime(
+          `Deposit expired without a fill. The funds will be refunded on ${getChainName(
+            originChainId
+          )}; tracking continues until the refund is seen.`
+        );
+        return outcome;
+      }
+
+      logWithTime(
+        `Deposit still in progress. Waiting ${
+          MONITORING.statusPollingInterval / 1000
+        } seconds for next check...`
+      );
+      await new Promise((resolve) =>
+        setTimeout(resolve, MONITORING.statusPollingInterval)
+      );
+    } catch (error) {
+      logWithTime(`Error polling deposit status: ${error.message}`);
+      await new Promise((resolve) =>
+        setTimeout(resolve, MONITORING.statusPollingInterval)
+      );
+    }
+  }
+
+  logWithTime(
+    `Exceeded maximum polling attempts. Please check the deposit status manually.`
+  );
+
+  return { status: "pending" };
+}
+
+// Scheduler for operations waiting to re-quote after a threshold failure
+const retryScheduler = createRetryScheduler(executeBridgeOperation);
+
+// Names of operations that are currently running
+const activeOperations = new Set();
+
+// Set while the daemon is running
+let daemonMode = false;
+
+// Execute a single bridge operation, with its log lines prefixed by the operation name
+export async function executeBridgeOperation(operation, attempt = 1) {
+  return operationContext.run(
+    { operation: operation.name, accountName: getAccountName(operation) },
+    () => runBridgeOperation(operation, attempt)
+  );
+}
+
+// Name an operation's account is reported under: its named account, the url of its
+// own external signer, or "default"
+function getAccountName(operation) {
+  if (operation.account) return operation.account;
+  return operation.signer ? operation.signer.url : "default";
+}
+
+// Account an operation signs with: its named account, its own external signer, or the default account
+async function resolveOperationAccount(operation) {
+  if (operation.account) {
+    return loadNamedAccount(operation.account);
+  }
+  if (!operation.signer) {
+    return unlockAccount();
+  }
+
+  const signerAccount = await getSignerAccount(operation.signer);
+  logWithTime(
+    `Signing with external signer at ${operation.signer.url} (${signerAccount.address})`
+  );
+  return signerAccount;
+}
+
+// Load every account the operations send from before anything runs, one at a time
+// so keystore prompts do not overlap
+async function unlockAccounts(operations) {
+  const accounts = new Map();
+  for (const operation of operations) {
+    const name = getAccountName(operation);
+    if (!accounts.has(name)) {
+      accounts.set(name, (await resolveOperationAccount(operation)).address);
+    }
+  }
+  return accounts;
+}
+
+// Log the accounts unlockAccounts loaded
+function logAccounts(accounts) {
+  accounts.forEach((address, name) => {
+    logWithTime(
+      name === "default"
+        ? `Using account: ${address}`
+        : `Using account ${name}: ${address}`
+    );
+  });
+}
+
+// Log what each account bridged during this run (deposits resumed from earlier runs
+// and attempts that will be retried are left out)
+function logAccountSummary() {
+  const accounts = new Map();
+
+  runRecords
+    .filter((entry) => !entry.result.resumed && !entry.result.nextRetryAt)
+    .forEach((entry) => {
+      const name = entry.account?.name || "default";
+      if (!accounts.has(name)) {
+        accounts.set(name, {
+          address: entry.account?.address,
+          succeeded: 0,
+          failed: 0,
+          amounts: new Map(),
+        });
+      }
+      const summary = accounts.get(name);
+      if (!entry.result.success) {
+        summary.failed++;
+        return;
+      }
+
+      summary.succeeded++;
+      // Amounts use the decimals read from the token contract for the entry
+      const { inputAmount, decimals } = entry.operation;
+      if (inputAmount === null || decimals === undefined) return;
+      const token = entryToken(entry);
+      const key = `${token}:${decimals}`;
+      const total = summary.amounts.get(key) || {
+        token,
+        decimals,
+        amount: 0n,
+      };
+      total.amount += parseUnits(inputAmount, decimals);
+      summary.amounts.set(key, total);
+    });
+
+  if (accounts.size === 0) return;
+
+  logWithTime(`\nAccount summary:`);
+  accounts.forEach((summary, name) => {
+    const amounts = [...summary.amounts.values()].map(
+      ({ token, decimals, amount }) =>
+        `${formatUnits(amount, decimals)} ${token}`
+    );
+    logWithTime(
+      `- ${name}${summary.address ? ` (${summary.address})` : ""}: ${
+        summary.succeeded
+      } succeeded, ${summary.failed} failed${
+        amounts.length > 0
+          ? `, ${dryRun ? "simulated" : "bridged"} ${amounts.join(", ")}`
+          : ""
+      }`
+    );
+  });
+}
+
+async function runBridgeOperation(operation, attempt) {
+  // Funds reserved by the pre-flight check until the operation finishes
+  let reservation = null;
+  activeOperations.add(operation.name);
+
+  try {
+    // Everything this operation signs or reads balances for uses its account
+    operationContext.getStore().account = await resolveOperationAccount(
+      operation
+    );
+    // Amounts are parsed with the decimals read from the token contract
+    operation = await resolveOperationToken(operation);
+    const retryPolicy = getRetryPolicy(operation);
+
+    logWithTime(`\n----------------------------------------------------`);
+    logWithTime(`STARTING BRIDGE OPERATION: ${operation.name}`);
+    if (attempt > 1) {
+      logWithTime(`Retry attempt ${attempt} of ${retryPolicy.maxAttempts}`);
+    }
+    logWithTime(`${describeBridgeOperation(operation)}`);
+    logWithTime(`----------------------------------------------------`);
+
+    // Get a quote, re-quoting whenever the operator asks for it
+    const confirmations = [];
+    let quote;
+
+    while (true) {
+      // Work out dynamic amounts from the current balance just before quoting
+      if (isDynamicAmount(operation)) {
+        const amountResolution = await resolveOperationAmount(operation);
+        operation = {
+          ...operation,
+          inputAmount: amountResolution.inputAmount,
+          amountResolution,
+        };
+
+        if (!amountResolution.ok) {
+          logWithTime(`Skipping ${operation.name}: ${amountResolution.reason}`);
+
+          const result = {
+            success: false,
+            error: amountResolution.reason,
+            attempt,
+            confirmations,
+          };
+          saveTransactionToHistory(operation, result);
+
+          return false;
+        }
+      }
+
+      quote = await getQuote(operation);
+
+      // Across rejects deposits below its minimum
+      if (quote.isAmountTooLow) {
+        const decimals = getOperationDecimals(operation);
+        const reason = `Amount ${operation.inputAmount} ${
+          operation.tokenSymbol
+        } is below the Across minimum deposit of ${formatUnits(
+          quote.limits.minDeposit,
+          decimals
+        )} ${operation.tokenSymbol}`;
+        logWithTime(`Skipping ${operation.name}: ${reason}`);
+
+        const result = {
+          success: false,
+          error: reason,
+          attempt,
+          confirmations,
+        };
+        saveTransactionToHistory(operation, result, quote);
+
+        return false;
+      }
+
+      // Check if quote meets threshold
+      const thresholdCheck = await checkQuoteThresholds(quote, operation);
+      // The USD values of the last quote go into the history entry
+      operationContext.getStore().usd = thresholdCheck.usd;
+      if (!thresholdCheck.passed) {
+        const blockedBy = thresholdCheck.blockedBy.join(", ");
+        logWithTime(
+          `Quote does not meet thresholds (${blockedBy}). Operation cancelled.`
+        );
+
+        notifier.notify("onThresholdFailure", {
+          operation,
+          ...summarizeQuote(quote, operation),
+          blockedBy,
+        });
+
+        const result = {
+          success: false,
+          error: `Quote did not meet thresholds: ${blockedBy}`,
+          thresholdCheck,
+          attempt,
+          confirmations,
+        };
+
+        // Re-quote later if the retry policy allows another attempt
+        // (dry runs report the failure instead of waiting for a retry)
+        if (!dryRun && shouldRetry(retryPolicy, attempt)) {
+          const runAt = retryScheduler.schedule(
+            operation,
+            attempt + 1,
+            retryPolicy.delayMinutes
+          );
+          result.nextRetryAt = runAt.toISOString();
+          logWithTime(
+            `Retrying ${operation.name} in ${
+              retryPolicy.delayMinutes
+            } minutes (attempt ${attempt + 1} of ${
+              retryPolicy.maxAttempts
+            } at ${runAt.toLocaleTimeString()})`
+          );
+        } else if (retryPolicy.enabled) {
+          logWithTime(
+            `No retry attempts left for ${operation.name} after ${attempt} attempts.`
+          );
+        }
+
+        saveTransactionToHistory(operation, result, quote);
+
+        return false;
+      }
+
+      if (OPTIONS.autoExecute || dryRun) {
+        break;
+      }
+
+      // Ask for confirmation if auto-execute is disabled
+      const decision = await confirmQuote(quote, operation);
+      confirmations.push(decision);
+
+      if (decision.action === "requote") {
+        continue;
+      }
+
+      if (decision.action === "amount") {
+        // An edited amount replaces any dynamic amount rule
+        operation = {
+          ...operation,
+          inputAmount: decision.amount,
+          amount: undefined,
+          amountResolution: undefined,
+        };
+        continue;
+      }
+
+      break;
+    }
+
+    const lastDecision = confirmations[confirmations.length - 1];
+    if (lastDecision && lastDecision.action !== "approve") {
+      logWithTime(`Operation ${operation.name} skipped by operator.`);
+
+      const result = {
+        success: false,
+        error: "Declined by operator",
+        attempt,
+        confirmations,
+      };
+      saveTransactionToHistory(operation, result, quote);
+
+      return false;
+    }
+
+    // Make sure the account can fund the deposit and gas before sending anything
+    if (OPTIONS.preflight?.enabled !== false) {
+      const preflight = await runPreflightChecks(quote, operation);
+
+      if (!preflight.ok) {
+        logWithTime(
+          `Skipping ${operation.name}: ${preflight.reasons.join("; ")}`
+        );
+
+        const result = {
+          success: false,
+          error: `Pre-flight check failed: ${preflight.reasons.join("; ")}`,
+          attempt,
+          confirmations,
+          preflight: preflight.details,
+        };
+        saveTransactionToHistory(operation, result, quote);
+
+        return false;
+      }
+
+      reservation = preflight.reservation;
+    }
+
+    // Simulate instead of executing in dry-run mode
+    if (dryRun) {
+      const result = await simulateQuote(quote, operation);
+      result.attempt = attempt;
+      saveTransactionToHistory(operation, result, quote);
+
+      return result.success;
+    }
+
+    // Execute quote. Notifications are delivered in the background (retries included),
+    // so a slow channel never holds up the deposit; runs wait for them before exiting.
+    notifier.notify("onExecutionStart", {
+      operation,
+      ...summarizeQuote(quote, operation),
+    });
 
-        if (progress.step === "fill") {
-          if (progress.status === "pending") {
-            logWithTime(
-              `Relayer processing your transfer on destination chain...`
-            );
-          } else if (progress.status === "txSuccess") {
-            // Mark transaction as successful when fill is complete
-            result.success = true;
+    // Execute the transaction
+    const result = await executeQuote(quote, operation, () => {
+      // The deposit has taken the funds, so the balance already reflects them
+      releaseFunds(reservation);
+      reservation = null;
+    });
+    result.attempt = attempt;
+    result.confirmations = confirmations;
 
-            if (progress.txReceipt) {
-              result.destinationTxHash = progress.txReceipt.transactionHash;
-              logWithTime(
-                `Bridge complete! Funds received on ${getChainName(
-                  operation.destinationChainId
-                )}`
-              );
-              logWithTime(
-                `- Fill transaction hash: ${progress.txReceipt.transactionHash}`
-              );
-            } else {
-              logWithTime(
-                `Bridge complete! Funds received on ${getChainName(
-                  operation.destinationChainId
-                )}`
-              );
-            }
+    // Measure the gas actually paid from the receipts
+    try {
+      result.gas = await measureOriginGas(result.gasReceipts, operation);
+      if (result.gas) logOriginGas(result.gas, operation);
+    } catch (error) {
+      logWithTime(`Warning: Could not measure origin gas: ${error.message}`);
+    }
 
-            // Fix for BigInt conversion - handle the timestamp safely
-            if (progress.fillTxTimestamp) {
-              let timestamp;
-              try {
-                // Handle if it's a BigInt by converting to string first
-                if (typeof progress.fillTxTimestamp === "bigint") {
-                  timestamp = new Date(
-                    Number(progress.fillTxTimestamp.toString()) * 1000
-                  );
-                } else {
-                  timestamp = new Date(progress.fillTxTimestamp);
-                }
-                logWithTime(`- Fill timestamp: ${timestamp.toLocaleString()}`);
-              } catch (error) {
-                logWithTime(
-                  `- Fill timestamp: [Timestamp not available in readable format]`
-                );
-              }
-            }
-          }
+    const executedQuote = result.executedQuote || quote;
+
+    // Only poll if needed and depositId exists
+    if (result.depositId && !result.success) {
+      // Poll deposit status - this will run if the transaction isn't already marked as successful
+      const outcome = await pollDepositStatus(
+        operation.originChainId,
+        result.depositId,
+        {
+          originTxHash: result.originTxHash,
+          fillDeadline: executedQuote.deposit.fillDeadline,
+          inputToken: executedQuote.deposit.inputToken,
+          depositor: getAccount().address,
+          decimals: getOperationDecimals(operation),
         }
-      },
+      );
+      // Update result based on status poll
+      applyDepositOutcome(result, outcome);
+      settlePendingDeposit(
+        operation.originChainId,
+        result.depositId,
+        outcome.status
+      );
+    } else if (result.depositId) {
+      result.outcome = "filled";
+      settlePendingDeposit(operation.originChainId, result.depositId, "filled");
+    }
+
+    // Save result to history - with BigInt safe conversion - now passing the quote object
+    saveTransactionToHistory(operation, result, executedQuote);
+
+    notifier.notify("onExecutionComplete", {
+      operation,
+      result,
+      ...summarizeQuote(executedQuote, operation),
     });
 
-    return result;
+    return result.success;
   } catch (error) {
-    logWithTime(`Error executing quote: ${error.message}`);
-    return {
+    logWithTime(`Error executing bridge operation: ${error.message}`);
+
+    notifier.notify("onError", { operation, error: error.message });
+
+    const result = {
       success: false,
       error: error.message,
+      attempt,
     };
+    saveTransactionToHistory(operation, result);
+
+    return false;
+  } finally {
+    activeOperations.delete(operation.name);
+    // Dry runs keep their reservations so later operations see the balance
+    // they would have after this one (daemon runs are independent of each other)
+    if (!dryRun || daemonMode) {
+      releaseFunds(reservation);
+    }
   }
 }
 
-// Poll the status of a deposit
-async function pollDepositStatus(originChainId, depositId) {
-  logWithTime(`Polling status for deposit ID: ${depositId}`);
+// Apply the outcome of polling a deposit to its result
+function applyDepositOutcome(result, outcome) {
+  result.outcome = outcome.status;
+
+  if (outcome.status === "filled") {
+    result.success = true;
+    result.destinationTxHash = result.destinationTxHash || outcome.fillTxHash;
+  } else if (outcome.status === "failed") {
+    result.error = result.error || "Deposit failed";
+  } else if (outcome.status === "expired") {
+    result.error = "Deposit expired before it was filled (refund pending)";
+  } else if (outcome.status === "refunded") {
+    result.error = "Deposit expired and was refunded";
+    result.refundTxHash = outcome.refundTxHash;
+    result.refundAmount = outcome.refundAmount;
+  }
 
-  let attempts = 0;
-  let completed = false;
+  return result;
+}
 
-  while (!completed && attempts < MONITORING.maxPollingAttempts) {
-    attempts++;
+// Resume tracking deposits left outstanding by an earlier run, and record their final status
+export async function resumePendingDeposits() {
+  const deposits = depositStore.list();
+  if (deposits.length === 0) return;
 
-    try {
-      const url = `https://app.across.to/api/deposit/status?originChainId=${originChainId}&depositId=${depositId}`;
-      const response = await axios.get(url);
-      const status = response.data;
+  if (dryRun) {
+    logWithTime(
+      `${deposits.length} pending deposits from earlier runs (not resumed in dry-run mode)`
+    );
+    return;
+  }
 
-      logWithTime(
-        `Deposit status (attempt ${attempts}): ${status.status.toLowerCase()}`
-      );
+  logWithTime(`Resuming ${deposits.length} pending deposits from earlier runs`);
 
-      // Check for successful completion
-      const statusLower = status.status.toLowerCase();
-      if (statusLower === "filled" || statusLower === "success") {
-        logWithTime(`Deposit successfully completed!`);
-        completed = true;
-        return true;
-      } else if (statusLower === "failed") {
-        logWithTime(`Deposit failed!`);
-        completed = true;
-        return false;
-      }
-      // Added check for "fill" or "filled" status to consider it complete
-      else if (statusLower === "fill" || statusLower === "filled") {
-        logWithTime(`Deposit successful! (Status: ${status.status})`);
-        completed = true;
-        return true;
-      } else {
-        logWithTime(
-          `Deposit still in progress. Waiting ${
-            MONITORING.statusPollingInterval / 1000
-          } seconds for next check...`
-        );
-        await new Promise((resolve) =>
-          setTimeout(resolve, MONITORING.statusPollingInterval)
-        );
-      }
-    } catch (error) {
-      logWithTime(`Error polling deposit status: ${error.message}`);
-      await new Promise((resolve) =>
-        setTimeout(resolve, MONITORING.statusPollingInterval)
+  await runWithConcurrency(
+    deposits,
+    OPTIONS.maxConcurrentOperations || 1,
+    (deposit) =>
+      operationContext.run(
+        {
+          operation: deposit.operationName,
+          accountName: deposit.accountName || "default",
+        },
+        async () => {
+          const outcome = await pollDepositStatus(
+            deposit.originChainId,
+            deposit.depositId,
+            deposit
+          );
+          settlePendingDeposit(
+            deposit.originChainId,
+            deposit.depositId,
+            outcome.status
+          );
+
+          // Nothing new to record while the deposit is still open
+          if (
+            outcome.status === "pending" ||
+            (outcome.status === "expired" && deposit.status === "expired")
+          ) {
+            return;
+          }
+
+          saveTransactionToHistory(
+            {
+              name: deposit.operationName,
+              tokenSymbol: deposit.tokenSymbol,
+              originChainId: deposit.originChainId,
+              destinationChainId: deposit.destinationChainId,
+              inputAmount: deposit.inputAmount,
+              depositor: deposit.depositor,
+            },
+            applyDepositOutcome(
+              {
+                success: false,
+                depositId: deposit.depositId,
+                originTxHash: deposit.originTxHash,
+                resumed: true,
+              },
+              outcome
+            )
+          );
+        }
+      )
+  );
+}
+
+// Wait for every operation that is scheduled to retry, listing when each retry runs.
+// With OPTIONS.waitForRetries off (or --no-retry-wait) the retries are cancelled instead.
+export async function waitForScheduledRetries() {
+  const retries = retryScheduler.listPending();
+  if (retries.length > 0) {
+    if (waitForRetries) {
+      logWithTime(
+        `Waiting for ${retries.length} scheduled retries (--no-retry-wait exits without them):`
       );
+    } else {
+      retryScheduler.cancelAll();
+      logWithTime(`Cancelled ${retries.length} scheduled retries:`);
     }
+    retries.forEach(({ operation, attempt, runAt }) => {
+      logWithTime(
+        `- ${operation.name}: attempt ${attempt} at ${runAt.toLocaleTimeString()}`
+      );
+    });
   }
 
-  if (!completed) {
+  // Attempts that already started always finish
+  await retryScheduler.waitForAll();
+}
+
+// Decimals of a token on one chain, read from its contract (USDC has 18 on BNB Chain).
+// A contract with another symbol stops the plan; an unreadable one uses the config.
+async function readRebalanceDecimals(tokenSymbol, chainId) {
+  try {
+    const metadata = await tokenMetadata.resolve({
+      address: getTokenAddress(tokenSymbol, chainId),
+      chainId,
+      symbol: tokenSymbol,
+    });
+    return metadata.decimals;
+  } catch (error) {
+    if (error instanceof TokenMetadataError) throw error;
+    const decimals = getTokenDecimals(tokenSymbol);
     logWithTime(
-      `Exceeded maximum polling attempts. Please check the deposit status manually.`
+      `Warning: Could not read ${tokenSymbol} on ${getChainName(chainId)} (${
+        error.shortMessage || error.message
+      }); using ${decimals} decimals from the config`
     );
+    return decimals;
+  }
+}
+
+// Read a token's balance and decimals on every chain in CHAINS that has it
+async function readChainBalances(
+  owner,
+  tokenSymbol,
+  useNativeToken,
+  targetChainIds
+) {
+  const isNative = tokenSymbol === "ETH" && useNativeToken;
+  const balances = {};
+  const decimals = {};
+  const unavailable = [];
+
+  for (const chainId of Object.keys(CHAINS).map(Number)) {
+    if (!getSupportedTokensForChain(chainId).includes(tokenSymbol)) continue;
+
+    try {
+      const result = await readBalances(
+        client.getPublicClient(chainId),
+        owner,
+        isNative ? null : getTokenAddress(tokenSymbol, chainId)
+      );
+      balances[chainId] = isNative ? result.native : result.token;
+    } catch (error) {
+      // A missing balance on a targeted chain would skew every share, so stop
+      if (targetChainIds.includes(chainId)) {
+        throw new Error(
+          `Could not read ${tokenSymbol} balance on ${getChainName(chainId)}: ${
+            error.shortMessage || error.message
+          }`
+        );
+      }
+      unavailable.push(chainId);
+      continue;
+    }
+    decimals[chainId] = isNative
+      ? 18
+      : await readRebalanceDecimals(tokenSymbol, chainId);
   }
 
-  return completed;
+  return { balances, decimals, unavailable };
 }
 
-// Execute a single bridge operation
-async function executeBridgeOperation(operation) {
-  try {
-    logWithTime(`\n----------------------------------------------------`);
-    logWithTime(`STARTING BRIDGE OPERATION: ${operation.name}`);
-    logWithTime(`${describeBridgeOperation(operation)}`);
-    logWithTime(`----------------------------------------------------`);
+// Convert an amount between decimals, dropping digits the smaller one cannot hold
+function scaleAmount(amount, fromDecimals, toDecimals) {
+  return toDecimals >= fromDecimals
+    ? amount * 10n ** BigInt(toDecimals - fromDecimals)
+    : amount / 10n ** BigInt(fromDecimals - toDecimals);
+}
 
-    // Get quote
-    const quote = await getQuote(operation);
+// Account whose balances are rebalanced: REBALANCE.account, or the default account
+function getRebalanceAccount() {
+  return REBALANCE.account
+    ? loadNamedAccount(REBALANCE.account)
+    : unlockAccount();
+}
 
-    // Check if quote meets threshold
-    if (!quoteExceedsThresholds(quote, operation)) {
-      logWithTime(`Quote does not meet thresholds. Operation cancelled.`);
+// Work out the rebalancing transfers for every enabled token in REBALANCE
+// (or just tokenSymbol, enabled or not)
+export async function buildRebalancePlan(tokenSymbol = null) {
+  const tokens = Object.entries(REBALANCE.tokens || {}).filter(
+    ([symbol, settings]) =>
+      tokenSymbol ? symbol === tokenSymbol : settings.enabled
+  );
 
-      if (MONITORING.notifications.onThresholdFailure) {
-        // You could implement notification logic here
-        logWithTime(
-          `Notification: Thresholds not met for operation ${operation.name}`
-        );
-      }
+  if (tokenSymbol && tokens.length === 0) {
+    throw new Error(`No rebalancing targets for ${tokenSymbol} in REBALANCE`);
+  }
 
-      const result = {
-        success: false,
-        error: "Quote did not meet thresholds",
-      };
-      saveTransactionToHistory(operation, result, quote);
+  const owner = (await getRebalanceAccount()).address;
+  const plans = [];
+  for (const [symbol, settings] of tokens) {
+    const useNativeToken = settings.useNativeToken ?? symbol === "ETH";
+    const targetChainIds = Object.keys(settings.targets).map(Number);
+    const tolerancePercentage =
+      settings.tolerancePercentage ?? REBALANCE.tolerancePercentage ?? 0;
+
+    const chainBalances = await readChainBalances(
+      owner,
+      symbol,
+      useNativeToken,
+      targetChainIds
+    );
+    const { unavailable } = chainBalances;
+    // Balances are compared in the largest decimals any chain uses for the token
+    const decimals = Math.max(
+      getConfiguredDecimals(symbol) ?? 0,
+      ...Object.values(chainBalances.decimals)
+    );
+    const balances = Object.fromEntries(
+      Object.entries(chainBalances.balances).map(([chainId, balance]) => [
+        chainId,
+        scaleAmount(balance, chainBalances.decimals[chainId], decimals),
+      ])
+    );
+    // Transfers are sent in the decimals of their origin chain
+    const originAmount = (transfer) => {
+      const originDecimals = chainBalances.decimals[transfer.originChainId];
+      return formatUnits(
+        scaleAmount(transfer.amount, decimals, originDecimals),
+        originDecimals
+      );
+    };
+    const targets = resolveRebalanceTargets(
+      settings.targets,
+      balances,
+      decimals
+    );
+    const plan = computeRebalancePlan({
+      balances,
+      targets,
+      tolerancePercentage,
+      routes: findAvailableRoutes(symbol),
+      minTransfer: parseUnits(String(settings.minTransfer || 0), decimals),
+    });
 
-      return false;
-    }
+    plans.push({
+      tokenSymbol: symbol,
+      useNativeToken,
+      tolerancePercentage,
+      chains: plan.chains.map((chain) => ({
+        ...chain,
+        balance: formatUnits(chain.balance, decimals),
+        target: formatUnits(chain.target, decimals),
+      })),
+      untracked: Object.entries(balances)
+        .filter(([chainId]) => !targetChainIds.includes(Number(chainId)))
+        .map(([chainId, balance]) => ({
+          chainId: Number(chainId),
+          balance: formatUnits(balance, decimals),
+        })),
+      unavailable,
+      transfers: plan.transfers.map((transfer) => ({
+        name: `Rebalance ${symbol} ${getChainName(
+          transfer.originChainId
+        )} to ${getChainName(transfer.destinationChainId)}`,
+        tokenSymbol: symbol,
+        originChainId: transfer.originChainId,
+        destinationChainId: transfer.destinationChainId,
+        inputAmount: originAmount(transfer),
+        decimals: chainBalances.decimals[transfer.originChainId],
+        useNativeToken,
+        ...(REBALANCE.account ? { account: REBALANCE.account } : {}),
+        retry: false, // The next run plans from fresh balances instead
+      })),
+      unresolved: plan.unresolved.map((entry) => ({
+        ...entry,
+        amount: formatUnits(entry.amount, decimals),
+      })),
+    });
+  }
+
+  return plans;
+}
+
+// Log a rebalancing plan
+function logRebalancePlan(plans) {
+  if (plans.length === 0) {
+    logWithTime(`No enabled tokens in REBALANCE.`);
+    return;
+  }
 
-    // Ask for confirmation if auto-execute is disabled
-    if (!OPTIONS.autoExecute) {
-      logWithTime(`\nQuote meets thresholds and is ready to execute.`);
+  plans.forEach((plan) => {
+    logWithTime(
+      `Rebalancing ${plan.tokenSymbol} (tolerance: ${plan.tolerancePercentage}%):`
+    );
+    plan.chains.forEach((chain) => {
       logWithTime(
-        `Since auto-execute is disabled, please modify the config.js file to enable it.`
+        `- ${getChainName(chain.chainId)}: ${chain.balance} (target: ${
+          chain.target
+        }) ${chain.status}`
       );
+    });
+    if (plan.untracked.length > 0) {
       logWithTime(
-        `Set OPTIONS.autoExecute = true to automatically execute transactions.`
+        `- Not targeted: ${plan.untracked
+          .map((chain) => `${getChainName(chain.chainId)} ${chain.balance}`)
+          .join(", ")}`
       );
+    }
+    if (plan.unavailable.length > 0) {
+      logWithTime(
+        `- Balance unavailable: ${plan.unavailable
+          .map((chainId) => getChainName(chainId))
+          .join(", ")}`
+      );
+    }
 
-      const result = {
-        success: false,
-        error: "Auto-execute disabled",
-      };
-      saveTransactionToHistory(operation, result, quote);
-
-      return false;
+    if (plan.transfers.length === 0) {
+      logWithTime(`No transfers needed for ${plan.tokenSymbol}.`);
+    } else {
+      logWithTime(`Planned transfers:`);
+      plan.transfers.forEach((transfer, index) => {
+        logWithTime(`${index + 1}. ${describeBridgeOperation(transfer)}`);
+      });
     }
 
-    // Execute quote
-    if (MONITORING.notifications.onExecutionStart) {
-      // You could implement notification logic here
+    plan.unresolved.forEach((entry) => {
       logWithTime(
-        `Notification: Starting execution of operation ${operation.name}`
+        `Cannot rebalance ${getChainName(entry.chainId)} by ${entry.amount} ${
+          plan.tokenSymbol
+        }: ${entry.reason}`
       );
-    }
+    });
+  });
+}
 
-    // Execute the transaction
-    const result = await executeQuote(quote, operation);
+// Rebalance tokens across chains: plan the transfers, then (unless planOnly) quote
+// and run each one through the usual threshold checks
+export async function runRebalance({ planOnly = false, tokenSymbol = null } = {}) {
+  const owner = await getRebalanceAccount();
+  logWithTime(
+    `Reading balances for ${owner.address}${
+      REBALANCE.account ? ` (${REBALANCE.account})` : ""
+    }`
+  );
 
-    // Only poll if needed and depositId exists
-    if (result.depositId && !result.success) {
-      // Poll deposit status - this will run if the transaction isn't already marked as successful
-      const statusResult = await pollDepositStatus(
-        operation.originChainId,
-        result.depositId
+  logRoutes(await refreshRoutes());
+  const plans = await buildRebalancePlan(tokenSymbol);
+  logRebalancePlan(plans);
+
+  if (planOnly) {
+    return plans;
+  }
+
+  if (dryRun) {
+    logWithTime(`Dry run mode: transactions will be simulated, not sent`);
+  }
+
+  await runWithConcurrency(
+    plans.flatMap((plan) => plan.transfers),
+    OPTIONS.maxConcurrentOperations || 1,
+    (operation) => executeBridgeOperation(operation)
+  );
+  await notifier.flush();
+  logAccountSummary();
+
+  return plans;
+}
+
+// Longest delay setTimeout supports; later runs are re-checked when it fires
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Run scheduled operations until SIGINT/SIGTERM. One Across client and the wallet
+// clients stay alive between runs, runs share OPTIONS.maxConcurrentOperations, a run
+// is skipped while the same operation is still running (or waiting to retry), and
+// shutdown waits for in-flight deposits
+export async function runDaemon() {
+  const scheduled = BRIDGE_OPERATIONS.filter((op) => op.enabled && op.schedule);
+  const unscheduled = BRIDGE_OPERATIONS.filter(
+    (op) => op.enabled && !op.schedule
+  );
+
+  const accounts = await unlockAccounts(scheduled);
+  daemonMode = true;
+
+  logWithTime(`Starting Across Bridge daemon`);
+  logAccounts(accounts);
+  logRoutes(await refreshRoutes());
+  if (dryRun) {
+    logWithTime(`Dry run mode: transactions will be simulated, not sent`);
+  }
+  unscheduled.forEach((op) => {
+    logWithTime(`${op.name} has no schedule and will not run in daemon mode`);
+  });
+
+  if (scheduled.length === 0) {
+    logWithTime(
+      `No enabled operations with a schedule found in config.js. Exiting.`
+    );
+    return;
+  }
+
+  // Deposits from before a restart are tracked alongside the scheduled runs
+  const resumed = resumePendingDeposits().catch((error) => {
+    logWithTime(`Error resuming pending deposits: ${error.message}`);
+  });
+
+  await notifier.notify("onStart", {
+    account: [...accounts.values()].join(", "),
+    operationCount: scheduled.length,
+  });
+
+  const timers = new Map();
+  // Scheduled runs share the operation limit of a normal run (retries keep their own queue)
+  const runner = createConcurrencyLimiter(OPTIONS.maxConcurrentOperations || 1);
+  // Names of operations with a run that is waiting for a slot or running
+  const dueRuns = new Set();
+  let stopping = false;
+  let resolveStopped;
+  const stopped = new Promise((resolve) => {
+    resolveStopped = resolve;
+  });
+
+  function scheduleNext(operation, lastRunAt = null) {
+    if (stopping) return;
+
+    const nextRunAt = getNextRunTime(operation.schedule, {
+      now: new Date(),
+      lastRunAt,
+    });
+    if (!nextRunAt) {
+      logWithTime(`${operation.name}: schedule has no future runs`);
+      return;
+    }
+
+    const delay = Math.max(0, nextRunAt.getTime() - Date.now());
+    if (delay > 0) {
+      logWithTime(
+        `${operation.name}: next run at ${nextRunAt.toLocaleString()}`
       );
-      // Update result success based on status poll
-      if (statusResult) {
-        result.success = true;
-      }
     }
 
-    // Save result to history - with BigInt safe conversion - now passing the quote object
-    saveTransactionToHistory(operation, result, quote);
+    timers.set(
+      operation.name,
+      setTimeout(() => {
+        if (delay > MAX_TIMER_MS) {
+          scheduleNext(operation, lastRunAt);
+        } else {
+          runScheduled(operation);
+        }
+      }, Math.min(delay, MAX_TIMER_MS))
+    );
+  }
+
+  function runScheduled(operation) {
+    const startedAt = new Date();
+    scheduleNext(operation, startedAt);
 
-    if (MONITORING.notifications.onExecutionComplete) {
-      // You could implement notification logic here
+    if (
+      dueRuns.has(operation.name) ||
+      activeOperations.has(operation.name) ||
+      retryScheduler.isScheduled(operation.name)
+    ) {
       logWithTime(
-        `Notification: Operation ${operation.name} completed with status: ${
-          result.success ? "Success" : "Failed"
-        }`
+        `${operation.name}: previous run still in progress, skipping this run`
       );
+      return;
     }
 
-    return result.success;
-  } catch (error) {
-    logWithTime(`Error executing bridge operation: ${error.message}`);
+    dueRuns.add(operation.name);
+    // Each tick picks up a route list that went stale since the last one
+    refreshRoutes().catch(() => {});
+    runner
+      .run(() => executeBridgeOperation(operation))
+      .catch((error) => {
+        logWithTime(`${operation.name}: run failed: ${error.message}`);
+      })
+      .finally(() => dueRuns.delete(operation.name));
+  }
+
+  async function shutdown(signal) {
+    if (stopping) {
+      logWithTime(`Received ${signal} again, exiting without waiting`);
+      process.exit(1);
+    }
+    stopping = true;
 
-    if (MONITORING.notifications.onError) {
-      // You could implement notification logic here
+    logWithTime(`Received ${signal}, shutting down...`);
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+
+    const cancelled = runner.cancelQueued() + retryScheduler.cancelAll();
+    if (cancelled > 0) {
+      logWithTime(`Cancelled ${cancelled} queued runs and retries`);
+    }
+
+    // Let running operations finish tracking their deposits
+    if (runner.pendingCount() + retryScheduler.pendingCount() > 0) {
       logWithTime(
-        `Notification: Error in operation ${operation.name}: ${error.message}`
+        `Waiting for in-flight operations to finish (press Ctrl+C again to force exit)...`
       );
+      await Promise.all([runner.waitForAll(), retryScheduler.waitForAll()]);
     }
+    await resumed;
+    await notifier.flush();
 
-    const result = {
-      success: false,
-      error: error.message,
-    };
-    saveTransactionToHistory(operation, result);
+    logAccountSummary();
+    logWithTime(`Daemon stopped.`);
+    resolveStopped();
+  }
 
-    return false;
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+  logWithTime(`Scheduling ${scheduled.length} operations:`);
+  for (const [index, op] of scheduled.entries()) {
+    logWithTime(
+      `${index + 1}. ${op.name}: ${await describeOperation(
+        op
+      )} (${describeSchedule(op.schedule)})`
+    );
   }
+  scheduled.forEach((op) => scheduleNext(op));
+
+  await stopped;
 }
 
 // Main function
-async function main() {
+export async function main() {
+  // Filter enabled operations
+  const enabledOperations = BRIDGE_OPERATIONS.filter((op) => op.enabled);
+
+  // Every account the enabled operations send from must be available before anything runs
+  let accounts;
+  try {
+    accounts = await unlockAccounts(enabledOperations);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
   try {
     logWithTime(`Starting Across Bridge Automation`);
-    logWithTime(`Using account: ${account.address}`);
+    logAccounts(accounts);
+    logRoutes(await refreshRoutes());
+    if (dryRun) {
+      logWithTime(`Dry run mode: transactions will be simulated, not sent`);
+    }
 
-    // Filter enabled operations
-    const enabledOperations = BRIDGE_OPERATIONS.filter((op) => op.enabled);
+    // Pick up deposits an earlier run did not see through, alongside the new operations
+    const resumed = resumePendingDeposits().catch((error) => {
+      logWithTime(`Error resuming pending deposits: ${error.message}`);
+    });
 
     if (enabledOperations.length === 0) {
       logWithTime(
         `No enabled bridge operations found in config.js. Please enable at least one operation.`
       );
+      await resumed;
       return;
     }
 
     logWithTime(`Found ${enabledOperations.length} enabled operations:`);
-    enabledOperations.forEach((op, index) => {
-      logWithTime(`${index + 1}. ${op.name}: ${describeBridgeOperation(op)}`);
-    });
+    for (const [index, op] of enabledOperations.entries()) {
+      logWithTime(`${index + 1}. ${op.name}: ${await describeOperation(op)}`);
+    }
 
-    // Execute each enabled operation
-    for (const operation of enabledOperations) {
-      await executeBridgeOperation(operation);
+    // Warn early when queued operations share a balance that cannot cover them all
+    if (OPTIONS.preflight?.enabled !== false) {
+      await checkQueuedFunding(enabledOperations);
     }
 
+    await notifier.notify("onStart", {
+      account: [...accounts.values()].join(", "),
+      operationCount: enabledOperations.length,
+    });
+
+    // Execute the enabled operations, up to OPTIONS.maxConcurrentOperations at once
+    await runWithConcurrency(
+      enabledOperations,
+      OPTIONS.maxConcurrentOperations || 1,
+      (operation) => executeBridgeOperation(operation)
+    );
+
+    // Wait for any operations that are scheduled to retry
+    await waitForScheduledRetries();
+    await resumed;
+    await notifier.flush();
+
+    logAccountSummary();
     logWithTime(`All operations completed. Exiting.`);
   } catch (error) {
     logWithTime(`Fatal error: ${error.message}`);
@@ -580,4 +3181,17 @@ async function main() {
   }
 }
 
-main().catch(console.error);
+// Run when executed directly (the CLI imports this module instead)
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  if (process.argv.includes("--daemon")) {
+    runDaemon().catch((error) => {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    });
+  } else {
+    main().catch(console.error);
+  }
+}
@@ -0,0 +1,733 @@
+#!/usr/bin/env node
+// Command-line interface for Across Bridge Automation
+import { parseArgs } from "util";
+import path from "path";
+import { getAddress, isAddress } from "viem";
+import { generatePrivateKey } from "viem/accounts";
+import {
+  BRIDGE_OPERATIONS,
+  ACCOUNTS,
+  CHAINS,
+  OPTIONS,
+} from "../tools/config.js";
+import {
+  getChainName,
+  getSupportedChains,
+  getSupportedTokensForChain,
+  getExplorerTxUrl,
+  findAvailableRoutes,
+} from "../tools/helper.js";
+import {
+  main,
+  runDaemon,
+  getQuote,
+  summarizeQuote,
+  checkQuoteThresholds,
+  executeBridgeOperation,
+  waitForScheduledRetries,
+  checkDepositStatus,
+  pollDepositStatus,
+  queryTransactionHistory,
+  getRunRecords,
+  setLogStream,
+  runRebalance,
+  getPendingDeposits,
+  resumePendingDeposits,
+  refreshRoutes,
+  resolveOperationForQuote,
+} from "./across-bridge.js";
+import { parseAmountSpec } from "../tools/amounts.js";
+import {
+  entryToken,
+  entryStatus,
+  historyToCsv,
+} from "../tools/historyStore.js";
+import {
+  encryptKeystore,
+  saveKeystore,
+  readPassphrase,
+  promptPassphrase,
+} from "../tools/keystore.js";
+
+const USAGE = `Usage: across-bridge <command> [options]
+
+Commands:
+  quote                               Get a quote and check it against the thresholds
+  bridge                              Bridge using the flags below, a named --operation,
+                                      or every enabled operation in config.js
+  daemon                              Run scheduled operations until stopped (Ctrl+C)
+  status <originChainId> <depositId>  Show the status of a deposit (add the deposit
+                                      transaction hash to track it with --status-source rpc)
+  pending                             List deposits that have not been seen filled yet
+                                      (--wait to resume tracking them)
+  history                             Show transaction history (filter with --since, --until,
+                                      --token, --from, --to, --status, --operation, --account;
+                                      --csv to export)
+  routes <token>                      List the routes Across supports for a token
+  rebalance                           Move balances back to the targets in REBALANCE
+                                      (--plan to only print the transfers)
+  chains                              List the supported chains
+  keystore <create|import> [file]     Encrypt a new key, or the key in PRIVATE_KEY (or typed
+                                      at the prompt), into a keystore file
+
+Options:
+  --token <symbol>          Token to bridge (e.g. ETH, USDC, or a token address on the
+                            origin chain), or to rebalance
+  --from <chainId>          Origin chain ID (alias: --origin)
+  --to <chainId>            Destination chain ID (alias: --destination)
+  --amount <amount>         Amount to bridge in token units, or "50%", "max",
+                            "max-0.05" (balance minus a reserve)
+  --recipient <address>     Recipient on the destination chain (defaults to the sender)
+  --output-token <token>    Token to receive on the destination chain (a symbol or an
+                            address; defaults to the token bridged)
+  --bridged                 Receive the bridged variant on the destination (e.g. USDC.e)
+  --native                  Bridge native ETH instead of WETH (default for ETH)
+  --wrapped                 Bridge WETH instead of native ETH
+  --operation <name>        Use an operation from BRIDGE_OPERATIONS in config.js
+  --account <name>          Send from a named account in ACCOUNTS; with history: entries
+                            of that account (name or address)
+  --min-output <ratio>      Override THRESHOLDS.minOutputPercentage (e.g. 0.995)
+  --min-output-amount <n>   Minimum amount received, in token units
+  --max-relay-fee <n>       Maximum relay fee, in token units
+  --max-lp-fee <n>          Maximum LP fee, in token units
+  --max-fee-bps <bps>       Maximum relay + LP fee in basis points of the input
+  --max-fee-usd <usd>       Maximum relay + LP fee in USD (needs OPTIONS.prices)
+  --max-gas-usd <usd>       Maximum estimated origin gas in USD
+  --max-total-cost <n>      Maximum relay + LP fee + origin gas, in token units
+  --max-total-cost-bps <n>  Maximum relay + LP fee + origin gas in basis points
+  --max-total-cost-usd <n>  Maximum relay + LP fee + origin gas in USD
+  --min-output-usd <usd>    Minimum value received in USD
+  --max-fill-time <sec>     Override THRESHOLDS.maxFillTimeSeconds
+  --config <path>           Load settings from a JSON or YAML config file
+  --dry-run                 Simulate the bridge without broadcasting
+  --offline                 Use the cached Across routes instead of fetching them
+  --no-retry-wait           With bridge: exit without waiting for scheduled retries
+  --plan                    With rebalance: print the plan without quoting or bridging
+  --wait                    With status or pending: poll until the deposits complete
+  --limit <n>               With history: number of entries to show (default 20, all with --csv)
+  --since <date>            With history: entries on or after this date (e.g. 2025-01-31)
+  --until <date>            With history: entries up to and including this date
+  --status <status>         With history: success, failed, expired, refunded or simulation
+  --csv                     With history: print the matching entries as CSV for accounting
+  --status-source <source>  Where deposit status comes from: api, rpc (SpokePool events)
+                            or auto (api, falling back to rpc)
+  --json                    Print machine-readable JSON to stdout (logs go to stderr)
+  --help                    Show this help
+`;
+
+const OPTION_SPEC = {
+  token: { type: "string" },
+  from: { type: "string" },
+  origin: { type: "string" },
+  to: { type: "string" },
+  destination: { type: "string" },
+  amount: { type: "string" },
+  recipient: { type: "string" },
+  "output-token": { type: "string" },
+  bridged: { type: "boolean" },
+  native: { type: "boolean" },
+  wrapped: { type: "boolean" },
+  operation: { type: "string" },
+  account: { type: "string" },
+  "min-output": { type: "string" },
+  "min-output-amount": { type: "string" },
+  "max-relay-fee": { type: "string" },
+  "max-lp-fee": { type: "string" },
+  "max-fee-bps": { type: "string" },
+  "max-fee-usd": { type: "string" },
+  "max-gas-usd": { type: "string" },
+  "max-total-cost": { type: "string" },
+  "max-total-cost-bps": { type: "string" },
+  "max-total-cost-usd": { type: "string" },
+  "min-output-usd": { type: "string" },
+  "max-fill-time": { type: "string" },
+  config: { type: "string" },
+  "dry-run": { type: "boolean" },
+  offline: { type: "boolean" },
+  "no-retry-wait": { type: "boolean" },
+  plan: { type: "boolean" },
+  wait: { type: "boolean" },
+  limit: { type: "string" },
+  since: { type: "string" },
+  until: { type: "string" },
+  status: { type: "string" },
+  "status-source": { type: "string" },
+  csv: { type: "boolean" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+// Print a command result as JSON or as human-readable lines
+function output(options, data, lines = []) {
+  if (options.json) {
+    console.log(
+      JSON.stringify(
+        data,
+        (key, value) => (typeof value === "bigint" ? value.toString() : value),
+        2
+      )
+    );
+    return;
+  }
+
+  lines.forEach((line) => console.log(line));
+}
+
+// Parse a numeric flag, failing with the flag name
+function parseNumber(value, flag) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`--${flag} must be a number, got "${value}"`);
+  }
+  return number;
+}
+
+// Command-line flags that override a threshold rule
+const THRESHOLD_FLAGS = {
+  "min-output": "minOutputPercentage",
+  "min-output-amount": "minOutputAmount",
+  "max-relay-fee": "maxRelayFee",
+  "max-lp-fee": "maxLpFee",
+  "max-fee-bps": "maxFeeBps",
+  "max-fee-usd": "maxFeeUsd",
+  "max-gas-usd": "maxGasUsd",
+  "max-total-cost": "maxTotalCost",
+  "max-total-cost-bps": "maxTotalCostBps",
+  "max-total-cost-usd": "maxTotalCostUsd",
+  "min-output-usd": "minOutputUsd",
+  "max-fill-time": "maxFillTimeSeconds",
+};
+
+// Build a bridge operation from a named config operation and/or the command-line flags
+function buildOperation(options) {
+  let operation = {};
+
+  if (options.operation) {
+    const configured = BRIDGE_OPERATIONS.find(
+      (op) => op.name === options.operation
+    );
+    if (!configured) {
+      throw new Error(
+        `No operation named "${options.operation}" in BRIDGE_OPERATIONS`
+      );
+    }
+    operation = { ...configured };
+  }
+
+  // --token takes a symbol or the token's address on the origin chain
+  const tokenByAddress = Boolean(options.token && isAddress(options.token));
+  const tokenSymbol = tokenByAddress
+    ? undefined
+    : options.token || operation.tokenSymbol;
+  let tokenAddress = options.token ? undefined : operation.tokenAddress;
+  if (tokenByAddress) {
+    tokenAddress = getAddress(options.token);
+  }
+  const originChainId = options.from || options.origin || operation.originChainId;
+  const destinationChainId =
+    options.to || options.destination || operation.destinationChainId;
+  const inputAmount =
+    options.amount || operation.inputAmount || operation.amount;
+
+  const missing = [
+    ["--token", tokenSymbol || tokenAddress],
+    ["--from", originChainId],
+    ["--to", destinationChainId],
+    ["--amount", inputAmount],
+  ]
+    .filter(([, value]) => value === undefined)
+    .map(([flag]) => flag);
+  if (missing.length > 0) {
+    throw new Error(`Missing required options: ${missing.join(", ")}`);
+  }
+
+  operation = {
+    ...operation,
+    tokenSymbol,
+    tokenAddress,
+    originChainId: parseNumber(originChainId, "from"),
+    destinationChainId: parseNumber(destinationChainId, "to"),
+  };
+
+  if (options.amount) {
+    const amount = parseAmountSpec(options.amount);
+    if (amount.mode === "fixed") {
+      operation.inputAmount = amount.value;
+      delete operation.amount;
+    } else {
+      operation.amount = amount;
+      delete operation.inputAmount;
+    }
+  }
+
+  if (!CHAINS[operation.originChainId]) {
+    throw new Error(`Unknown origin chain ID: ${operation.originChainId}`);
+  }
+  if (!CHAINS[operation.destinationChainId]) {
+    throw new Error(
+      `Unknown destination chain ID: ${operation.destinationChainId}`
+    );
+  }
+
+  if (!operation.name) {
+    operation.name = `${tokenSymbol || tokenAddress} ${getChainName(
+      operation.originChainId
+    )} to ${getChainName(operation.destinationChainId)}`;
+  }
+  // Decimals of another token are read from its contract
+  if (options.token) {
+    delete operation.decimals;
+  }
+  // --output-token picks the destination token by symbol or address, and --bridged its
+  // bridged variant; another input token drops the output token of the operation
+  if (options.token || options["output-token"]) {
+    delete operation.outputTokenSymbol;
+    delete operation.outputTokenAddress;
+    delete operation.useBridged;
+  }
+  if (options["output-token"]) {
+    if (isAddress(options["output-token"])) {
+      operation.outputTokenAddress = getAddress(options["output-token"]);
+    } else {
+      operation.outputTokenSymbol = options["output-token"];
+    }
+  }
+  if (options.bridged) {
+    if (options["output-token"] && operation.outputTokenAddress) {
+      throw new Error(
+        "--bridged cannot be combined with an output token address"
+      );
+    }
+    delete operation.outputTokenAddress;
+    operation.useBridged = true;
+  }
+  if (options.native || options.wrapped || operation.useNativeToken === undefined) {
+    operation.useNativeToken = tokenSymbol === "ETH" && !options.wrapped;
+  }
+  if (options.recipient) {
+    operation.recipient = options.recipient;
+  }
+  if (options.account) {
+    if (!ACCOUNTS[options.account]) {
+      throw new Error(`No account named "${options.account}" in ACCOUNTS`);
+    }
+    operation.account = options.account;
+    delete operation.signer;
+  }
+
+  // Threshold overrides
+  const thresholds = { ...(operation.thresholds || {}) };
+  Object.entries(THRESHOLD_FLAGS).forEach(([flag, rule]) => {
+    if (options[flag] !== undefined) {
+      thresholds[rule] = parseNumber(options[flag], flag);
+    }
+  });
+  if (Object.keys(thresholds).length > 0) {
+    operation.thresholds = thresholds;
+  }
+
+  return operation;
+}
+
+// quote: get a quote and check it against the thresholds
+async function quoteCommand(options) {
+  // Dynamic amounts are worked out from the balance before quoting
+  const operation = await resolveOperationForQuote(buildOperation(options));
+  const quote = await getQuote(operation);
+  const thresholdCheck = await checkQuoteThresholds(quote, operation);
+  const meetsThresholds = thresholdCheck.passed;
+
+  output(
+    options,
+    {
+      operation,
+      quote: summarizeQuote(quote, operation),
+      deposit: quote.deposit,
+      limits: quote.limits,
+      isAmountTooLow: quote.isAmountTooLow,
+      meetsThresholds,
+      thresholdChecks: thresholdCheck.checks,
+      originGas: thresholdCheck.originGas,
+      usd: thresholdCheck.usd,
+    },
+    [
+      meetsThresholds
+        ? "Quote meets the thresholds."
+        : `Quote does not meet the thresholds (${thresholdCheck.blockedBy.join(
+            ", "
+          )}).`,
+    ]
+  );
+
+  process.exitCode = meetsThresholds ? 0 : 1;
+}
+
+// bridge: run one operation from the flags, or every enabled operation
+async function bridgeCommand(options) {
+  const adHoc =
+    options.operation ||
+    options.token ||
+    options.from ||
+    options.origin ||
+    options.to ||
+    options.destination ||
+    options.amount;
+
+  if (adHoc) {
+    await executeBridgeOperation(buildOperation(options));
+    await waitForScheduledRetries();
+  } else {
+    await main();
+  }
+
+  const records = getRunRecords();
+  const last = records[records.length - 1];
+
+  output(options, records);
+
+  if (adHoc) {
+    process.exitCode = last && last.result.success ? 0 : 1;
+  }
+}
+
+// daemon: run operations on their schedules until SIGINT/SIGTERM
+async function daemonCommand(options) {
+  await runDaemon();
+  output(options, getRunRecords());
+}
+
+// status: show (or wait for) the status of a deposit
+async function statusCommand(
+  options,
+  [originChainId, depositId, originTxHash]
+) {
+  if (originChainId === undefined || depositId === undefined) {
+    throw new Error(
+      "Usage: status <originChainId> <depositId> [depositTxHash]"
+    );
+  }
+
+  // A tracked deposit already has what on-chain tracking needs
+  const deposit = getPendingDeposits().find(
+    (pending) =>
+      pending.originChainId === Number(originChainId) &&
+      pending.depositId === String(depositId)
+  ) || { originTxHash };
+
+  const outcome = options.wait
+    ? await pollDepositStatus(originChainId, depositId, deposit)
+    : await checkDepositStatus(originChainId, depositId, deposit);
+
+  const lines = [
+    `Deposit ${depositId} on ${getChainName(originChainId)}: ${
+      outcome.apiStatus || outcome.status
+    }`,
+  ];
+  if (outcome.fillTxHash) {
+    lines.push(
+      `Fill transaction: ${
+        getExplorerTxUrl(outcome.destinationChainId, outcome.fillTxHash) ||
+        outcome.fillTxHash
+      }`
+    );
+  }
+  if (outcome.refundTxHash) {
+    lines.push(
+      `Refund transaction: ${
+        getExplorerTxUrl(originChainId, outcome.refundTxHash) ||
+        outcome.refundTxHash
+      }${outcome.refundAmount ? ` (${outcome.refundAmount} refunded)` : ""}`
+    );
+  }
+
+  output(options, outcome, lines);
+}
+
+// pending: list deposits that are still outstanding (--wait resumes tracking them first)
+async function pendingCommand(options) {
+  if (options.wait) {
+    await resumePendingDeposits();
+  }
+
+  const deposits = getPendingDeposits();
+  const now = Date.now() / 1000;
+
+  output(
+    options,
+    deposits,
+    deposits.length > 0
+      ? deposits.map(
+          (deposit) =>
+            `${deposit.recordedAt} ${deposit.operationName}: deposit ${
+              deposit.depositId
+            } ${getChainName(deposit.originChainId)} → ${getChainName(
+              deposit.destinationChainId
+            )}, expecting ${deposit.expectedOutputAmount} ${
+              deposit.tokenSymbol
+            }, fill deadline ${new Date(
+              deposit.fillDeadline * 1000
+            ).toLocaleString()}${
+              deposit.status === "expired"
+                ? " (expired, awaiting refund)"
+                : deposit.fillDeadline < now
+                ? " (passed)"
+                : ""
+            }\n` +
+            `  Deposit transaction: ${
+              getExplorerTxUrl(deposit.originChainId, deposit.originTxHash) ||
+              deposit.originTxHash
+            }`
+        )
+      : ["No pending deposits"]
+  );
+}
+
+// Parse a date flag; a plain date (YYYY-MM-DD) means the start of that day in local time,
+// or with endOfDay the start of the next day
+function parseDate(value, flag, endOfDay = false) {
+  const plainDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(plainDate ? `${value}T00:00:00` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`--${flag} must be a date, got "${value}"`);
+  }
+  if (plainDate && endOfDay) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date;
+}
+
+// history: show (or export) the transaction history matching the filters
+async function historyCommand(options) {
+  const statuses = ["success", "failed", "expired", "refunded", "simulation"];
+  if (options.status && !statuses.includes(options.status)) {
+    throw new Error(`--status must be one of ${statuses.join(", ")}`);
+  }
+
+  const filters = {
+    since: options.since ? parseDate(options.since, "since") : undefined,
+    until: options.until ? parseDate(options.until, "until", true) : undefined,
+    token: options.token,
+    originChainId: options.from || options.origin,
+    destinationChainId: options.to || options.destination,
+    status: options.status,
+    operation: options.operation,
+    account: options.account,
+    limit: options.limit
+      ? parseNumber(options.limit, "limit")
+      : options.csv
+      ? undefined
+      : 20,
+  };
+  const entries = queryTransactionHistory(filters);
+
+  if (options.csv) {
+    process.stdout.write(historyToCsv(entries));
+    return;
+  }
+
+  output(
+    options,
+    entries,
+    entries.length > 0
+      ? entries.map((entry) => {
+          const { timestamp, account, operation, result } = entry;
+          // Dry-run entries report "simulation" as their status
+          const status = entryStatus(entry);
+          const detail = result.error ? ` (${result.error})` : "";
+          const tx = result.originTxHash ? ` ${result.originTxHash}` : "";
+          const sender =
+            account && account.name !== "default" ? ` @ ${account.name}` : "";
+          return `${timestamp} ${operation.name}${sender}: ${operation.inputAmount} ${entryToken(entry)} ${getChainName(
+            operation.originChainId
+          )} → ${getChainName(
+            operation.destinationChainId
+          )} - ${status}${detail}${tx}`;
+        })
+      : ["No matching history entries"]
+  );
+}
+
+// routes: list the routes available for a token
+async function routesCommand(options, [token]) {
+  if (!token) {
+    throw new Error("Usage: routes <token>");
+  }
+
+  const registry = await refreshRoutes();
+  const routes = findAvailableRoutes(token);
+  const source = registry
+    ? `Across route list (${registry.source === "api" ? "fetched" : "cached"} ${
+        registry.fetchedAt
+      })`
+    : "TOKENS table (no Across route list available)";
+
+  output(
+    options,
+    routes,
+    routes.length > 0
+      ? [
+          `Routes from the ${source}:`,
+          ...routes.map(
+            (route) =>
+              `${getChainName(route.originChainId)} (${
+                route.originChainId
+              }) → ${getChainName(route.destinationChainId)} (${
+                route.destinationChainId
+              })`
+          ),
+        ]
+      : [`No routes found for ${token} in the ${source}`]
+  );
+}
+
+// rebalance: plan (and unless --plan, run) the transfers that restore the REBALANCE targets
+async function rebalanceCommand(options) {
+  const plans = await runRebalance({
+    planOnly: Boolean(options.plan),
+    tokenSymbol: options.token || null,
+  });
+
+  if (options.plan) {
+    output(options, plans);
+    return;
+  }
+
+  const records = getRunRecords();
+  output(options, { plans, records });
+
+  if (records.some((record) => !record.result.success)) {
+    process.exitCode = 1;
+  }
+}
+
+// Ask for the passphrase of a new keystore: from the environment or file descriptor
+// when configured, otherwise typed twice at the prompt
+async function readNewPassphrase() {
+  const source = OPTIONS.keystore || {};
+  const configured =
+    (source.passwordEnv && process.env[source.passwordEnv]) ||
+    source.passwordFd !== undefined ||
+    process.env.KEYSTORE_PASSWORD_FD;
+  if (configured) {
+    return readPassphrase(source);
+  }
+
+  const passphrase = await promptPassphrase("New keystore passphrase: ");
+  if (passphrase.length === 0) {
+    throw new Error("The passphrase must not be empty");
+  }
+  if ((await promptPassphrase("Repeat the passphrase: ")) !== passphrase) {
+    throw new Error("The passphrases do not match");
+  }
+  return passphrase;
+}
+
+// keystore: create a keystore for a new key, or import an existing key into one
+async function keystoreCommand(options, [action, file]) {
+  if (action !== "create" && action !== "import") {
+    throw new Error("Usage: keystore <create|import> [file]");
+  }
+
+  let privateKey;
+  if (action === "create") {
+    privateKey = generatePrivateKey();
+  } else {
+    // The key to import is read from PRIVATE_KEY or typed without echo, never from a flag
+    const raw =
+      process.env.PRIVATE_KEY ||
+      (await promptPassphrase("Private key to import: "));
+    privateKey = `0x${raw.trim().replace(/^0x/, "")}`;
+    if (!/^0x[0-9a-fA-F]{64}$/.test(privateKey)) {
+      throw new Error("The private key must be 32 bytes of hex");
+    }
+  }
+
+  const keystore = await encryptKeystore(privateKey, await readNewPassphrase());
+  const address = getAddress(`0x${keystore.address}`);
+  const filePath = file || path.join("keystores", `${address}.json`);
+  saveKeystore(filePath, keystore);
+
+  output(options, { address, file: filePath }, [
+    `Saved keystore for ${address} to ${filePath}`,
+    `Use it with KEYSTORE_FILE=${filePath} or OPTIONS.keystore.file`,
+  ]);
+}
+
+// chains: list the supported chains
+async function chainsCommand(options) {
+  const chains = getSupportedChains().map((chainId) => ({
+    chainId,
+    ...CHAINS[chainId],
+    tokens: getSupportedTokensForChain(chainId),
+  }));
+
+  output(
+    options,
+    chains,
+    chains.map(
+      (chain) =>
+        `${chain.name} (${chain.chainId}): ${chain.tokens.join(", ")}\n` +
+        `  RPC: ${chain.rpcUrl}\n` +
+        `  Explorer: ${chain.explorerUrl}\n` +
+        `  Spoke Pool: ${chain.spokePool}`
+    )
+  );
+}
+
+const COMMANDS = {
+  quote: quoteCommand,
+  bridge: bridgeCommand,
+  daemon: daemonCommand,
+  status: statusCommand,
+  pending: pendingCommand,
+  history: historyCommand,
+  routes: routesCommand,
+  rebalance: rebalanceCommand,
+  chains: chainsCommand,
+  keystore: keystoreCommand,
+};
+
+// Run the CLI
+async function run() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      options: OPTION_SPEC,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}\n`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const { values: options, positionals } = parsed;
+  const [commandName, ...args] = positionals;
+  const command = COMMANDS[commandName];
+
+  if (options.help || !command) {
+    if (commandName && !command) {
+      console.error(`Unknown command: ${commandName}\n`);
+    }
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  // Keep stdout clean for JSON and CSV output
+  if (options.json || options.csv) {
+    setLogStream(process.stderr);
+  }
+
+  try {
+    await command(options, args);
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ error: error.message }, null, 2));
+    } else {
+      console.error(`Error: ${error.message}`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+run();
@@ -0,0 +1,103 @@
+// Local stand-in for an external signer (the JSON-RPC style Clef and Web3Signer use), for
+// testing external-signer mode without a real signing service. Not meant for real funds.
+import http from "http";
+import { hexToBigInt, hexToNumber } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import dotenv from "dotenv";
+import { loadKeystoreAccount } from "../tools/keystore.js";
+
+dotenv.config();
+
+const host = process.env.SIGNER_HOST || "127.0.0.1";
+const port = Number(process.env.SIGNER_PORT || 8550);
+
+// Convert eth_signTransaction parameters into a transaction viem can sign
+function fromRpcTransaction(tx) {
+  const transaction = {
+    to: tx.to,
+    data: tx.data || tx.input,
+    value: tx.value ? hexToBigInt(tx.value) : 0n,
+    nonce: hexToNumber(tx.nonce),
+    gas: hexToBigInt(tx.gas),
+    chainId: hexToNumber(tx.chainId),
+  };
+
+  if (tx.maxFeePerGas) {
+    return {
+      ...transaction,
+      type: "eip1559",
+      maxFeePerGas: hexToBigInt(tx.maxFeePerGas),
+      maxPriorityFeePerGas: hexToBigInt(tx.maxPriorityFeePerGas || "0x0"),
+    };
+  }
+  return { ...transaction, type: "legacy", gasPrice: hexToBigInt(tx.gasPrice) };
+}
+
+// Answer one JSON-RPC request
+async function handle(account, { method, params = [] }) {
+  switch (method) {
+    case "eth_accounts":
+      return [account.address];
+    case "eth_signTransaction":
+      return account.signTransaction(fromRpcTransaction(params[0]));
+    case "eth_sign":
+      return account.signMessage({ message: { raw: params[1] } });
+    case "eth_signTypedData_v4":
+      return account.signTypedData(JSON.parse(params[1]));
+    default:
+      throw new Error(`Method ${method} is not supported`);
+  }
+}
+
+async function startSigner() {
+  // The key comes from SIGNER_PRIVATE_KEY or a keystore (KEYSTORE_FILE), never from a flag
+  let account;
+  if (process.env.KEYSTORE_FILE) {
+    account = await loadKeystoreAccount({
+      file: process.env.KEYSTORE_FILE,
+      passwordEnv: "KEYSTORE_PASSWORD",
+    });
+  } else if (process.env.SIGNER_PRIVATE_KEY) {
+    const key = process.env.SIGNER_PRIVATE_KEY.replace(/^0x/, "");
+    account = privateKeyToAccount(`0x${key}`);
+  } else {
+    throw new Error("SIGNER_PRIVATE_KEY or KEYSTORE_FILE is required");
+  }
+
+  const server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", async () => {
+      let payload = {};
+      let reply;
+      try {
+        payload = JSON.parse(body);
+        console.log(`[signer] ${payload.method}`);
+        reply = { result: await handle(account, payload) };
+      } catch (error) {
+        reply = { error: { code: -32000, message: error.message } };
+      }
+      response.writeHead(200, { "Content-Type": "application/json" });
+      response.end(
+        JSON.stringify({ jsonrpc: "2.0", id: payload.id ?? null, ...reply })
+      );
+    });
+  });
+
+  server.listen(port, host, () => {
+    console.log(
+      `Local signer for ${account.address} listening on http://${host}:${port}`
+    );
+  });
+
+  const stop = () => server.close(() => process.exit(0));
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+startSigner().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -4,6 +4,7 @@ import { optimism, arbitrum, mainnet } from "viem/chains";
 import { createWalletClient, http, parseEther, formatEther } from "viem";
 import { privateKeyToAccount } from "viem/accounts";
 import dotenv from "dotenv";
+import { loadKeystoreAccount } from "../tools/keystore.js";
 
 dotenv.config();
 
@@ -11,12 +12,20 @@ async function bridgeETHFromArbitrumToOptimism() {
   try {
     console.log("Starting bridge operation from Arbitrum to Optimism...");
 
-    // 1. Initialize wallet client with your private key
-    if (!process.env.PRIVATE_KEY) {
-      throw new Error("PRIVATE_KEY is required in .env file");
+    // 1. Initialize wallet client with your private key, or an encrypted keystore
+    // (KEYSTORE_FILE, unlocked with KEYSTORE_PASSWORD or a prompt)
+    let account;
+    if (process.env.KEYSTORE_FILE) {
+      account = await loadKeystoreAccount({
+        file: process.env.KEYSTORE_FILE,
+        passwordEnv: "KEYSTORE_PASSWORD",
+      });
+    } else if (process.env.PRIVATE_KEY) {
+      account = privateKeyToAccount(`0x${process.env.PRIVATE_KEY}`);
+    } else {
+      throw new Error("PRIVATE_KEY or KEYSTORE_FILE is required in .env file");
     }
 
-    const account = privateKeyToAccount(`0x${process.env.PRIVATE_KEY}`);
     const walletClient = createWalletClient({
       account,
       chain: arbitrum, // Source chain
@@ -0,0 +1,132 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { Writable } from "node:stream";
+import { encodeAbiParameters } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+
+const DEFAULT_KEY = "11".repeat(32);
+const TREASURY_KEY = `0x${"22".repeat(32)}`;
+const defaultAddress = privateKeyToAccount(`0x${DEFAULT_KEY}`).address;
+const treasuryAddress = privateKeyToAccount(TREASURY_KEY).address;
+
+const encodeUint = (value) => encodeAbiParameters([{ type: "uint256" }], [BigInt(value)]);
+const encodeString = (text) => encodeAbiParameters([{ type: "string" }], [text]);
+
+// USDC balances by owner: the treasury holds 200, the default account 80
+const BALANCES = {
+  [treasuryAddress.toLowerCase()]: 200_000_000n,
+  [defaultAddress.toLowerCase()]: 80_000_000n,
+};
+// Owners whose balances were read, in order
+const balanceReads = [];
+
+function answer({ id, method, params }) {
+  if (method === "eth_call") {
+    const data = params[0].data;
+    const selector = data.slice(0, 10);
+    if (selector === "0x313ce567") return { jsonrpc: "2.0", id, result: encodeUint(6) };
+    if (selector === "0x95d89b41") return { jsonrpc: "2.0", id, result: encodeString("USDC") };
+    if (selector === "0x70a08231") {
+      const owner = `0x${data.slice(-40)}`;
+      balanceReads.push(owner);
+      return { jsonrpc: "2.0", id, result: encodeUint(BALANCES[owner] ?? 0n) };
+    }
+  }
+  if (method === "eth_getBalance") {
+    return { jsonrpc: "2.0", id, result: encodeUint(10n ** 18n) };
+  }
+  return { jsonrpc: "2.0", id, error: { code: -32601, message: `Unsupported: ${method}` } };
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "accounts-test-"));
+let server;
+let resolveOperationForQuote;
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      const payload = JSON.parse(body);
+      const reply = Array.isArray(payload) ? payload.map(answer) : answer(payload);
+      response.setHeader("content-type", "application/json");
+      response.end(JSON.stringify(reply));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const configFile = path.join(dir, "bridge.json");
+  fs.writeFileSync(
+    configFile,
+    JSON.stringify({
+      ACCOUNTS: {
+        treasury: { privateKeyEnv: "ACCOUNTS_TEST_TREASURY_KEY" },
+        keyless: { privateKeyEnv: "ACCOUNTS_TEST_MISSING_KEY" },
+      },
+    })
+  );
+
+  // The bridge module reads its configuration, keys and RPC URLs when it loads
+  const rpcUrl = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    BRIDGE_CONFIG_FILE: configFile,
+    PRIVATE_KEY: DEFAULT_KEY,
+    ACCOUNTS_TEST_TREASURY_KEY: TREASURY_KEY,
+    KEYSTORE_FILE: "",
+    EXTERNAL_SIGNER_URL: "",
+    ROUTES_OFFLINE: "true",
+    RPC_URL_8453: rpcUrl,
+    RPC_URL_10: rpcUrl,
+  });
+  delete process.env.ACCOUNTS_TEST_MISSING_KEY;
+
+  const bridge = await import("../src/across-bridge.js");
+  bridge.setLogStream(new Writable({ write: (chunk, encoding, done) => done() }));
+  resolveOperationForQuote = bridge.resolveOperationForQuote;
+});
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const operation = {
+  name: "Half of the USDC on Base",
+  tokenSymbol: "USDC",
+  originChainId: 8453,
+  destinationChainId: 10,
+  amount: { mode: "percentage", percentage: 50 },
+};
+
+test("operations without an account use the default account's balance", async () => {
+  balanceReads.length = 0;
+  const resolved = await resolveOperationForQuote(operation);
+  assert.equal(resolved.inputAmount, "40");
+  assert.deepEqual(balanceReads, [defaultAddress.toLowerCase()]);
+});
+
+test("operations naming an account use that account's balance", async () => {
+  balanceReads.length = 0;
+  const resolved = await resolveOperationForQuote({ ...operation, account: "treasury" });
+  assert.equal(resolved.inputAmount, "100");
+  assert.deepEqual(balanceReads, [treasuryAddress.toLowerCase()]);
+});
+
+test("named accounts that cannot be loaded are reported", async () => {
+  await assert.rejects(
+    resolveOperationForQuote({ ...operation, account: "keyless" }),
+    new Error("ACCOUNTS_TEST_MISSING_KEY environment variable is required for account keyless")
+  );
+  await assert.rejects(
+    resolveOperationForQuote({ ...operation, account: "nobody" }),
+    new Error("Account nobody is not defined in ACCOUNTS")
+  );
+
+  // A failed load is retried once the key is available
+  process.env.ACCOUNTS_TEST_MISSING_KEY = TREASURY_KEY;
+  const resolved = await resolveOperationForQuote({ ...operation, account: "keyless" });
+  assert.equal(resolved.inputAmount, "100");
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseUnits } from "viem";
+import {
+  toDecimalString,
+  parseAmountSpec,
+  isDynamicAmount,
+  describeAmountSpec,
+  resolveAmount,
+} from "../tools/amounts.js";
+
+const usdc = (amount) => parseUnits(String(amount), 6);
+
+test("parseAmountSpec reads the shorthand amounts", () => {
+  assert.deepEqual(parseAmountSpec("max"), { mode: "max" });
+  assert.deepEqual(parseAmountSpec("MAX-0.05"), { mode: "reserve", reserve: 0.05 });
+  assert.deepEqual(parseAmountSpec("12.5%"), { mode: "percentage", percentage: 12.5 });
+  assert.deepEqual(parseAmountSpec(10), { mode: "fixed", value: 10 });
+  assert.throws(() => parseAmountSpec("-1"), /Invalid amount "-1"/);
+  assert.throws(() => parseAmountSpec("half"), /Invalid amount "half"/);
+});
+
+test("only balance-based amounts are dynamic", () => {
+  assert.equal(isDynamicAmount({ inputAmount: "10" }), false);
+  assert.equal(isDynamicAmount({ amount: { mode: "fixed", value: 10 } }), false);
+  assert.equal(isDynamicAmount({ amount: { mode: "max" } }), true);
+});
+
+test("describeAmountSpec names the token", () => {
+  assert.equal(
+    describeAmountSpec({ mode: "percentage", percentage: 50 }, "USDC"),
+    "50% of USDC balance"
+  );
+  assert.equal(
+    describeAmountSpec({ mode: "reserve", reserve: 5 }, "USDC"),
+    "USDC balance above 5 USDC"
+  );
+  assert.equal(describeAmountSpec({ mode: "max" }, "ETH"), "max ETH balance");
+});
+
+test("resolveAmount resolves each mode against the balance", () => {
+  const params = { balance: usdc(200), decimals: 6 };
+  assert.equal(resolveAmount({ mode: "fixed", value: 10 }, params).inputAmount, "10");
+  assert.equal(resolveAmount({ mode: "percentage", percentage: 12.5 }, params).inputAmount, "25");
+  assert.equal(resolveAmount({ mode: "reserve", reserve: 50 }, params).inputAmount, "150");
+
+  const max = resolveAmount(
+    { mode: "max" },
+    { balance: 10n ** 18n, decimals: 18, gasReserve: 10n ** 16n }
+  );
+  assert.equal(max.inputAmount, "0.99");
+  assert.throws(() => resolveAmount({ mode: "half" }, params), /Unknown amount mode: half/);
+});
+
+test("amounts in exponent notation are written out in full", () => {
+  assert.equal(toDecimalString(1e-7), "0.0000001");
+  assert.equal(toDecimalString(1.5e-7), "0.00000015");
+  assert.equal(toDecimalString(2e21), "2000000000000000000000");
+  assert.equal(toDecimalString("1.25E+2"), "125");
+  assert.equal(toDecimalString(0.05), "0.05");
+
+  const reserve = resolveAmount(
+    { mode: "reserve", reserve: 1e-7 },
+    { balance: 10n ** 18n, decimals: 18 }
+  );
+  assert.equal(reserve.inputAmount, "0.9999999");
+});
+
+test("resolveAmount caps at maxAmount and refuses amounts below minAmount", () => {
+  const params = { balance: usdc(200), decimals: 6 };
+
+  const capped = resolveAmount({ mode: "max", maxAmount: 150 }, params);
+  assert.equal(capped.ok, true);
+  assert.equal(capped.amount, usdc(150));
+  assert.equal(capped.capped, true);
+
+  const small = resolveAmount({ mode: "percentage", percentage: 1, minAmount: 5 }, params);
+  assert.equal(small.ok, false);
+  assert.equal(small.reason, "Resolved amount 2 is below minAmount 5");
+});
+
+test("resolveAmount refuses to bridge nothing", () => {
+  const result = resolveAmount(
+    { mode: "reserve", reserve: 300 },
+    { balance: usdc(200), decimals: 6 }
+  );
+  assert.equal(result.ok, false);
+  assert.equal(result.inputAmount, "0");
+  assert.equal(result.reason, "Nothing to bridge (balance 200)");
+});
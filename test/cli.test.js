@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const cliPath = fileURLToPath(new URL("../src/cli.js", import.meta.url));
+
+// ABI-encoded return values for the token calls the CLI makes
+const encodeUint = (value) => `0x${BigInt(value).toString(16).padStart(64, "0")}`;
+const encodeString = (text) => {
+  const hex = Buffer.from(text).toString("hex");
+  return `0x${(32).toString(16).padStart(64, "0")}${text.length
+    .toString(16)
+    .padStart(64, "0")}${hex.padEnd(64, "0")}`;
+};
+const CALL_RESULTS = {
+  "0x313ce567": encodeUint(6), // decimals()
+  "0x95d89b41": encodeString("USDC"), // symbol()
+  "0x70a08231": encodeUint(200_000_000n), // balanceOf(owner): 200 USDC
+};
+
+// Minimal JSON-RPC node that answers balance and token metadata reads
+function startRpcStub() {
+  const answer = ({ id, method, params }) => {
+    if (method === "eth_call") {
+      const result = CALL_RESULTS[params[0].data.slice(0, 10)];
+      if (result) return { jsonrpc: "2.0", id, result };
+    }
+    if (method === "eth_getBalance") {
+      return { jsonrpc: "2.0", id, result: encodeUint(10n ** 18n) };
+    }
+    return { jsonrpc: "2.0", id, error: { code: -32601, message: `Unsupported: ${method}` } };
+  };
+
+  const server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      const payload = JSON.parse(body);
+      const reply = Array.isArray(payload) ? payload.map(answer) : answer(payload);
+      response.setHeader("content-type", "application/json");
+      response.end(JSON.stringify(reply));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+// Run the CLI and collect its output (it is stopped after the time limit)
+function runCli(args, env) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [cliPath, ...args], {
+      env: { ...process.env, ...env },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    let output = "";
+    child.stdout.on("data", (chunk) => (output += chunk));
+    child.stderr.on("data", (chunk) => (output += chunk));
+    const timer = setTimeout(() => child.kill(), 60_000);
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+test("quote resolves a percentage amount from the balance before quoting", async () => {
+  const server = await startRpcStub();
+  const rpcUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const { output } = await runCli(
+      ["quote", "--token", "USDC", "--from", "8453", "--to", "10", "--amount", "50%", "--offline"],
+      {
+        PRIVATE_KEY: "11".repeat(32),
+        RPC_URL_8453: rpcUrl,
+        RPC_URL_10: rpcUrl,
+        KEYSTORE_FILE: "",
+        EXTERNAL_SIGNER_URL: "",
+      }
+    );
+
+    assert.match(output, /Resolved percentage amount: 100 USDC \(balance: 200\)/);
+    assert.doesNotMatch(output, /reading 'toString'/);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,186 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  ConfigValidationError,
+  validateConfig,
+  readConfigFile,
+  applyEnvOverrides,
+} from "../tools/configLoader.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const operation = {
+  name: "USDC Ethereum to Polygon",
+  tokenSymbol: "USDC",
+  originChainId: 1,
+  destinationChainId: 137,
+  inputAmount: "10",
+};
+
+// Paths and messages of the errors for a config
+const problems = (config) =>
+  validateConfig(config).map(({ path: at, message }) => `${at}: ${message}`);
+
+test("a valid operation has no errors", () => {
+  assert.deepEqual(problems({ BRIDGE_OPERATIONS: [operation] }), []);
+  assert.deepEqual(problems({ BRIDGE_OPERATIONS: [{ ...operation, useBridged: true }] }), []);
+});
+
+test("unknown sections and settings are reported", () => {
+  const errors = problems({ BRIDGE_OPERATIONS: [{ ...operation, inptAmount: 1 }], FOO: {} });
+  assert.equal(errors[0], "BRIDGE_OPERATIONS[0].inptAmount: is not a known setting");
+  assert.match(errors[1], /^FOO: is not a known section/);
+});
+
+test("operations need a token and two different chains", () => {
+  assert.deepEqual(
+    problems({
+      BRIDGE_OPERATIONS: [{ ...operation, tokenSymbol: undefined, destinationChainId: 1 }],
+    }),
+    [
+      "BRIDGE_OPERATIONS[0].tokenSymbol: is required (or set tokenAddress)",
+      "BRIDGE_OPERATIONS[0].destinationChainId: must differ from originChainId",
+    ]
+  );
+  assert.deepEqual(
+    problems({
+      BRIDGE_OPERATIONS: [
+        {
+          ...operation,
+          tokenSymbol: undefined,
+          tokenAddress: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+        },
+      ],
+    }),
+    []
+  );
+});
+
+test("useBridged needs a bridged variant and no output address", () => {
+  assert.deepEqual(
+    problems({
+      BRIDGE_OPERATIONS: [
+        {
+          ...operation,
+          useBridged: true,
+          outputTokenAddress: "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174",
+        },
+        { ...operation, destinationChainId: 534352, useBridged: true },
+      ],
+    }),
+    [
+      "BRIDGE_OPERATIONS[0].useBridged: cannot be combined with outputTokenAddress",
+      "BRIDGE_OPERATIONS[1].useBridged: no bridged USDC is listed for chain 534352 in TOKENS",
+    ]
+  );
+});
+
+test("dynamic amounts are checked", () => {
+  assert.deepEqual(
+    problems({
+      BRIDGE_OPERATIONS: [
+        {
+          ...operation,
+          inputAmount: undefined,
+          amount: { mode: "percentage", minAmount: 5, maxAmount: 1 },
+        },
+        { ...operation, inputAmount: undefined },
+      ],
+    }),
+    [
+      "BRIDGE_OPERATIONS[0].amount.percentage: is required for percentage amounts",
+      "BRIDGE_OPERATIONS[0].amount.minAmount: must not be greater than maxAmount",
+      "BRIDGE_OPERATIONS[1].inputAmount: is required (or set a dynamic amount)",
+    ]
+  );
+});
+
+test("numeric strings become numbers, so they compare as numbers", () => {
+  const config = {
+    BRIDGE_OPERATIONS: [
+      {
+        ...operation,
+        inputAmount: undefined,
+        amount: { mode: "reserve", reserve: "0.05", minAmount: "9", maxAmount: "10" },
+      },
+    ],
+    THRESHOLDS: { maxFeeBps: "30", retry: { maxAttempts: "3" } },
+  };
+  assert.deepEqual(problems(config), []);
+  assert.deepEqual(config.BRIDGE_OPERATIONS[0].amount, {
+    mode: "reserve",
+    reserve: 0.05,
+    minAmount: 9,
+    maxAmount: 10,
+  });
+  assert.equal(config.THRESHOLDS.maxFeeBps, 30);
+  assert.equal(config.THRESHOLDS.retry.maxAttempts, 3);
+
+  config.BRIDGE_OPERATIONS[0].amount = { mode: "max", minAmount: "10", maxAmount: "9" };
+  assert.deepEqual(problems(config), [
+    "BRIDGE_OPERATIONS[0].amount.minAmount: must not be greater than maxAmount",
+  ]);
+});
+
+test("accounts and USD thresholds must be backed by the rest of the config", () => {
+  assert.deepEqual(
+    problems({
+      BRIDGE_OPERATIONS: [{ ...operation, account: "nobody" }],
+      THRESHOLDS: { maxFeeUsd: 1 },
+      OPTIONS: { prices: { sources: [] } },
+    }),
+    [
+      "BRIDGE_OPERATIONS[0].account: is not an account in ACCOUNTS (nobody)",
+      "THRESHOLDS.maxFeeUsd: needs a price source in OPTIONS.prices.sources",
+    ]
+  );
+});
+
+test("ConfigValidationError lists every error with its source", () => {
+  const error = new ConfigValidationError(
+    [{ path: "OPTIONS.dryRun", message: "must be a boolean" }],
+    "bridge.yaml"
+  );
+  assert.equal(
+    error.message,
+    "Invalid configuration in bridge.yaml:\n  - OPTIONS.dryRun: must be a boolean"
+  );
+  assert.equal(error.errors.length, 1);
+});
+
+test("readConfigFile reads YAML and JSON and names the file it cannot parse", () => {
+  const yamlPath = path.join(dir, "bridge.yaml");
+  fs.writeFileSync(yamlPath, "OPTIONS:\n  dryRun: true\n");
+  assert.deepEqual(readConfigFile(yamlPath), { OPTIONS: { dryRun: true } });
+
+  const jsonPath = path.join(dir, "bridge.json");
+  fs.writeFileSync(jsonPath, "{ not json");
+  assert.throws(
+    () => readConfigFile(jsonPath),
+    new RegExp(`Could not parse config file ${jsonPath}`)
+  );
+  assert.throws(() => readConfigFile(path.join(dir, "missing.json")), /Config file not found/);
+});
+
+test("applyEnvOverrides sets nested values and array items", () => {
+  const config = { BRIDGE_OPERATIONS: [{ ...operation }], THRESHOLDS: {} };
+  const applied = applyEnvOverrides(config, {
+    BRIDGE_CONFIG__BRIDGE_OPERATIONS__0__inputAmount: "0.5",
+    BRIDGE_CONFIG__THRESHOLDS__maxFillTimeSeconds: "90",
+    BRIDGE_CONFIG__OPTIONS__routes__offline: "true",
+    OTHER_VARIABLE: "ignored",
+  });
+
+  assert.deepEqual(applied, [
+    "BRIDGE_OPERATIONS.0.inputAmount",
+    "THRESHOLDS.maxFillTimeSeconds",
+    "OPTIONS.routes.offline",
+  ]);
+  assert.equal(config.BRIDGE_OPERATIONS[0].inputAmount, 0.5);
+  assert.equal(config.THRESHOLDS.maxFillTimeSeconds, 90);
+  assert.deepEqual(config.OPTIONS, { routes: { offline: true } });
+});
@@ -0,0 +1,92 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { parseAnswer } from "../tools/confirm.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "confirm-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Answers are only read from the file when stdin is not a terminal
+Object.defineProperty(process.stdin, "isTTY", { value: false, configurable: true });
+
+// A fresh copy of the module, so each test reads its own answers file
+let loads = 0;
+async function loadConfirm(answers) {
+  const answersFile = path.join(dir, `answers-${++loads}.json`);
+  if (answers !== undefined) {
+    fs.writeFileSync(answersFile, typeof answers === "string" ? answers : JSON.stringify(answers));
+  }
+  process.env.CONFIRM_ANSWERS_FILE = answersFile;
+  const { askForConfirmation } = await import(`../tools/confirm.js?load=${loads}`);
+  return { answersFile, ask: (name) => askForConfirmation({ name }) };
+}
+
+test("parseAnswer reads actions and their short forms", () => {
+  assert.deepEqual(parseAnswer("a"), { action: "approve" });
+  assert.deepEqual(parseAnswer(" Approve "), { action: "approve" });
+  assert.deepEqual(parseAnswer("s"), { action: "skip" });
+  assert.deepEqual(parseAnswer("requote"), { action: "requote" });
+  assert.deepEqual(parseAnswer("e"), { action: "amount" });
+  assert.equal(parseAnswer("maybe"), null);
+  assert.equal(parseAnswer(5), null);
+});
+
+test("parseAnswer keeps edited amounts as decimal strings", () => {
+  assert.deepEqual(parseAnswer("amount=0.5"), { action: "amount", amount: "0.5" });
+  // A Number would become 1e-7, which parseUnits cannot read
+  assert.deepEqual(parseAnswer("e=0.0000001"), { action: "amount", amount: "0.0000001" });
+  assert.equal(parseAnswer("amount=0"), null);
+  assert.equal(parseAnswer("amount=-1"), null);
+  assert.equal(parseAnswer("amount=1e-7"), null);
+});
+
+test("answers are taken by operation name first, then from *", async () => {
+  const { ask } = await loadConfirm({
+    "ETH Arbitrum to Optimism": ["requote", "amount=0.25"],
+    "*": "approve",
+  });
+
+  const first = await ask("ETH Arbitrum to Optimism");
+  assert.equal(first.action, "requote");
+  assert.equal(first.source, "answers-file");
+  assert.ok(!Number.isNaN(Date.parse(first.decidedAt)));
+
+  assert.deepEqual(
+    { ...(await ask("ETH Arbitrum to Optimism")), decidedAt: undefined },
+    { action: "amount", amount: "0.25", source: "answers-file", decidedAt: undefined }
+  );
+  assert.equal((await ask("ETH Arbitrum to Optimism")).action, "approve");
+
+  // Every answer is used up, so the quote is declined instead of asked again
+  const declined = await ask("USDC Base to Optimism");
+  assert.equal(declined.action, "skip");
+  assert.equal(declined.source, "non-interactive");
+});
+
+test("invalid answers and amount answers without a value decline the quote", async () => {
+  const { ask } = await loadConfirm({ "USDC Base to Optimism": ["maybe", "amount"] });
+
+  assert.deepEqual(
+    [await ask("USDC Base to Optimism"), await ask("USDC Base to Optimism")].map(
+      ({ action, source }) => `${action}:${source}`
+    ),
+    ["skip:invalid-answer", "skip:invalid-answer"]
+  );
+});
+
+test("without an answers file every quote is declined", async () => {
+  const { ask } = await loadConfirm();
+  const decision = await ask("USDC Base to Optimism");
+  assert.equal(decision.action, "skip");
+  assert.equal(decision.source, "non-interactive");
+});
+
+test("a malformed answers file is reported with its path", async () => {
+  const { answersFile, ask } = await loadConfirm('{ "USDC Base to Optimism": ');
+  await assert.rejects(
+    ask("USDC Base to Optimism"),
+    new RegExp(`Could not parse confirmation answers file ${answersFile}: `)
+  );
+});
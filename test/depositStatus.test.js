@@ -0,0 +1,128 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { Writable } from "node:stream";
+import axios from "axios";
+import { encodeAbiParameters, pad, toEventSelector } from "viem";
+
+const USDC_OPTIMISM = "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85";
+const DEPOSITOR = "0x1111111111111111111111111111111111111111";
+const SPOKE_POOL = "0x6f26Bf09B1C792e3228e5467807a900A503c0281";
+const REFUND_TX = `0x${"ab".repeat(32)}`;
+
+// ERC-20 Transfer log as it appears in a receipt
+function transferLog(token, from, to, amount) {
+  return {
+    address: token,
+    topics: [
+      toEventSelector("Transfer(address,address,uint256)"),
+      pad(from.toLowerCase()),
+      pad(to.toLowerCase()),
+    ],
+    data: encodeAbiParameters([{ type: "uint256" }], [amount]),
+    blockHash: `0x${"01".repeat(32)}`,
+    blockNumber: "0x10",
+    logIndex: "0x0",
+    removed: false,
+    transactionHash: REFUND_TX,
+    transactionIndex: "0x0",
+  };
+}
+
+// The refund pays the depositor in two transfers, next to a transfer to someone else
+const refundReceipt = {
+  blockHash: `0x${"01".repeat(32)}`,
+  blockNumber: "0x10",
+  contractAddress: null,
+  cumulativeGasUsed: "0x5208",
+  effectiveGasPrice: "0x1",
+  from: SPOKE_POOL,
+  gasUsed: "0x5208",
+  logs: [
+    transferLog(USDC_OPTIMISM, SPOKE_POOL, DEPOSITOR, 25_000_000n),
+    transferLog(USDC_OPTIMISM, SPOKE_POOL, DEPOSITOR, 500_000n),
+    transferLog(USDC_OPTIMISM, SPOKE_POOL, SPOKE_POOL, 7_000_000n),
+  ],
+  logsBloom: `0x${"00".repeat(256)}`,
+  status: "0x1",
+  to: SPOKE_POOL,
+  transactionHash: REFUND_TX,
+  transactionIndex: "0x0",
+  type: "0x2",
+};
+
+let server;
+let checkDepositStatus;
+// Status API answers, by deposit ID
+const apiStatuses = {};
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      const { id, method, params } = JSON.parse(body);
+      const reply =
+        method === "eth_getTransactionReceipt" && params[0] === REFUND_TX
+          ? { jsonrpc: "2.0", id, result: refundReceipt }
+          : { jsonrpc: "2.0", id, error: { code: -32000, message: `Unknown: ${method}` } };
+      response.setHeader("content-type", "application/json");
+      response.end(JSON.stringify(reply));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  // The bridge module reads its RPC URLs and status source when it loads
+  process.env.RPC_URL_10 = `http://127.0.0.1:${server.address().port}`;
+  process.env.STATUS_SOURCE = "api";
+  axios.get = async (url) => {
+    const depositId = new URL(url).searchParams.get("depositId");
+    return { data: apiStatuses[depositId] };
+  };
+
+  const bridge = await import("../src/across-bridge.js");
+  bridge.setLogStream(new Writable({ write: (chunk, encoding, done) => done() }));
+  checkDepositStatus = bridge.checkDepositStatus;
+});
+after(() => server.close());
+
+const deposit = { inputToken: USDC_OPTIMISM, depositor: DEPOSITOR, decimals: 6 };
+
+test("refunds report the amount returned to the depositor", async () => {
+  apiStatuses[1] = { status: "refunded", depositRefundTxHash: REFUND_TX };
+  assert.deepEqual(await checkDepositStatus(10, 1, deposit), {
+    status: "refunded",
+    refundTxHash: REFUND_TX,
+    refundAmount: "25.5",
+  });
+
+  // Without the token and depositor the amount cannot be worked out
+  assert.equal((await checkDepositStatus(10, 1, {})).refundAmount, null);
+});
+
+test("refunds without a readable refund transaction have no amount", async () => {
+  apiStatuses[2] = { status: "refunded" };
+  assert.deepEqual(await checkDepositStatus(10, 2, deposit), {
+    status: "refunded",
+    refundTxHash: null,
+    refundAmount: null,
+  });
+
+  apiStatuses[3] = { status: "refunded", depositRefundTxHash: `0x${"cd".repeat(32)}` };
+  assert.equal((await checkDepositStatus(10, 3, deposit)).refundAmount, null);
+});
+
+test("deposits expire when the API says so or their fill deadline has passed", async () => {
+  apiStatuses[4] = { status: "expired" };
+  assert.deepEqual(await checkDepositStatus(10, 4, deposit), { status: "expired" });
+
+  apiStatuses[5] = { status: "pending" };
+  const past = Math.floor(Date.now() / 1000) - 60;
+  assert.deepEqual(await checkDepositStatus(10, 5, { ...deposit, fillDeadline: past }), {
+    status: "expired",
+  });
+  assert.deepEqual(await checkDepositStatus(10, 5, { ...deposit, fillDeadline: past + 3600 }), {
+    status: "pending",
+    apiStatus: "pending",
+  });
+});
@@ -0,0 +1,48 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { depositKey, createDepositStore } from "../tools/depositStore.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deposit-store-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("depositKey joins the chain and deposit ID", () => {
+  assert.equal(depositKey("42161", 1234n), "42161:1234");
+});
+
+test("deposits are recorded, updated and removed through the file", () => {
+  const filePath = path.join(dir, "pending_deposits.json");
+  const store = createDepositStore(filePath);
+  assert.deepEqual(store.list(), []);
+
+  const recorded = store.record({ originChainId: 10, depositId: 7n, originTxHash: "0xabc" });
+  assert.equal(recorded.key, "10:7");
+  assert.equal(recorded.depositId, "7");
+
+  store.update("10:7", { status: "expired" });
+  store.update("1:1", { status: "expired" });
+  // A second store on the same file sees the changes, as another process would
+  const reread = createDepositStore(filePath);
+  assert.equal(reread.get("10:7").status, "expired");
+  assert.equal(reread.get("1:1"), null);
+
+  store.remove("10:7");
+  assert.deepEqual(reread.list(), []);
+});
+
+test("writes replace the file in one step and leave no temporary file", () => {
+  const filePath = path.join(dir, "atomic.json");
+  const store = createDepositStore(filePath);
+  store.record({ originChainId: 10, depositId: 1, originTxHash: "0x1" });
+  store.record({ originChainId: 8453, depositId: 2, originTxHash: "0x2" });
+
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+  const onDisk = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  assert.deepEqual(Object.keys(onDisk), ["10:1", "8453:2"]);
+  assert.deepEqual(
+    store.list().map(({ key }) => key),
+    ["10:1", "8453:2"]
+  );
+});
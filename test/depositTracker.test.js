@@ -0,0 +1,215 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encodeAbiParameters, encodeEventTopics, pad } from "viem";
+import {
+  SPOKE_POOL_EVENTS,
+  readDepositEvent,
+  findBlockAtTime,
+  createDepositTracker,
+} from "../tools/depositTracker.js";
+
+const SPOKE_POOLS = {
+  10: "0x6f26Bf09B1C792e3228e5467807a900A503c0281",
+  8453: "0x09aea4b2242abC8bb4BB78D537A67a245A7bEC64",
+};
+const USDC_OPTIMISM = "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85";
+const USDC_BASE = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+const DEPOSITOR = "0x1111111111111111111111111111111111111111";
+const RELAYER = "0x2222222222222222222222222222222222222222";
+const DEPOSIT_TX = `0x${"aa".repeat(32)}`;
+
+// FundsDeposited log as the origin SpokePool emits it (addresses as bytes32)
+function depositLog({ depositId, fillDeadline }) {
+  const event = SPOKE_POOL_EVENTS.find((item) => item.name === "FundsDeposited");
+  const values = {
+    inputToken: pad(USDC_OPTIMISM),
+    outputToken: pad(USDC_BASE),
+    inputAmount: 100_000_000n,
+    outputAmount: 99_500_000n,
+    destinationChainId: 8453n,
+    depositId: BigInt(depositId),
+    quoteTimestamp: 1_990,
+    fillDeadline,
+    exclusivityDeadline: 0,
+    depositor: pad(DEPOSITOR),
+    recipient: pad(DEPOSITOR),
+    exclusiveRelayer: pad("0x0000000000000000000000000000000000000000"),
+    message: "0x",
+  };
+  const dataInputs = event.inputs.filter((input) => !input.indexed);
+  return {
+    address: SPOKE_POOLS[10],
+    topics: encodeEventTopics({ abi: [event], eventName: "FundsDeposited", args: values }),
+    data: encodeAbiParameters(
+      dataInputs,
+      dataInputs.map((input) => values[input.name])
+    ),
+  };
+}
+
+// Chain whose block n has timestamp 2n, with event logs found by getLogs
+function fakeChain(latest, logs = []) {
+  const chain = {
+    latest,
+    logs,
+    queries: [],
+    getBlock: async ({ blockNumber } = {}) => {
+      const number = blockNumber ?? chain.latest;
+      return { number, timestamp: number * 2n };
+    },
+    getBlockNumber: async () => chain.latest,
+    getLogs: async ({ event, args, fromBlock, toBlock }) => {
+      chain.queries.push({ event: event.name, fromBlock, toBlock });
+      return chain.logs.filter(
+        (log) =>
+          log.event === event.name &&
+          log.blockNumber >= fromBlock &&
+          log.blockNumber <= toBlock &&
+          Object.entries(args).every(([key, value]) => log.args[key] === value)
+      );
+    },
+  };
+  return chain;
+}
+
+// Origin chain with the deposit transaction mined in block 1000 (timestamp 2000)
+function originChain(fillDeadline, depositIds = [42]) {
+  const chain = fakeChain(1_100n);
+  chain.getTransactionReceipt = async ({ hash }) => {
+    assert.equal(hash, DEPOSIT_TX);
+    return {
+      blockNumber: 1_000n,
+      logs: depositIds.map((depositId) => depositLog({ depositId, fillDeadline })),
+    };
+  };
+  return chain;
+}
+
+function fillLog(blockNumber, depositId = 42n) {
+  return {
+    event: "FilledRelay",
+    blockNumber,
+    transactionHash: `0x${"ff".repeat(32)}`,
+    args: { originChainId: 10n, depositId, relayer: pad(RELAYER), outputAmount: 99_500_000n },
+  };
+}
+
+test("readDepositEvent decodes the deposit it is asked for", async () => {
+  const origin = originChain(5_000, [41, 42]);
+  const deposit = await readDepositEvent(origin, {
+    spokePool: SPOKE_POOLS[10].toLowerCase(),
+    txHash: DEPOSIT_TX,
+    depositId: "42",
+  });
+
+  assert.equal(deposit.depositId, 42n);
+  assert.equal(deposit.destinationChainId, 8453);
+  assert.equal(deposit.inputToken, USDC_OPTIMISM);
+  assert.equal(deposit.outputToken, USDC_BASE);
+  assert.equal(deposit.depositor, DEPOSITOR);
+  assert.equal(deposit.fillDeadline, 5_000);
+  assert.equal(deposit.timestamp, 2_000n);
+
+  await assert.rejects(
+    readDepositEvent(origin, { spokePool: SPOKE_POOLS[8453], txHash: DEPOSIT_TX }),
+    new Error(`No SpokePool deposit event found in transaction ${DEPOSIT_TX}`)
+  );
+});
+
+test("findBlockAtTime finds the first block at or after a time", async () => {
+  const chain = fakeChain(10_000n);
+  assert.equal(await findBlockAtTime(chain, 101n), 51n);
+  assert.equal(await findBlockAtTime(chain, 102n), 51n);
+  assert.equal(await findBlockAtTime(chain, 0n), 0n);
+  // Times past the latest block start at the latest block
+  assert.equal(await findBlockAtTime(chain, 50_000n), 10_000n);
+});
+
+function tracker(origin, destination) {
+  return createDepositTracker({
+    getPublicClient: (chainId) => (chainId === 10 ? origin : destination),
+    getSpokePoolAddress: (chainId) => SPOKE_POOLS[chainId],
+    blockRange: 5_000,
+  });
+}
+
+test("fills are searched in chunks from just before the deposit", async () => {
+  const destination = fakeChain(12_000n, [fillLog(7_500n)]);
+  const deposits = tracker(originChain(50_000), destination);
+
+  const outcome = await deposits.checkDeposit({
+    originChainId: 10,
+    depositId: 42n,
+    originTxHash: DEPOSIT_TX,
+  });
+  assert.deepEqual(outcome, {
+    status: "filled",
+    destinationChainId: 8453,
+    fillTxHash: `0x${"ff".repeat(32)}`,
+    blockNumber: 7_500n,
+    relayer: RELAYER,
+    outputAmount: 99_500_000n,
+  });
+  // The deposit at time 2000, less two minutes of clock skew, is block 940 on the destination
+  assert.deepEqual(
+    destination.queries.map(({ fromBlock, toBlock }) => [fromBlock, toBlock]),
+    [
+      [940n, 5_939n],
+      [5_940n, 10_939n],
+    ]
+  );
+});
+
+test("later checks only search the blocks added since the last one", async () => {
+  const destination = fakeChain(3_000n);
+  const deposits = tracker(originChain(50_000), destination);
+  const check = () =>
+    deposits.checkDeposit({ originChainId: 10, depositId: 42n, originTxHash: DEPOSIT_TX });
+
+  assert.deepEqual(await check(), { status: "pending" });
+  destination.latest = 3_200n;
+  destination.logs.push(fillLog(3_100n));
+  assert.equal((await check()).status, "filled");
+  assert.deepEqual(
+    destination.queries.map(({ fromBlock, toBlock }) => [fromBlock, toBlock]),
+    [
+      [940n, 3_000n],
+      [3_001n, 3_200n],
+    ]
+  );
+
+  await assert.rejects(
+    deposits.checkDeposit({ originChainId: 10, depositId: 7n }),
+    /deposit transaction hash is needed/
+  );
+});
+
+test("expired deposits are reported refunded once the refund transfer is seen", async () => {
+  // The destination chain (block 3000, time 6000) is past the fill deadline
+  const origin = originChain(5_000);
+  const deposits = tracker(origin, fakeChain(3_000n));
+  const check = () =>
+    deposits.checkDeposit({ originChainId: 10, depositId: 42n, originTxHash: DEPOSIT_TX });
+
+  assert.deepEqual(await check(), { status: "expired" });
+
+  origin.latest = 1_200n;
+  origin.logs.push({
+    event: "Transfer",
+    blockNumber: 1_150n,
+    transactionHash: `0x${"bb".repeat(32)}`,
+    args: { from: SPOKE_POOLS[10], to: DEPOSITOR },
+  });
+  assert.deepEqual(await check(), {
+    status: "refunded",
+    refundTxHash: `0x${"bb".repeat(32)}`,
+  });
+  // The refund search starts at the deposit block and resumes where it stopped
+  assert.deepEqual(
+    origin.queries.map(({ event, fromBlock, toBlock }) => [event, fromBlock, toBlock]),
+    [
+      ["Transfer", 1_000n, 1_100n],
+      ["Transfer", 1_101n, 1_200n],
+    ]
+  );
+});
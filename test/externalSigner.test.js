@@ -0,0 +1,130 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { hexToBigInt, hexToNumber } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import { toRpcTransaction, createExternalSignerAccount } from "../tools/externalSigner.js";
+
+const held = privateKeyToAccount(`0x${"11".repeat(32)}`);
+const other = privateKeyToAccount(`0x${"22".repeat(32)}`);
+const RECIPIENT = "0x3333333333333333333333333333333333333333";
+
+// How the stub signer answers eth_signTransaction: honestly, by changing the recipient,
+// by signing with a key other than the account's, or with an error
+let behaviour = "honest";
+const requests = [];
+let server;
+let url;
+
+async function signTransaction(fields) {
+  const transaction = {
+    type: "eip1559",
+    to: behaviour === "tamper" ? RECIPIENT : fields.to,
+    data: fields.data,
+    value: hexToBigInt(fields.value),
+    nonce: hexToNumber(fields.nonce),
+    gas: hexToBigInt(fields.gas),
+    maxFeePerGas: hexToBigInt(fields.maxFeePerGas),
+    maxPriorityFeePerGas: hexToBigInt(fields.maxPriorityFeePerGas),
+    chainId: hexToNumber(fields.chainId),
+  };
+  const raw = await (behaviour === "wrongKey" ? other : held).signTransaction(transaction);
+  // Answer as Clef does
+  return { raw, tx: fields };
+}
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", async () => {
+      const { id, method, params } = JSON.parse(body);
+      requests.push({ method, params });
+      let reply;
+      if (method === "eth_accounts") {
+        reply = { result: [held.address.toLowerCase()] };
+      } else if (method === "eth_signTransaction" && behaviour === "reject") {
+        reply = { error: { code: -32000, message: "Request denied" } };
+      } else if (method === "eth_signTransaction") {
+        reply = { result: await signTransaction(params[0]) };
+      } else {
+        reply = { error: { code: -32601, message: `Unknown: ${method}` } };
+      }
+      response.setHeader("content-type", "application/json");
+      response.end(JSON.stringify({ jsonrpc: "2.0", id, ...reply }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+const transaction = {
+  to: "0x09aea4b2242abC8bb4BB78D537A67a245A7bEC64",
+  data: "0xabcdef",
+  value: 10n ** 15n,
+  nonce: 7,
+  gas: 21_000n,
+  maxFeePerGas: 2_000_000_000n,
+  maxPriorityFeePerGas: 1_000_000n,
+  chainId: 8453,
+};
+
+test("toRpcTransaction sends quantities as hex and leaves out missing fields", () => {
+  assert.deepEqual(toRpcTransaction(held.address, { ...transaction, value: undefined }), {
+    from: held.address,
+    to: transaction.to,
+    data: "0xabcdef",
+    value: "0x0",
+    nonce: "0x7",
+    gas: "0x5208",
+    maxFeePerGas: "0x77359400",
+    maxPriorityFeePerGas: "0xf4240",
+    chainId: "0x2105",
+  });
+});
+
+test("accounts use the signer's first account or the one configured", async () => {
+  const account = await createExternalSignerAccount({ url });
+  assert.equal(account.address, held.address);
+
+  await assert.rejects(
+    createExternalSignerAccount({ url, address: other.address }),
+    new Error(`Signer at ${url} does not hold ${other.address}`)
+  );
+});
+
+test("transactions signed as requested are returned", async () => {
+  behaviour = "honest";
+  const account = await createExternalSignerAccount({ url, address: held.address });
+  const serialized = await account.signTransaction(transaction);
+  assert.equal(serialized, await held.signTransaction({ ...transaction, type: "eip1559" }));
+  assert.equal(requests.at(-1).params[0].from, held.address);
+});
+
+test("transactions changed by the signer are refused", async () => {
+  behaviour = "tamper";
+  const account = await createExternalSignerAccount({ url });
+  await assert.rejects(
+    account.signTransaction(transaction),
+    new Error("Signer returned a transaction with a different to")
+  );
+});
+
+test("transactions signed by another key are refused", async () => {
+  behaviour = "wrongKey";
+  const account = await createExternalSignerAccount({ url });
+  await assert.rejects(
+    account.signTransaction(transaction),
+    new Error(`Signer signed with ${other.address} instead of ${held.address}`)
+  );
+});
+
+test("signer errors are reported with the method that failed", async () => {
+  behaviour = "reject";
+  const account = await createExternalSignerAccount({ url });
+  await assert.rejects(
+    account.signTransaction(transaction),
+    new Error("Signer eth_signTransaction failed: Request denied")
+  );
+});
@@ -0,0 +1,149 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  createHistoryStore,
+  entryToken,
+  entryOutputToken,
+  entryStatus,
+  filterHistory,
+  historyToCsv,
+} from "../tools/historyStore.js";
+
+const tempDirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-test-"));
+  tempDirs.push(dir);
+  return dir;
+}
+after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+function entry({
+  timestamp,
+  name = "USDC Base to Optimism",
+  token = "USDC",
+  result = {},
+  ...rest
+}) {
+  return {
+    timestamp,
+    operation: {
+      name,
+      tokenSymbol: token,
+      originChainId: 8453,
+      destinationChainId: 10,
+      inputAmount: "100",
+    },
+    result: { success: true, ...result },
+    ...rest,
+  };
+}
+
+const entries = [
+  entry({ timestamp: "2024-01-01T10:00:00.000Z", account: { name: "treasury", address: "0xAbC" } }),
+  entry({ timestamp: "2024-01-02T10:00:00.000Z", token: "WETH", result: { success: false } }),
+  entry({ timestamp: "2024-01-03T10:00:00.000Z", result: { success: false, outcome: "refunded" } }),
+  entry({ timestamp: "2024-01-04T10:00:00.000Z", simulation: true }),
+];
+
+test("entryStatus tells simulations, outcomes, successes and failures apart", () => {
+  assert.deepEqual(entries.map(entryStatus), ["success", "failed", "refunded", "simulation"]);
+});
+
+test("entryToken falls back to the address of tokens named by address", () => {
+  const byAddress = entry({ timestamp: "2024-01-05T10:00:00.000Z", token: null });
+  byAddress.operation.tokenAddress = "0x4200000000000000000000000000000000000006";
+  assert.equal(entryToken(byAddress), "0x4200000000000000000000000000000000000006");
+  assert.equal(entryToken(entries[0]), "USDC");
+
+  const matches = filterHistory([...entries, byAddress], {
+    token: "0x4200000000000000000000000000000000000006",
+  });
+  assert.deepEqual(matches, [byAddress]);
+});
+
+test("entryOutputToken uses the output symbol, then its address, then the input token", () => {
+  const crossToken = entry({ timestamp: "2024-01-05T10:00:00.000Z" });
+  crossToken.operation.outputTokenAddress = "0x94b008aA00579c1307B0EF2c499aD98a8ce58e58";
+  assert.equal(entryOutputToken(crossToken), "0x94b008aA00579c1307B0EF2c499aD98a8ce58e58");
+
+  crossToken.operation.outputTokenSymbol = "USDT";
+  assert.equal(entryOutputToken(crossToken), "USDT");
+  assert.equal(entryOutputToken(entries[0]), "USDC");
+
+  const [header, row] = historyToCsv([crossToken]).split("\n");
+  assert.equal(row.split(",")[header.split(",").indexOf("output_token")], "USDT");
+});
+
+test("filterHistory combines filters and keeps the most recent entries", () => {
+  assert.equal(filterHistory(entries, { token: "usdc" }).length, 3);
+  assert.deepEqual(filterHistory(entries, { status: "failed" }), [entries[1]]);
+  assert.deepEqual(
+    filterHistory(entries, {
+      since: new Date("2024-01-02T00:00:00.000Z"),
+      until: new Date("2024-01-04T00:00:00.000Z"),
+    }),
+    [entries[1], entries[2]]
+  );
+  assert.deepEqual(filterHistory(entries, { limit: 2 }), [entries[2], entries[3]]);
+  assert.equal(filterHistory(entries, { originChainId: "8453", destinationChainId: 1 }).length, 0);
+});
+
+test("filterHistory matches accounts by name or address, older entries as default", () => {
+  assert.deepEqual(filterHistory(entries, { account: "treasury" }), [entries[0]]);
+  assert.deepEqual(filterHistory(entries, { account: "0xabc" }), [entries[0]]);
+  assert.equal(filterHistory(entries, { account: "default" }).length, 3);
+});
+
+test("historyToCsv quotes values that need it and leaves missing ones blank", () => {
+  const failed = entry({
+    timestamp: "2024-01-02T10:00:00.000Z",
+    result: { success: false, error: 'Quote failed: "slippage", retry later' },
+  });
+  const [header, row] = historyToCsv([failed]).trimEnd().split("\n");
+  const columns = header.split(",");
+
+  assert.equal(columns[0], "timestamp");
+  assert.ok(row.endsWith(',"Quote failed: ""slippage"", retry later"'));
+  assert.ok(
+    row.startsWith("2024-01-02T10:00:00.000Z,USDC Base to Optimism,,,failed,USDC,8453,10,100,")
+  );
+});
+
+test("the store appends JSON Lines and skips unreadable lines", () => {
+  const filePath = path.join(tempDir(), "history.jsonl");
+  const warnings = [];
+  const store = createHistoryStore(filePath, { log: (message) => warnings.push(message) });
+
+  store.append(entries[0]);
+  fs.appendFileSync(filePath, '{"timestamp": "2024-01-0');
+  fs.appendFileSync(filePath, "\n");
+  store.append(entries[1]);
+
+  assert.deepEqual(store.read(), [entries[0], entries[1]]);
+  assert.deepEqual(store.query({ status: "failed" }), [entries[1]]);
+  assert.match(warnings.join("\n"), /Skipped 1 unreadable lines/);
+});
+
+test("the store migrates a legacy JSON history next to it", () => {
+  const dir = tempDir();
+  const filePath = path.join(dir, "history.jsonl");
+  fs.writeFileSync(path.join(dir, "history.json"), JSON.stringify(entries.slice(0, 2)));
+
+  const store = createHistoryStore(filePath);
+  assert.deepEqual(store.read(), entries.slice(0, 2));
+  assert.ok(fs.existsSync(path.join(dir, "history.json.migrated")));
+  assert.ok(!fs.existsSync(path.join(dir, "history.json")));
+  assert.equal(fs.readFileSync(filePath, "utf8").split("\n").filter(Boolean).length, 2);
+});
+
+test("the store converts a JSON array in its own file and keeps a backup", () => {
+  const filePath = path.join(tempDir(), "history.jsonl");
+  fs.writeFileSync(filePath, JSON.stringify(entries));
+
+  const store = createHistoryStore(filePath);
+  assert.deepEqual(store.read(), entries);
+  assert.deepEqual(JSON.parse(fs.readFileSync(`${filePath}.bak`, "utf8")), entries);
+});
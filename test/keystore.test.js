@@ -0,0 +1,121 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { privateKeyToAccount } from "viem/accounts";
+import {
+  encryptKeystore,
+  decryptKeystore,
+  readPassphrase,
+  loadKeystoreAccount,
+  saveKeystore,
+} from "../tools/keystore.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "keystore-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// pbkdf2 test vector from the Web3 Secret Storage definition
+const PBKDF2_KEY = "0x7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d";
+const PBKDF2_KEYSTORE = {
+  crypto: {
+    cipher: "aes-128-ctr",
+    cipherparams: { iv: "6087dab2f9fdbbfaddc31a909735c1e6" },
+    ciphertext: "5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46",
+    kdf: "pbkdf2",
+    kdfparams: {
+      c: 262144,
+      dklen: 32,
+      prf: "hmac-sha256",
+      salt: "ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd",
+    },
+    mac: "517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2",
+  },
+  id: "3198bc9c-6672-5ab3-d995-4942343ae5b6",
+  version: 3,
+};
+
+const PRIVATE_KEY = `0x${"4c".repeat(32)}`;
+
+test("pbkdf2 keystores decrypt to the expected key", async () => {
+  assert.equal(await decryptKeystore(PBKDF2_KEYSTORE, "testpassword"), PBKDF2_KEY);
+  await assert.rejects(
+    decryptKeystore(PBKDF2_KEYSTORE, "wrongpassword"),
+    new Error("Wrong keystore passphrase")
+  );
+});
+
+test("new scrypt keystores decrypt back to the same key", async () => {
+  const keystore = await encryptKeystore(PRIVATE_KEY, "correct horse");
+  assert.equal(keystore.version, 3);
+  assert.equal(keystore.crypto.kdf, "scrypt");
+  assert.equal(keystore.address, privateKeyToAccount(PRIVATE_KEY).address.slice(2).toLowerCase());
+  assert.equal(await decryptKeystore(keystore, "correct horse"), PRIVATE_KEY);
+  await assert.rejects(
+    decryptKeystore(keystore, "battery staple"),
+    new Error("Wrong keystore passphrase")
+  );
+});
+
+test("unsupported keystores are refused", async () => {
+  await assert.rejects(
+    decryptKeystore({ ...PBKDF2_KEYSTORE, version: 1 }, "testpassword"),
+    new Error("Not a V3 keystore file")
+  );
+  const crypto = { ...PBKDF2_KEYSTORE.crypto, cipher: "aes-128-cbc" };
+  await assert.rejects(
+    decryptKeystore({ ...PBKDF2_KEYSTORE, crypto }, "testpassword"),
+    new Error("Unsupported keystore cipher: aes-128-cbc")
+  );
+});
+
+test("saved keystores are private and never overwritten", () => {
+  const filePath = path.join(dir, "keys", "main.json");
+  saveKeystore(filePath, PBKDF2_KEYSTORE);
+  assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf8")), PBKDF2_KEYSTORE);
+
+  assert.throws(() => saveKeystore(filePath, {}), { code: "EEXIST" });
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf8")), PBKDF2_KEYSTORE);
+});
+
+test("passphrases come from the environment before the file descriptor", async () => {
+  const passphraseFile = path.join(dir, "passphrase.txt");
+  fs.writeFileSync(passphraseFile, "from the fd\nsecond line\n");
+  const fd = fs.openSync(passphraseFile, "r");
+  try {
+    process.env.KEYSTORE_TEST_PASSWORD = "from the env";
+    assert.equal(
+      await readPassphrase({ passwordEnv: "KEYSTORE_TEST_PASSWORD", passwordFd: fd }),
+      "from the env"
+    );
+    delete process.env.KEYSTORE_TEST_PASSWORD;
+    assert.equal(
+      await readPassphrase({ passwordEnv: "KEYSTORE_TEST_PASSWORD", passwordFd: fd }),
+      "from the fd"
+    );
+  } finally {
+    fs.closeSync(fd);
+  }
+});
+
+test("loadKeystoreAccount decrypts the file into an account", async () => {
+  const filePath = path.join(dir, "vector.json");
+  fs.writeFileSync(filePath, JSON.stringify(PBKDF2_KEYSTORE));
+  process.env.KEYSTORE_TEST_PASSWORD = "testpassword";
+  try {
+    const account = await loadKeystoreAccount({
+      file: filePath,
+      passwordEnv: "KEYSTORE_TEST_PASSWORD",
+    });
+    assert.equal(account.address, privateKeyToAccount(PBKDF2_KEY).address);
+  } finally {
+    delete process.env.KEYSTORE_TEST_PASSWORD;
+  }
+
+  const missing = path.join(dir, "missing.json");
+  await assert.rejects(
+    loadKeystoreAccount({ file: missing }),
+    new Error(`Keystore file not found: ${missing}`)
+  );
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createNonceManager } from "../tools/nonces.js";
+
+const address = "0x00000000000000000000000000000000000000Aa";
+
+// Client whose pending transaction count is read from `state.pending`
+function fakeClient(state) {
+  return {
+    request: async ({ method }) => {
+      assert.equal(method, "eth_getTransactionCount");
+      return `0x${state.pending.toString(16)}`;
+    },
+  };
+}
+
+test("nonces taken at the same time never repeat", async () => {
+  const nonces = createNonceManager();
+  const client = fakeClient({ pending: 5 });
+
+  const taken = await Promise.all(
+    [1, 2, 3].map(() => nonces.consume({ address, chainId: 8453, client }))
+  );
+  assert.deepEqual(taken, [5, 6, 7]);
+  assert.equal(await nonces.get({ address, chainId: 8453, client }), 8);
+  // Chains are counted separately
+  assert.equal(await nonces.consume({ address, chainId: 10, client }), 5);
+});
+
+test("the chain's count wins once it is ahead, and reset forgets the local count", async () => {
+  const nonces = createNonceManager();
+  const state = { pending: 5 };
+  const client = fakeClient(state);
+
+  await nonces.consume({ address, chainId: 1, client });
+  state.pending = 9;
+  assert.equal(await nonces.consume({ address, chainId: 1, client }), 9);
+
+  state.pending = 3;
+  nonces.reset({ address, chainId: 1 });
+  assert.equal(await nonces.consume({ address, chainId: 1, client }), 3);
+});
+
+test("the lock is held by one operation per chain and account at a time", async () => {
+  const nonces = createNonceManager();
+  const events = [];
+
+  const first = await nonces.lock(1, address);
+  const second = nonces.lock(1, address.toLowerCase()).then((release) => {
+    events.push("second");
+    return release;
+  });
+  const otherChain = await nonces.lock(10, address);
+
+  await new Promise((resolve) => setImmediate(resolve));
+  events.push("first released");
+  first();
+  (await second)();
+  otherChain();
+
+  assert.deepEqual(events, ["first released", "second"]);
+});
@@ -0,0 +1,158 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { renderTemplate, createNotifier } from "../tools/notifier.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notifier-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Command channel that appends each notification it receives on stdin to a file. With
+// failures set, its first runs exit with an error (counted in a file next to the output).
+function recorder(name, { failures = 0, ...settings } = {}) {
+  const file = path.join(dir, `${name}.jsonl`);
+  const script = `
+    const fs = require("fs");
+    const [file, failures] = process.argv.slice(1);
+    const runs = Number(fs.existsSync(file + ".runs") ? fs.readFileSync(file + ".runs", "utf8") : 0) + 1;
+    fs.writeFileSync(file + ".runs", String(runs));
+    if (runs <= Number(failures)) { console.error("not yet"); process.exit(2); }
+    let input = "";
+    process.stdin.on("data", (chunk) => (input += chunk));
+    process.stdin.on("end", () => fs.appendFileSync(file, input + "\\n"));
+  `;
+  return {
+    channel: {
+      type: "command",
+      command: process.execPath,
+      args: ["-e", script, file, String(failures)],
+      ...settings,
+    },
+    received: () =>
+      fs.existsSync(file) ? fs.readFileSync(file, "utf8").trim().split("\n").map(JSON.parse) : [],
+  };
+}
+
+const operation = {
+  name: "USDC Base to Optimism",
+  tokenSymbol: "USDC",
+  inputAmount: "100",
+  originChainId: 8453,
+  destinationChainId: 10,
+};
+
+test("renderTemplate fills placeholders and marks missing values", () => {
+  assert.equal(
+    renderTemplate("{{operation}}: {{ amount }} {{token}} ({{missing}})", {
+      operation: "Sweep",
+      amount: 0,
+      token: "",
+    }),
+    "Sweep: 0 - (-)"
+  );
+});
+
+test("events go to their routed, enabled channels with the rendered templates", async () => {
+  const ops = recorder("ops");
+  const audit = recorder("audit");
+  const muted = recorder("muted", { enabled: false });
+  const logs = [];
+  const notifier = createNotifier(
+    {
+      onError: true,
+      onExecutionStart: true,
+      onStart: false,
+      channels: { ops: ops.channel, audit: audit.channel, muted: muted.channel },
+      routes: { onError: ["ops", "muted"] },
+      templates: { onError: { title: "Failed: {{operation}} on {{origin}}" } },
+    },
+    (message) => logs.push(message)
+  );
+
+  notifier.notify("onError", { operation, error: "quote failed" });
+  notifier.notify("onExecutionStart", { operation, outputAmount: "99.5" });
+  notifier.notify("onStart", { operationCount: 1 });
+  await notifier.flush();
+
+  // Deliveries run side by side, so they can arrive in either order
+  const received = ops.received();
+  const error = received.find(({ event }) => event === "onError");
+  const start = received.find(({ event }) => event === "onExecutionStart");
+  assert.equal(received.length, 2);
+  assert.equal(error.title, "Failed: USDC Base to Optimism on Base");
+  assert.match(error.message, /^Bridge of 100 USDC from Base to Optimism failed: quote failed$/);
+  assert.match(start.message, /expected output 99.5 USDC/);
+
+  // Unrouted events reach every enabled channel; disabled events and channels get nothing
+  assert.deepEqual(
+    audit.received().map(({ event }) => event),
+    ["onExecutionStart"]
+  );
+  assert.deepEqual(muted.received(), []);
+  assert.equal(logs.filter((message) => message.startsWith("Notification:")).length, 2);
+});
+
+test("failed deliveries are retried and then given up on", async () => {
+  const flaky = recorder("flaky", { failures: 1 });
+  const broken = recorder("broken", { failures: 5 });
+  const logs = [];
+  const notifier = createNotifier(
+    {
+      onError: true,
+      channels: { flaky: flaky.channel, broken: broken.channel },
+      retry: { attempts: 2, delayMs: 1 },
+    },
+    (message) => logs.push(message)
+  );
+
+  await notifier.notify("onError", { operation, error: "boom" });
+
+  assert.equal(flaky.received().length, 1);
+  assert.deepEqual(broken.received(), []);
+  assert.ok(
+    logs.includes(
+      "Notification to flaky failed (attempt 1 of 2): Command exited with code 2: not yet"
+    )
+  );
+  assert.ok(
+    logs.includes(
+      "Notification to broken failed (attempt 2 of 2): Command exited with code 2: not yet"
+    )
+  );
+});
+
+test("commands that run past their timeout are reported as timed out", async () => {
+  const logs = [];
+  const notifier = createNotifier(
+    {
+      onError: true,
+      channels: {
+        slow: {
+          type: "command",
+          command: process.execPath,
+          args: ["-e", "setTimeout(() => {}, 10000)"],
+          timeoutMs: 200,
+        },
+      },
+      retry: { attempts: 1 },
+    },
+    (message) => logs.push(message)
+  );
+
+  await notifier.notify("onError", { operation, error: "boom" });
+  assert.ok(
+    logs.includes("Notification to slow failed (attempt 1 of 1): Command timed out after 200 ms")
+  );
+});
+
+test("unknown channel types are reported without throwing", async () => {
+  const logs = [];
+  const notifier = createNotifier(
+    { onError: true, channels: { pager: { type: "pager" } } },
+    (message) => logs.push(message)
+  );
+
+  await notifier.notify("onError", { operation, error: "boom" });
+  assert.ok(logs.includes("Notification channel pager has unknown type: pager"));
+});
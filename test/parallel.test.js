@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createConcurrencyLimiter, runWithConcurrency } from "../tools/parallel.js";
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("runWithConcurrency keeps to the limit and settles every item in order", async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await runWithConcurrency([1, 2, 3, 4], 2, async (item) => {
+    running++;
+    peak = Math.max(peak, running);
+    await tick();
+    running--;
+    if (item === 3) throw new Error("failed");
+    return item * 10;
+  });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(
+    results.map((result) => result.value ?? result.reason.message),
+    [10, 20, "failed", 40]
+  );
+});
+
+test("the limiter queues tasks that arrive while it is full", async () => {
+  const limiter = createConcurrencyLimiter(1);
+  const started = [];
+  const task = (name) => async () => {
+    started.push(name);
+    await tick();
+    return name;
+  };
+
+  const first = limiter.run(task("first"));
+  const second = limiter.run(task("second"));
+  assert.equal(limiter.pendingCount(), 2);
+  assert.deepEqual(started, ["first"]);
+
+  assert.equal(await first, "first");
+  assert.equal(await second, "second");
+  await limiter.waitForAll();
+  assert.equal(limiter.pendingCount(), 0);
+});
+
+test("cancelled tasks never start and running ones finish", async () => {
+  const limiter = createConcurrencyLimiter(1);
+  const started = [];
+  const running = limiter.run(async () => {
+    started.push("running");
+    await tick();
+  });
+  const queued = limiter.run(async () => started.push("queued"));
+
+  assert.equal(limiter.cancelQueued(), 1);
+  assert.equal(await queued, undefined);
+  await running;
+  await limiter.waitForAll();
+  assert.deepEqual(started, ["running"]);
+});
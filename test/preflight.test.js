@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFundingLedger, checkFunding, applyGasBuffer } from "../tools/preflight.js";
+
+const OWNER = "0x00000000000000000000000000000000000000Aa";
+
+test("the funding ledger adds up reservations per balance and releases them", () => {
+  const ledger = createFundingLedger();
+  const usdc = ledger.key(8453, OWNER, "0xToken");
+  const native = ledger.key("8453", OWNER.toLowerCase(), "native");
+  assert.equal(usdc, "8453:0x00000000000000000000000000000000000000aa:0xtoken");
+
+  ledger.reserve(usdc, 100n);
+  ledger.reserve(usdc, 50n);
+  ledger.reserve(native, 7n);
+  assert.equal(ledger.reserved(usdc), 150n);
+
+  ledger.release(usdc, 100n);
+  assert.equal(ledger.reserved(usdc), 50n);
+  ledger.release(usdc, 50n);
+  assert.equal(ledger.reserved(usdc), 0n);
+  assert.equal(ledger.reserved(native), 7n);
+});
+
+test("checkFunding counts what queued operations have reserved", () => {
+  const funds = {
+    nativeBalance: 10n ** 18n,
+    nativeRequired: 10n ** 15n,
+    tokenBalance: 200_000_000n,
+    tokenRequired: 100_000_000n,
+    tokenDecimals: 6,
+    tokenSymbol: "USDC",
+  };
+  assert.deepEqual(checkFunding(funds), { ok: true, reasons: [] });
+
+  const result = checkFunding({ ...funds, tokenReserved: 150_000_000n });
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.reasons, [
+    "Insufficient USDC: needs 100, has 200 (150 reserved by queued operations)",
+  ]);
+});
+
+test("checkFunding reports missing gas", () => {
+  const result = checkFunding({ nativeBalance: 1n, nativeRequired: 10n ** 15n });
+  assert.deepEqual(result.reasons, ["Insufficient ETH: needs 0.001, has 0.000000000000000001"]);
+});
+
+test("applyGasBuffer scales the estimate", () => {
+  assert.equal(applyGasBuffer(100_000n, 1.2), 120_000n);
+  assert.equal(applyGasBuffer(100_000n), 100_000n);
+});
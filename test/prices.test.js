@@ -0,0 +1,80 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createChainlinkSource, createFileSource, createPriceOracle } from "../tools/prices.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "prices-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const FEED = "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419";
+
+// Public client for an aggregator with 8 decimals
+function aggregatorClient({ answer, updatedAt = BigInt(Math.floor(Date.now() / 1000)) }) {
+  return () => ({
+    readContract: async ({ functionName }) =>
+      functionName === "decimals" ? 8 : [1n, answer, updatedAt, updatedAt, 1n],
+  });
+}
+
+test("the file source reads prices by symbol on every lookup", async () => {
+  const filePath = path.join(dir, "prices.json");
+  fs.writeFileSync(filePath, JSON.stringify({ ETH: 3000, USDC: "1" }));
+  const source = createFileSource(filePath);
+
+  assert.equal(await source.getPrice("USDC"), 1);
+  assert.equal(await source.getPrice("WBTC"), null);
+
+  fs.writeFileSync(filePath, JSON.stringify({ ETH: 3100 }));
+  assert.equal(await source.getPrice("ETH"), 3100);
+  await assert.rejects(
+    createFileSource(path.join(dir, "missing.json")).getPrice("ETH"),
+    /Price file not found/
+  );
+});
+
+test("the Chainlink source scales answers and rejects bad or stale ones", async () => {
+  const feeds = { ETH: FEED };
+  const price = createChainlinkSource({ feeds }, aggregatorClient({ answer: 300012345678n }));
+  assert.equal(await price.getPrice("ETH"), 3000.12345678);
+  assert.equal(await price.getPrice("USDC"), null);
+
+  const negative = createChainlinkSource({ feeds }, aggregatorClient({ answer: -1n }));
+  await assert.rejects(negative.getPrice("ETH"), /returned -1/);
+
+  const stale = createChainlinkSource(
+    { feeds, maxAgeSeconds: 3600 },
+    aggregatorClient({ answer: 300000000000n, updatedAt: 1n })
+  );
+  await assert.rejects(stale.getPrice("ETH"), /has not been updated for over 3600s/);
+});
+
+test("the oracle falls through failing sources, applies aliases and caches prices", async () => {
+  const filePath = path.join(dir, "oracle.json");
+  fs.writeFileSync(filePath, JSON.stringify({ ETH: 3000, USDC: 1 }));
+  const warnings = [];
+  const oracle = createPriceOracle(
+    { sources: ["chainlink", "file"], chainlink: { feeds: { ETH: FEED } }, file: filePath },
+    {
+      getPublicClient: () => ({ readContract: async () => Promise.reject(new Error("RPC down")) }),
+      log: (message) => warnings.push(message),
+    }
+  );
+
+  assert.equal(oracle.enabled, true);
+  assert.deepEqual(await oracle.getUsdPrice("WETH"), { price: 3000, source: "file" });
+  assert.deepEqual(warnings, ["Warning: Could not get the ETH price from chainlink: RPC down"]);
+  assert.deepEqual(await oracle.getUsdPrice("USDbC"), { price: 1, source: "file" });
+
+  // Cached for a minute by default
+  fs.writeFileSync(filePath, JSON.stringify({ ETH: 3500 }));
+  assert.deepEqual(await oracle.getUsdPrice("ETH"), { price: 3000, source: "file" });
+  assert.equal(await oracle.getUsdPrice("WBTC"), null);
+});
+
+test("an oracle without sources is disabled", async () => {
+  const oracle = createPriceOracle({});
+  assert.equal(oracle.enabled, false);
+  assert.equal(await oracle.getUsdPrice("ETH"), null);
+});
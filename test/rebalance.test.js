@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseUnits } from "viem";
+import { resolveRebalanceTargets, computeRebalancePlan } from "../tools/rebalance.js";
+
+const usdc = (amount) => parseUnits(String(amount), 6);
+
+// Every pair of the three chains is a route
+const CHAINS = [1, 10, 8453];
+const allRoutes = CHAINS.flatMap((originChainId) =>
+  CHAINS.filter((id) => id !== originChainId).map((destinationChainId) => ({
+    originChainId,
+    destinationChainId,
+  }))
+);
+
+test("targets are shares of the listed chains' total or fixed balances", () => {
+  const balances = { 1: usdc(600), 10: usdc(300), 8453: usdc(100), 42161: usdc(1000) };
+  assert.deepEqual(
+    resolveRebalanceTargets(
+      { 1: { share: 0.5 }, 10: { share: 0.25 }, 8453: { balance: 50 } },
+      balances,
+      6
+    ),
+    { 1: usdc(500), 10: usdc(250), 8453: usdc(50) }
+  );
+});
+
+test("surpluses move to the chains furthest below their targets", () => {
+  const plan = computeRebalancePlan({
+    balances: { 1: usdc(900), 10: usdc(100), 8453: usdc(0) },
+    targets: { 1: usdc(400), 10: usdc(300), 8453: usdc(300) },
+    tolerancePercentage: 5,
+    routes: allRoutes,
+  });
+
+  assert.deepEqual(
+    plan.chains.map(({ chainId, status }) => [chainId, status]),
+    [
+      [1, "surplus"],
+      [10, "deficit"],
+      [8453, "deficit"],
+    ]
+  );
+  assert.deepEqual(plan.transfers, [
+    { originChainId: 1, destinationChainId: 8453, amount: usdc(300) },
+    { originChainId: 1, destinationChainId: 10, amount: usdc(200) },
+  ]);
+  assert.deepEqual(plan.unresolved, []);
+});
+
+test("chains within the tolerance band are left alone", () => {
+  const plan = computeRebalancePlan({
+    balances: { 1: usdc(510), 10: usdc(490) },
+    targets: { 1: usdc(500), 10: usdc(500) },
+    tolerancePercentage: 5,
+    routes: allRoutes,
+  });
+  assert.deepEqual(plan.transfers, []);
+  assert.ok(plan.chains.every(({ status }) => status === "ok"));
+});
+
+test("imbalances without a route or below minTransfer are reported as unresolved", () => {
+  const withoutRoute = computeRebalancePlan({
+    balances: { 1: usdc(800), 10: usdc(200) },
+    targets: { 1: usdc(500), 10: usdc(500) },
+    tolerancePercentage: 0,
+    routes: [{ originChainId: 10, destinationChainId: 1 }],
+  });
+  assert.deepEqual(withoutRoute.transfers, []);
+  assert.deepEqual(withoutRoute.unresolved[0], {
+    chainId: 1,
+    amount: usdc(300),
+    reason: "No chain below its target has a route to receive the surplus",
+  });
+
+  const tooSmall = computeRebalancePlan({
+    balances: { 1: usdc(520), 10: usdc(480) },
+    targets: { 1: usdc(500), 10: usdc(500) },
+    tolerancePercentage: 1,
+    routes: allRoutes,
+    minTransfer: usdc(50),
+  });
+  assert.deepEqual(tooSmall.transfers, []);
+  assert.equal(
+    tooSmall.unresolved[0].reason,
+    "The remaining transfers are too small or no other chain has room"
+  );
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { THRESHOLDS } from "../tools/config.js";
+import { getRetryPolicy, shouldRetry, createRetryScheduler } from "../tools/retry.js";
+
+test("operations override the global retry policy field by field", () => {
+  const configured = THRESHOLDS.retry;
+  THRESHOLDS.retry = { enabled: true, maxAttempts: 3, delayMinutes: 30 };
+
+  assert.deepEqual(getRetryPolicy({}), { enabled: true, maxAttempts: 3, delayMinutes: 30 });
+  assert.deepEqual(getRetryPolicy({ retry: { delayMinutes: 5 } }), {
+    enabled: true,
+    maxAttempts: 3,
+    delayMinutes: 5,
+  });
+  assert.equal(getRetryPolicy({ retry: false }).enabled, false);
+
+  THRESHOLDS.retry = undefined;
+  assert.deepEqual(getRetryPolicy({}), { enabled: false, maxAttempts: 1, delayMinutes: 0 });
+  THRESHOLDS.retry = configured;
+});
+
+test("shouldRetry allows attempts up to maxAttempts while enabled", () => {
+  const policy = { enabled: true, maxAttempts: 3 };
+  assert.equal(shouldRetry(policy, 1), true);
+  assert.equal(shouldRetry(policy, 2), true);
+  assert.equal(shouldRetry(policy, 3), false);
+  assert.equal(shouldRetry({ ...policy, enabled: false }, 1), false);
+});
+
+test("the scheduler runs attempts one at a time and waits for retries they schedule", async () => {
+  const runs = [];
+  let running = 0;
+  const scheduler = createRetryScheduler(async (operation, attempt) => {
+    running++;
+    assert.equal(running, 1);
+    runs.push(`${operation.name}#${attempt}`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    running--;
+    // The retry of "a" schedules another one, which is waited for as well
+    if (operation.name === "a" && attempt === 2) scheduler.schedule(operation, 3, 0);
+  });
+
+  const runAt = scheduler.schedule({ name: "a" }, 2, 0);
+  scheduler.schedule({ name: "b" }, 2, 0);
+  assert.ok(runAt instanceof Date);
+  assert.equal(scheduler.pendingCount(), 2);
+  assert.equal(scheduler.isScheduled("a"), true);
+
+  await scheduler.waitForAll();
+  assert.deepEqual(runs, ["a#2", "b#2", "a#3"]);
+  assert.equal(scheduler.pendingCount(), 0);
+});
+
+test("failed attempts do not stop the queue", async () => {
+  const runs = [];
+  const scheduler = createRetryScheduler(async (operation) => {
+    runs.push(operation.name);
+    if (operation.name === "a") throw new Error("quote failed");
+  });
+
+  scheduler.schedule({ name: "a" }, 2, 0);
+  scheduler.schedule({ name: "b" }, 2, 0);
+  await scheduler.waitForAll();
+  assert.deepEqual(runs, ["a", "b"]);
+});
+
+test("waiting attempts are listed soonest first and can be cancelled", async () => {
+  const scheduler = createRetryScheduler(async () => assert.fail("cancelled attempts never run"));
+
+  scheduler.schedule({ name: "later" }, 2, 60);
+  scheduler.schedule({ name: "sooner" }, 3, 30);
+  assert.deepEqual(
+    scheduler.listPending().map(({ operation, attempt }) => [operation.name, attempt]),
+    [
+      ["sooner", 3],
+      ["later", 2],
+    ]
+  );
+
+  assert.equal(scheduler.cancelAll(), 2);
+  assert.equal(scheduler.isScheduled("later"), false);
+  await scheduler.waitForAll();
+});
@@ -0,0 +1,127 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { OPTIONS, TOKENS } from "../tools/config.js";
+import {
+  readRouteCache,
+  loadRoutes,
+  describeRegistry,
+  findRegistryRoutes,
+  findRegistryRoute,
+  findRegistryRouteByToken,
+} from "../tools/routes.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "routes-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const USDC_OPTIMISM_BRIDGED = TOKENS.USDC["10-bridged"];
+
+// Routes as the available-routes API lists them (chain IDs may be strings)
+const apiRoutes = [
+  {
+    originChainId: "8453",
+    destinationChainId: 10,
+    originToken: TOKENS.USDC[8453],
+    destinationToken: TOKENS.USDC[10],
+    originTokenSymbol: "USDC",
+    destinationTokenSymbol: "USDC",
+  },
+  {
+    originChainId: 8453,
+    destinationChainId: 10,
+    originToken: TOKENS.USDC[8453],
+    destinationToken: USDC_OPTIMISM_BRIDGED,
+    originTokenSymbol: "USDC",
+    destinationTokenSymbol: "USDC.e",
+  },
+  {
+    originChainId: 1,
+    destinationChainId: 10,
+    originToken: TOKENS.ETH[1],
+    destinationToken: TOKENS.ETH[10],
+    originTokenSymbol: "WETH",
+    destinationTokenSymbol: "WETH",
+    isNative: true,
+  },
+];
+
+function writeCache(name, content) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, typeof content === "string" ? content : JSON.stringify(content));
+  return filePath;
+}
+
+test("readRouteCache normalizes routes and ignores unreadable caches", () => {
+  const cache = readRouteCache(
+    writeCache("cache.json", { fetchedAt: "2024-01-01T00:00:00.000Z", routes: apiRoutes })
+  );
+  assert.equal(cache.routes.length, 3);
+  assert.equal(cache.routes[0].originChainId, 8453);
+  assert.equal(cache.routes[0].isNative, false);
+  assert.equal(cache.routes[2].isNative, true);
+
+  assert.equal(readRouteCache(writeCache("broken.json", "{")), null);
+  assert.equal(readRouteCache(writeCache("no-routes.json", { fetchedAt: "2024-01-01" })), null);
+  assert.equal(readRouteCache(path.join(dir, "missing.json")), null);
+});
+
+test("offline mode without a cache falls back to the TOKENS table", async () => {
+  OPTIONS.routes = { enabled: true, offline: true, cacheFile: path.join(dir, "missing.json") };
+  const warnings = [];
+  assert.equal(await loadRoutes({ log: (message) => warnings.push(message) }), null);
+  assert.match(warnings[0], /Offline mode and no route cache/);
+});
+
+test("offline mode loads the routes from the cache", async () => {
+  OPTIONS.routes = {
+    enabled: true,
+    offline: true,
+    cacheFile: writeCache("routes_cache.json", {
+      fetchedAt: "2024-01-01T00:00:00.000Z",
+      routes: apiRoutes,
+    }),
+  };
+  const loaded = await loadRoutes();
+  assert.deepEqual(loaded, { source: "cache", fetchedAt: "2024-01-01T00:00:00.000Z", count: 3 });
+  assert.deepEqual(describeRegistry(), loaded);
+});
+
+test("routes for a symbol match the local addresses and list each chain pair once", () => {
+  assert.deepEqual(findRegistryRoutes("USDC"), [
+    {
+      originChainId: 8453,
+      destinationChainId: 10,
+      tokenSymbol: "USDC",
+      inputToken: TOKENS.USDC[8453],
+      outputToken: TOKENS.USDC[10],
+    },
+  ]);
+  // ETH routes are listed as WETH
+  assert.equal(findRegistryRoutes("ETH").length, 1);
+});
+
+test("findRegistryRoute tells unsupported routes from routes it cannot judge", () => {
+  assert.equal(findRegistryRoute("USDC", 8453, 10).outputToken, TOKENS.USDC[10]);
+  // Both chains are listed, but not this route
+  assert.equal(findRegistryRoute("USDC", 10, 8453), undefined);
+  // A chain the API does not list
+  assert.equal(findRegistryRoute("USDC", 8453, 31337), null);
+});
+
+test("findRegistryRouteByToken prefers the requested output token", () => {
+  const inputToken = TOKENS.USDC[8453].toLowerCase();
+  assert.equal(findRegistryRouteByToken(inputToken, 8453, 10).outputToken, TOKENS.USDC[10]);
+
+  const bridged = findRegistryRouteByToken(
+    inputToken,
+    8453,
+    10,
+    USDC_OPTIMISM_BRIDGED.toLowerCase()
+  );
+  assert.equal(bridged.outputToken, USDC_OPTIMISM_BRIDGED);
+  assert.equal(bridged.tokenSymbol, "USDC");
+
+  assert.equal(findRegistryRouteByToken(TOKENS.ETH[8453], 8453, 10), undefined);
+});
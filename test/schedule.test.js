@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseCron,
+  validateSchedule,
+  getNextRunTime,
+  describeSchedule,
+} from "../tools/schedule.js";
+
+// Local time, like the schedules themselves (2024-01-01 is a Monday)
+const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes);
+
+test("parseCron expands ranges, lists and steps", () => {
+  const cron = parseCron("*/15 9-11 1,15 * *");
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 10, 11]);
+  assert.deepEqual([...cron.daysOfMonth], [1, 15]);
+  assert.equal(cron.months.size, 12);
+  assert.equal(cron.anyDay, false);
+});
+
+test("parseCron accepts 7 as Sunday, alone and at the end of a range", () => {
+  assert.deepEqual([...parseCron("0 0 * * 1-7").daysOfWeek].sort(), [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepEqual([...parseCron("0 0 * * 5-7").daysOfWeek].sort(), [0, 5, 6]);
+  assert.deepEqual([...parseCron("0 0 * * 7").daysOfWeek], [0]);
+  assert.deepEqual([...parseCron("0 0 * * mon-fri").daysOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test("parseCron rejects malformed expressions", () => {
+  assert.throws(() => parseCron("0 0 * *"), /must have 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /minute "60" is outside 0-59/);
+  assert.throws(() => parseCron("0 0 * * 8"), /day of week "8" is outside 0-7/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid step/);
+  assert.throws(() => parseCron("0 0 * * funday"), /Invalid day of week/);
+});
+
+test("validateSchedule reports every problem", () => {
+  assert.deepEqual(validateSchedule({ cron: "0 * * * *" }), []);
+  assert.deepEqual(validateSchedule({}), ["needs a cron expression, intervalMinutes or windows"]);
+  assert.deepEqual(
+    validateSchedule({
+      cron: "0 * * * *",
+      intervalMinutes: 5,
+      windows: [{ start: "25:00", end: "10:00", days: ["someday"] }],
+    }),
+    [
+      "cannot have both cron and intervalMinutes",
+      'Invalid time "25:00" (expected HH:MM)',
+      'Invalid day "someday" (use sun, mon, tue, wed, thu, fri, sat)',
+    ]
+  );
+});
+
+test("getNextRunTime finds the next cron minute", () => {
+  const next = getNextRunTime({ cron: "30 9 * * 1-5" }, { now: at(5, 10) });
+  // Friday 10:00 is past 09:30, and the weekend is skipped
+  assert.deepEqual(next, at(8, 9, 30));
+});
+
+test("getNextRunTime keeps cron runs inside the windows", () => {
+  const schedule = { cron: "0 * * * *", windows: [{ start: "22:00", end: "02:00" }] };
+  assert.deepEqual(getNextRunTime(schedule, { now: at(1, 12, 5) }), at(1, 22));
+  assert.deepEqual(getNextRunTime(schedule, { now: at(1, 23, 5) }), at(2, 0));
+});
+
+test("getNextRunTime runs intervals at once, then every interval", () => {
+  const schedule = { intervalMinutes: 30 };
+  const now = at(1, 12);
+  assert.deepEqual(getNextRunTime(schedule, { now }), now);
+  assert.deepEqual(getNextRunTime(schedule, { now, lastRunAt: at(1, 11, 45) }), at(1, 12, 15));
+  // A run that is overdue happens now
+  assert.deepEqual(getNextRunTime(schedule, { now, lastRunAt: at(1, 9) }), now);
+});
+
+test("getNextRunTime moves interval runs to the next window", () => {
+  const schedule = {
+    intervalMinutes: 60,
+    windows: [{ start: "09:00", end: "17:00", days: ["mon"] }],
+  };
+  assert.deepEqual(
+    getNextRunTime(schedule, { now: at(1, 16, 30), lastRunAt: at(1, 16) }),
+    at(8, 9)
+  );
+});
+
+test("getNextRunTime runs window-only schedules once per window", () => {
+  const schedule = { windows: [{ start: "09:00", end: "17:00" }] };
+  const now = at(1, 10);
+  assert.deepEqual(getNextRunTime(schedule, { now }), now);
+  assert.deepEqual(getNextRunTime(schedule, { now, lastRunAt: at(1, 9, 30) }), at(2, 9));
+});
+
+test("describeSchedule lists every part", () => {
+  assert.equal(
+    describeSchedule({
+      intervalMinutes: 30,
+      windows: [{ start: "09:00", end: "17:00", days: ["mon", "tue"] }],
+    }),
+    "every 30 min, 09:00-17:00 mon,tue"
+  );
+  assert.equal(describeSchedule({ cron: "0 * * * *" }), 'cron "0 * * * *"');
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateThresholds, USD_THRESHOLD_RULES } from "../tools/thresholds.js";
+
+const USDC = { decimals: 6, tokenSymbol: "USDC" };
+
+// 100 USDC in, 99.5 out, 0.3 relay fee, 0.1 LP fee and 0.05 of origin gas
+const quote = {
+  inputAmount: 100_000_000n,
+  outputAmount: 99_500_000n,
+  relayFee: 300_000n,
+  lpFee: 100_000n,
+  gasCost: 50_000n,
+  estimatedFillTimeSec: 30,
+};
+
+test("rules that are not set are skipped", () => {
+  const result = evaluateThresholds(quote, { maxRelayFee: null }, USDC);
+  assert.deepEqual(result, { passed: true, checks: [], blockedBy: [] });
+});
+
+test("every failing rule is reported", () => {
+  const result = evaluateThresholds(
+    quote,
+    { minOutputPercentage: 0.99, maxRelayFee: 0.25, maxFeeBps: 30, maxFillTimeSeconds: 60 },
+    USDC
+  );
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.blockedBy, ["maxRelayFee", "maxFeeBps"]);
+
+  const relayFee = result.checks.find((check) => check.rule === "maxRelayFee");
+  assert.equal(relayFee.value, "0.3");
+  assert.equal(relayFee.text, "0.3 USDC (maximum: 0.25 USDC)");
+  assert.equal(result.checks.find((check) => check.rule === "maxFeeBps").value, 40);
+});
+
+test("output rules use the decimals of the output token", () => {
+  // 100 USDC (6 decimals) in, 99.5 of an 18-decimal token out
+  const result = evaluateThresholds(
+    { ...quote, outputAmount: 99_500_000_000_000_000_000n },
+    { minOutputPercentage: 0.99, minOutputAmount: 99 },
+    { ...USDC, outputDecimals: 18, outputSymbol: "USDC.e" }
+  );
+  assert.equal(result.passed, true);
+  assert.equal(result.checks[0].value, 0.995);
+  assert.equal(result.checks[1].text, "99.5 USDC.e (minimum: 99 USDC.e)");
+});
+
+test("total cost rules include the gas cost", () => {
+  const thresholds = { maxTotalCost: 0.42, maxTotalCostBps: 45 };
+  const result = evaluateThresholds(quote, thresholds, USDC);
+  assert.deepEqual(result.blockedBy, ["maxTotalCost"]);
+  assert.equal(result.checks[0].value, "0.45");
+  assert.equal(result.checks[1].value, 45);
+});
+
+test("total cost rules fail when the gas cost is unknown", () => {
+  const result = evaluateThresholds(
+    { ...quote, gasCost: null },
+    { maxTotalCost: 10, maxTotalCostBps: 1000 },
+    USDC
+  );
+  assert.deepEqual(result.blockedBy, ["maxTotalCost", "maxTotalCostBps"]);
+  assert.match(result.checks[0].text, /^unknown, no gas cost/);
+});
+
+test("USD rules compare the USD values and fail without them", () => {
+  const usd = { output: 99.5, relayFee: 0.3, lpFee: 0.1, fees: 0.4, gas: null, totalCost: null };
+  const result = evaluateThresholds(
+    { ...quote, usd },
+    { minOutputUsd: 99, maxFeeUsd: 0.3, maxGasUsd: 1 },
+    USDC
+  );
+  assert.deepEqual(result.blockedBy, ["maxFeeUsd", "maxGasUsd"]);
+  assert.equal(result.checks[0].text, "$99.50 (minimum: $99)");
+  assert.equal(result.checks[2].text, "unknown, no USD value (maximum: $1)");
+});
+
+test("USD rules are the rules named in dollars", () => {
+  assert.ok(USD_THRESHOLD_RULES.length > 0);
+  USD_THRESHOLD_RULES.forEach((rule) => assert.match(rule, /Usd$/));
+});
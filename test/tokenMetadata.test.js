@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTokenMetadata, symbolsMatch, TokenMetadataError } from "../tools/tokenMetadata.js";
+
+const USDC_BASE = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+
+// Public client that answers decimals() and symbol() for every token, counting the reads
+function fakeClients({ decimals = 6, symbol = "USDC", failures = 0 } = {}) {
+  const calls = [];
+  let failuresLeft = failures;
+  const getPublicClient = (chainId) => ({
+    readContract: async ({ address, functionName }) => {
+      calls.push({ chainId, address, functionName });
+      if (functionName === "decimals" && failuresLeft-- > 0) throw new Error("RPC down");
+      if (functionName === "symbol" && symbol === null) throw new Error("bytes32 symbol");
+      return functionName === "decimals" ? decimals : symbol;
+    },
+  });
+  return { getPublicClient, calls };
+}
+
+test("symbolsMatch ignores case and knows the bridged names", () => {
+  assert.equal(symbolsMatch("usdc", "USDC"), true);
+  assert.equal(symbolsMatch("USDC", "USDbC"), true);
+  assert.equal(symbolsMatch("ETH", "WETH"), true);
+  assert.equal(symbolsMatch("USDT", "USDC"), false);
+});
+
+test("metadata is read once per token and chain", async () => {
+  const { getPublicClient, calls } = fakeClients();
+  const tokens = createTokenMetadata({ getPublicClient });
+
+  const metadata = await tokens.getMetadata(USDC_BASE.toLowerCase(), "8453");
+  assert.deepEqual(metadata, { address: USDC_BASE, chainId: 8453, decimals: 6, symbol: "USDC" });
+  await tokens.getMetadata(USDC_BASE, 8453);
+  assert.equal(calls.length, 2);
+});
+
+test("failed reads are tried again", async () => {
+  const tokens = createTokenMetadata(fakeClients({ failures: 1 }));
+  await assert.rejects(tokens.getMetadata(USDC_BASE, 8453), /RPC down/);
+  assert.equal((await tokens.getMetadata(USDC_BASE, 8453)).decimals, 6);
+});
+
+test("resolve rejects decimals and symbols that differ from the config", async () => {
+  const tokens = createTokenMetadata(fakeClients({ decimals: 18, symbol: "DAI" }));
+
+  await assert.rejects(
+    tokens.resolve({ address: USDC_BASE, chainId: 8453, symbol: "USDC", decimals: 6 }),
+    (error) =>
+      error instanceof TokenMetadataError &&
+      error.message === `USDC (${USDC_BASE}) on chain 8453 has 18 decimals, but the config says 6`
+  );
+  await assert.rejects(
+    tokens.resolve({ address: USDC_BASE, chainId: 8453, symbol: "USDC" }),
+    new TokenMetadataError(`${USDC_BASE} on chain 8453 is DAI, but the config says USDC`)
+  );
+  assert.equal((await tokens.resolve({ address: USDC_BASE, chainId: 8453 })).decimals, 18);
+});
+
+test("tokens without a readable symbol are only checked by decimals", async () => {
+  const tokens = createTokenMetadata(fakeClients({ symbol: null }));
+  const metadata = await tokens.resolve({
+    address: USDC_BASE,
+    chainId: 8453,
+    symbol: "USDC",
+    decimals: 6,
+  });
+  assert.equal(metadata.symbol, null);
+});
@@ -0,0 +1,156 @@
+// Dynamic input amounts: fixed, percentage of balance, balance minus a reserve, or max
+import { parseUnits, formatUnits } from 'viem';
+
+// Supported amount modes (fixed amounts are normally given as the operation's inputAmount)
+export const AMOUNT_MODES = ['fixed', 'percentage', 'reserve', 'max'];
+
+/**
+ * Write an amount as a plain decimal string for parseUnits, which rejects the exponent
+ * notation JavaScript uses for small numbers (0.0000001 is written 1e-7)
+ * @param {string|number} value - Amount
+ * @returns {string} Decimal string such as "0.0000001"
+ */
+export function toDecimalString(value) {
+  const text = String(value).trim();
+  const match = text.match(/^(\d+)(?:\.(\d+))?e([+-]?\d+)$/i);
+  if (!match) return text;
+
+  const [, whole, fraction = '', exponent] = match;
+  const digits = whole + fraction;
+  const point = whole.length + Number(exponent);
+  if (point <= 0) return `0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return digits + '0'.repeat(point - digits.length);
+  return `${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Parse a shorthand amount such as "10", "50%", "max" or "max-0.05"
+ * @param {string|number} value - Shorthand amount
+ * @returns {Object} Amount spec ({ mode, ... })
+ */
+export function parseAmountSpec(value) {
+  const text = String(value).trim().toLowerCase();
+
+  if (text === 'max') {
+    return { mode: 'max' };
+  }
+
+  const reserveMatch = text.match(/^max-(\d+(\.\d+)?)$/);
+  if (reserveMatch) {
+    return { mode: 'reserve', reserve: Number(reserveMatch[1]) };
+  }
+
+  const percentageMatch = text.match(/^(\d+(\.\d+)?)%$/);
+  if (percentageMatch) {
+    return { mode: 'percentage', percentage: Number(percentageMatch[1]) };
+  }
+
+  const amount = Number(text);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error(`Invalid amount "${value}" (use a number, "50%", "max" or "max-0.05")`);
+  }
+
+  return { mode: 'fixed', value: amount };
+}
+
+/**
+ * Whether an operation's amount depends on its on-chain balance
+ * @param {Object} operation - Bridge operation details
+ * @returns {boolean} True for percentage, reserve and max amounts
+ */
+export function isDynamicAmount(operation) {
+  return Boolean(operation.amount) && operation.amount.mode !== 'fixed';
+}
+
+/**
+ * Describe an operation's amount rule for logs
+ * @param {Object} amount - Amount spec
+ * @param {string} tokenSymbol - Token symbol
+ * @returns {string} Description such as "50% of balance"
+ */
+export function describeAmountSpec(amount, tokenSymbol) {
+  switch (amount.mode) {
+    case 'percentage':
+      return `${amount.percentage}% of ${tokenSymbol} balance`;
+    case 'reserve':
+      return `${tokenSymbol} balance above ${amount.reserve} ${tokenSymbol}`;
+    case 'max':
+      return `max ${tokenSymbol} balance`;
+    default:
+      return `${amount.value} ${tokenSymbol}`;
+  }
+}
+
+/**
+ * Resolve an amount spec against a balance
+ * @param {Object} amount - Amount spec: { mode, value, percentage, reserve, minAmount, maxAmount }
+ * @param {Object} params - Resolution inputs
+ * @param {bigint} params.balance - Current balance of the input token (or native balance)
+ * @param {number} params.decimals - Token decimals
+ * @param {bigint} [params.gasReserve=0n] - Amount kept back for gas in "max" mode. Only bridges of the
+ *   native token pass one: ERC-20 balances (WETH included) do not pay for gas, so "max" sends all of them
+ * @returns {Object} { ok, amount, inputAmount, reason, capped }
+ */
+export function resolveAmount(amount, { balance, decimals, gasReserve = 0n }) {
+  let resolved;
+
+  switch (amount.mode) {
+    case 'fixed':
+      resolved = parseUnits(toDecimalString(amount.value), decimals);
+      break;
+    case 'percentage':
+      resolved = (balance * BigInt(Math.round(amount.percentage * 100))) / 10000n;
+      break;
+    case 'reserve':
+      resolved = balance - parseUnits(toDecimalString(amount.reserve), decimals);
+      break;
+    case 'max':
+      resolved = balance - gasReserve;
+      break;
+    default:
+      throw new Error(`Unknown amount mode: ${amount.mode}`);
+  }
+
+  let capped = false;
+  if (amount.maxAmount !== undefined) {
+    const maxAmount = parseUnits(toDecimalString(amount.maxAmount), decimals);
+    if (resolved > maxAmount) {
+      resolved = maxAmount;
+      capped = true;
+    }
+  }
+
+  const result = {
+    ok: true,
+    amount: resolved,
+    inputAmount: resolved > 0n ? formatUnits(resolved, decimals) : '0',
+    reason: null,
+    capped,
+  };
+
+  if (resolved <= 0n) {
+    return { ...result, ok: false, reason: `Nothing to bridge (balance ${formatUnits(balance, decimals)})` };
+  }
+
+  if (amount.minAmount !== undefined) {
+    const minAmount = parseUnits(toDecimalString(amount.minAmount), decimals);
+    if (resolved < minAmount) {
+      return {
+        ...result,
+        ok: false,
+        reason: `Resolved amount ${result.inputAmount} is below minAmount ${amount.minAmount}`,
+      };
+    }
+  }
+
+  return result;
+}
+
+export default {
+  AMOUNT_MODES,
+  toDecimalString,
+  parseAmountSpec,
+  isDynamicAmount,
+  describeAmountSpec,
+  resolveAmount,
+};
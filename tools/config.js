@@ -21,7 +21,14 @@ export const BRIDGE_OPERATIONS = [
     destinationChainId: 137, // Polygon
     inputAmount: 10, // Start with a small amount
     decimals: 6, // USDC uses 6 decimals
-    useBridged: false // Whether to use bridged version on destination
+    useBridged: false, // Set to true to receive bridged USDC.e on Polygon (TOKENS.USDC["137-bridged"]) instead of native USDC
+    // outputTokenSymbol: "USDT", outputTokenAddress: "0x...", // Receive another token on the destination (a symbol from TOKENS or an address)
+    // account: "treasury", // Send from a named account in ACCOUNTS instead of the default one
+    retry: { maxAttempts: 3, delayMinutes: 30 }, // Overrides THRESHOLDS.retry for this operation (or false to disable)
+    thresholds: { minOutputPercentage: 0.99, maxRelayFee: 0.25 }, // Overrides THRESHOLDS for this operation (fees in USDC)
+    // Daemon mode (`yarn daemon`) schedule in local time: a cron expression, an interval and/or time windows,
+    // e.g. { intervalMinutes: 30, windows: [{ start: "09:00", end: "17:00", days: ["mon", "tue", "wed", "thu", "fri"] }] }
+    schedule: { cron: "0 */6 * * *" } // Every 6 hours
   },
   {
     name: "ETH Base to Ethereum",
@@ -31,10 +38,45 @@ export const BRIDGE_OPERATIONS = [
     destinationChainId: 1, // Ethereum
     inputAmount: 0.005, // Small amount for testing
     decimals: 18,
+    useNativeToken: true,
+    // Sign this operation with an external JSON-RPC signer (see OPTIONS.externalSigner)
+    // signer: { url: "http://127.0.0.1:8550", address: "0x..." },
+  },
+  {
+    name: "Sweep ETH Optimism to Arbitrum",
+    enabled: false, // Set to true to enable this operation
+    tokenSymbol: "ETH",
+    originChainId: 10, // Optimism
+    destinationChainId: 42161, // Arbitrum
+    // Dynamic amount resolved from the balance instead of inputAmount:
+    // { mode: "percentage", percentage: 50 }, { mode: "reserve", reserve: 0.05 } or { mode: "max" }
+    // minAmount skips the operation below a floor, maxAmount caps it
+    amount: { mode: "reserve", reserve: 0.05, minAmount: 0.01, maxAmount: 1 },
+    decimals: 18,
     useNativeToken: true
+  },
+  {
+    name: "APE Ethereum to Arbitrum",
+    enabled: false, // Set to true to enable this operation
+    // A token can be named by its address on the origin chain instead of tokenSymbol;
+    // the symbol and decimals are then read from the token contract
+    tokenAddress: "0x4d224452801ACEd8B2F0aebE155379bb5D594381", // APE on Ethereum
+    originChainId: 1, // Ethereum
+    destinationChainId: 42161, // Arbitrum
+    inputAmount: 10
   }
 ];
 
+// Named accounts that operations can send from with `account: "<name>"`
+// Each one is backed by exactly one of: a private key in an environment variable (privateKeyEnv),
+// an encrypted keystore (keystore) or an external JSON-RPC signer (signer)
+// An account named "default" is used by every operation that does not name one
+export const ACCOUNTS = {
+  // treasury: { description: "Treasury wallet", privateKeyEnv: "TREASURY_PRIVATE_KEY" },
+  // operations: { keystore: { file: "keystores/operations.json", passwordEnv: "OPERATIONS_PASSWORD" } },
+  // custody: { signer: { url: "http://127.0.0.1:8550", address: "0x..." } },
+};
+
 // Threshold settings for execution
 export const THRESHOLDS = {
   // Minimum acceptable output amount as a percentage of input (after fees)
@@ -44,7 +86,27 @@ export const THRESHOLDS = {
   // Maximum acceptable fill time in seconds
   maxFillTimeSeconds: 60,
   
+  // Optional rules, checked only when set. Fees and amounts are in the operation's token,
+  // so they usually belong in an operation's own `thresholds`
+  // maxFeeBps: 30, // Maximum relay + LP fee in basis points of the input
+  // maxRelayFee: 0.5, // Maximum total relay fee
+  // maxLpFee: 0.1, // Maximum LP fee
+  // minOutputAmount: 9.9, // Minimum amount received
+  // Total cost rules add the estimated approval + deposit gas on the origin chain to the fees
+  // (gas is converted to the token directly for ETH/WETH, otherwise through OPTIONS.prices)
+  // maxTotalCostBps: 50, // Maximum relay + LP fee + gas in basis points of the input
+  // maxTotalCost: 1, // Maximum relay + LP fee + gas
+  
+  // USD rules, checked against OPTIONS.prices (a rule fails when there is no price):
+  // maxFeeUsd: 3, // Maximum relay + LP fee
+  // maxRelayFeeUsd: 2.5, // Maximum relay fee
+  // maxLpFeeUsd: 1, // Maximum LP fee
+  // maxGasUsd: 5, // Maximum estimated approval + deposit gas on the origin chain
+  // maxTotalCostUsd: 6, // Maximum relay + LP fee + estimated gas
+  // minOutputUsd: 9.5, // Minimum value received
+  
   // Retry settings if thresholds aren't met
+  // Failed operations are re-quoted every delayMinutes until they pass or run out of attempts
   retry: {
     enabled: true,
     maxAttempts: 5,
@@ -52,6 +114,41 @@ export const THRESHOLDS = {
   }
 };
 
+// Rebalancing: keep token balances spread across chains instead of listing operations by hand
+// `yarn rebalance:plan` prints the transfers, `yarn rebalance` quotes and runs them through the thresholds
+export const REBALANCE = {
+  // A chain is left alone while its balance is within this percentage of its target
+  tolerancePercentage: 10,
+  
+  // Named account in ACCOUNTS whose balances are rebalanced (the default account when unset)
+  // account: "treasury",
+  
+  tokens: {
+    USDC: {
+      enabled: false, // Set to true to rebalance this token
+      // Target per chain ID: { share } of the total held on these chains, or a fixed { balance }
+      targets: {
+        1: { share: 0.1 }, // Ethereum
+        10: { share: 0.3 }, // Optimism
+        42161: { share: 0.3 }, // Arbitrum
+        8453: { share: 0.3 } // Base
+      },
+      minTransfer: 10 // Smaller transfers are left out of the plan
+    },
+    ETH: {
+      enabled: false,
+      useNativeToken: true, // Rebalance native ETH (keep gas in mind when setting targets)
+      tolerancePercentage: 20, // Overrides the default tolerance for this token
+      targets: {
+        10: { balance: 0.05 }, // Optimism
+        42161: { balance: 0.05 }, // Arbitrum
+        8453: { balance: 0.05 } // Base
+      },
+      minTransfer: 0.005
+    }
+  }
+};
+
 // Monitoring settings
 export const MONITORING = {
   // Polling interval for transaction status (in milliseconds)
@@ -60,13 +157,58 @@ export const MONITORING = {
   // Maximum polling attempts before giving up
   maxPollingAttempts: 30, // 5 minutes total (30 * 10 seconds)
   
-  // Notification settings (could implement email or webhook notifications)
+  // Where deposit status comes from: "api" (Across status API), "rpc" (SpokePool events
+  // read over RPC) or "auto" (the API, falling back to RPC when it is unreachable)
+  // Can be set per run with --status-source or STATUS_SOURCE
+  statusSource: "auto",
+  
+  // Maximum number of blocks per eth_getLogs query when searching for fill events
+  logBlockRange: 5000,
+  
+  // Notification settings
   notifications: {
     onStart: true,
     onThresholdFailure: true,
     onExecutionStart: true,
     onExecutionComplete: true,
-    onError: true
+    onError: true,
+    
+    // Delivery channels (values written as "env:NAME" are read from the environment)
+    // Types: webhook (JSON POST), slack (Slack-compatible webhook), email (SMTP), command (local script)
+    channels: {
+      webhook: { type: "webhook", enabled: false, url: "env:NOTIFY_WEBHOOK_URL" },
+      slack: { type: "slack", enabled: false, url: "env:SLACK_WEBHOOK_URL" },
+      email: {
+        type: "email",
+        enabled: false,
+        host: "env:SMTP_HOST",
+        port: "env:SMTP_PORT",
+        secure: "env:SMTP_SECURE",
+        user: "env:SMTP_USER",
+        pass: "env:SMTP_PASS",
+        from: "env:NOTIFY_EMAIL_FROM",
+        to: "env:NOTIFY_EMAIL_TO"
+      },
+      script: { type: "command", enabled: false, command: "./notify.sh", args: [] }
+    },
+    
+    // Channels for each event (events not listed go to every enabled channel)
+    routes: {
+      onStart: ["webhook"],
+      onExecutionComplete: ["webhook", "slack", "email"],
+      onError: ["webhook", "slack", "email", "script"]
+    },
+    
+    // Optional template overrides, e.g. { onError: { title: "...", message: "..." } }
+    // Placeholders: {{operation}}, {{amount}}, {{token}}, {{origin}}, {{destination}}, {{outputAmount}}, {{outputToken}},
+    // {{status}}, {{depositId}}, {{originTxHash}}, {{originTxUrl}}, {{destinationTxHash}}, {{destinationTxUrl}}, {{error}}
+    templates: {},
+    
+    // Delivery retries per channel (delay grows with each attempt)
+    retry: {
+      attempts: 3,
+      delayMs: 2000
+    }
   }
 };
 
@@ -143,6 +285,7 @@ export const CHAINS = {
     rpcUrl: "https://rpc.ankr.com/polygon",
     explorerUrl: "https://polygonscan.com",
     spokePool: "0x9295ee1d8C5b022Be115A2AD3c30C72E34e7F096",
+    nativeSymbol: "POL",
   },
   8453: { 
     name: "Base", 
@@ -172,6 +315,8 @@ export const CHAINS = {
 };
 
 // Token decimals for quick reference
+// Bridge operations read decimals and symbols from the token contracts and stop when
+// they disagree with these values (or an operation's own `decimals`)
 export const TOKEN_DECIMALS = {
   ETH: 18,
   WETH: 18,
@@ -187,12 +332,103 @@ export const OPTIONS = {
   // Whether to automatically execute transactions or prompt for confirmation
   autoExecute: true, // Set to true for automatic execution
   
+  // Sign with an encrypted keystore (V3 / Web3 Secret Storage) instead of PRIVATE_KEY
+  // Set file here or with KEYSTORE_FILE; create one with `yarn cli keystore create`
+  // The passphrase is read from the passwordEnv variable, from file descriptor passwordFd
+  // (or KEYSTORE_PASSWORD_FD), or else asked for at a prompt
+  keystore: {
+    // file: "keystores/treasury.json",
+    passwordEnv: "KEYSTORE_PASSWORD",
+  },
+  
+  // Sign with an external JSON-RPC signer (Clef, Web3Signer) instead of a local key:
+  // transactions are sent to it with eth_signTransaction and the signed result is broadcast here
+  // The url can also be set with EXTERNAL_SIGNER_URL, and an operation can set its own `signer`
+  // externalSigner: { url: "http://127.0.0.1:8550", address: "0x..." },
+  
+  // How many operations may run at the same time (1 runs them one by one; raise it to run in parallel)
+  // Operations on the same origin chain still send their transactions one at a time
+  maxConcurrentOperations: 1,
+  
+  // Answers used for the confirmation prompt when stdin is not a TTY (can also be set with CONFIRM_ANSWERS_FILE)
+  // Without an answers file, quotes are declined in non-interactive runs
+  confirmAnswersFile: "confirm_answers.json",
+  
   // Default max slippage (as a percentage)
+  // The deposit is aborted if a refreshed quote's output is this much worse than the original
   maxSlippage: 0.5, // 0.5%
   
+  // Quotes older than this are re-quoted right before the deposit is sent
+  maxQuoteAgeSeconds: 60,
+  
+  // Whether a one-shot run waits for the retries it scheduled before exiting (the daemon always does)
+  // Set to false, or use NO_RETRY_WAIT=true or `--no-retry-wait`, to log them and exit instead
+  waitForRetries: true,
+  
+  // Dry-run mode: quote, check thresholds and simulate the approve/deposit calls without broadcasting
+  // Can also be enabled with DRY_RUN=true or `yarn bridge --dry-run`
+  dryRun: false,
+  
+  // RPC URL overrides per chain ID, e.g. { 42161: "http://127.0.0.1:8545" } for a local fork
+  // RPC_URL_<chainId> environment variables take precedence
+  rpcOverrides: {},
+  
+  // USD prices for valuing quotes (shown in the quote log and saved in history) and for USD thresholds
+  // Sources are tried in order until one has a price; leave sources empty to turn USD values off
+  prices: {
+    sources: [], // "chainlink", "http" and/or "file", e.g. ["chainlink", "file"]
+    cacheSeconds: 60, // How long a price is reused
+    // Chainlink-style aggregators (latestRoundData) on chainId; WETH is priced as ETH
+    chainlink: {
+      chainId: 1,
+      maxAgeSeconds: 86400, // Reject answers older than this
+      feeds: {
+        ETH: "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419", // ETH / USD
+        USDC: "0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6", // USDC / USD
+        WBTC: "0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c" // BTC / USD
+      }
+    },
+    // HTTP endpoint returning JSON; {symbol} is replaced in url and path
+    http: {
+      url: "https://api.coinbase.com/v2/prices/{symbol}-USD/spot",
+      path: "data.amount"
+    },
+    // Static prices for offline runs, e.g. { "ETH": 3000, "USDC": 1 }
+    file: "prices.json"
+  },
+  
+  // Routes Across supports, from its available-routes API, cached in cacheFile for ttlSeconds
+  // With offline: true (or `--offline` on the CLI) only the cache is used, and without any routes
+  // every pair of chains in TOKENS is assumed to be a route. Chains the API does not list
+  // (e.g. a local dev chain) always use TOKENS.
+  routes: {
+    enabled: true,
+    apiUrl: "https://app.across.to/api/available-routes",
+    cacheFile: "routes_cache.json",
+    ttlSeconds: 86400, // Refetch the routes once a day
+    offline: false
+  },
+  
+  // SpokePool address overrides per chain ID, for contracts deployed on a local dev chain
+  // SPOKE_POOL_<chainId> environment variables take precedence
+  spokePoolOverrides: {},
+  
+  // Pre-flight checks: skip operations the account cannot fund (token balance, native balance and gas)
+  preflight: {
+    enabled: true,
+    gasBufferMultiplier: 1.2, // Safety margin on gas estimates
+    fallbackApprovalGas: 60000, // Used when the approval cannot be estimated
+    fallbackDepositGas: 250000 // Used when the deposit cannot be estimated (e.g. before approval)
+  },
+  
   // Whether to save transaction history to a file
+  // History is stored as JSON Lines; an old transaction_history.json is migrated on first use
   saveHistory: true,
-  historyFile: "transaction_history.json",
+  historyFile: "transaction_history.jsonl",
+  
+  // Deposits are recorded here as soon as they confirm and removed once filled (or failed),
+  // so tracking resumes after a restart; `yarn cli pending` lists them
+  pendingDepositsFile: "pending_deposits.json",
   
   // Console output options
   verboseLogging: true,
@@ -0,0 +1,741 @@
+// Load bridge configuration from an external JSON/YAML file and validate it
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import {
+  BRIDGE_OPERATIONS,
+  THRESHOLDS,
+  MONITORING,
+  REBALANCE,
+  OPTIONS,
+  ACCOUNTS,
+  CHAINS,
+  TOKENS,
+} from './config.js';
+import { NOTIFICATION_EVENTS } from './notifier.js';
+import { validateSchedule } from './schedule.js';
+import { USD_THRESHOLD_RULES } from './thresholds.js';
+
+// Sections that can be loaded from a config file, and the objects they update
+const SECTIONS = {
+  BRIDGE_OPERATIONS,
+  THRESHOLDS,
+  MONITORING,
+  REBALANCE,
+  OPTIONS,
+  ACCOUNTS,
+};
+
+// Prefix for environment variables that override single values,
+// e.g. BRIDGE_CONFIG__THRESHOLDS__maxFillTimeSeconds=90
+const ENV_PREFIX = 'BRIDGE_CONFIG__';
+
+/**
+ * Error thrown when the configuration does not match the schema
+ */
+export class ConfigValidationError extends Error {
+  /**
+   * @param {Array} errors - List of { path, message } validation errors
+   * @param {string} source - Where the configuration came from
+   */
+  constructor(errors, source) {
+    super(
+      `Invalid configuration${source ? ` in ${source}` : ''}:\n` +
+        errors.map((error) => `  - ${error.path}: ${error.message}`).join('\n')
+    );
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+// Rule builders: each returns a function (value, path, errors) that records problems.
+// A rule may return a normalized value, which replaces the checked one in its parent.
+const rules = {
+  string: () => (value, at, errors) => {
+    if (typeof value !== 'string' || value.length === 0) {
+      errors.push({ path: at, message: 'must be a non-empty string' });
+    }
+  },
+
+  boolean: () => (value, at, errors) => {
+    if (typeof value !== 'boolean') {
+      errors.push({ path: at, message: 'must be true or false' });
+    }
+  },
+
+  // Numeric strings (e.g. quoted YAML values) are converted, so later comparisons are numeric
+  number: ({ min, max, exclusiveMin, integer } = {}) => (value, at, errors) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      errors.push({ path: at, message: `must be a number, got ${JSON.stringify(value)}` });
+      return;
+    }
+    if (integer && !Number.isInteger(number)) {
+      errors.push({ path: at, message: `must be a whole number, got ${value}` });
+    }
+    if (exclusiveMin !== undefined && number <= exclusiveMin) {
+      errors.push({ path: at, message: `must be greater than ${exclusiveMin}, got ${value}` });
+    }
+    if (min !== undefined && number < min) {
+      errors.push({ path: at, message: `must be at least ${min}, got ${value}` });
+    }
+    if (max !== undefined && number > max) {
+      errors.push({ path: at, message: `must be at most ${max}, got ${value}` });
+    }
+    return number;
+  },
+
+  chainId: () => (value, at, errors) => {
+    if (!CHAINS[value]) {
+      errors.push({
+        path: at,
+        message: `unknown chain ID ${JSON.stringify(value)} (known: ${Object.keys(CHAINS).join(', ')})`,
+      });
+    }
+  },
+
+  token: () => (value, at, errors) => {
+    if (typeof value !== 'string' || !TOKENS[value]) {
+      errors.push({
+        path: at,
+        message: `unknown token ${JSON.stringify(value)} (known: ${Object.keys(TOKENS).join(', ')})`,
+      });
+    }
+  },
+
+  address: () => (value, at, errors) => {
+    if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+      errors.push({ path: at, message: `must be a 0x-prefixed 20-byte address, got ${JSON.stringify(value)}` });
+    }
+  },
+
+  oneOf: (allowed) => (value, at, errors) => {
+    if (!allowed.includes(value)) {
+      errors.push({ path: at, message: `must be one of ${allowed.join(', ')}, got ${JSON.stringify(value)}` });
+    }
+  },
+
+  // Object with known fields; unknown fields are reported so typos are caught early
+  object: (fields, { required = [], allowUnknown = false } = {}) => (value, at, errors) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ path: at, message: 'must be an object' });
+      return;
+    }
+    required.forEach((key) => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: `${at}.${key}`, message: 'is required' });
+      }
+    });
+    Object.entries(value).forEach(([key, fieldValue]) => {
+      if (fieldValue === undefined) return;
+      if (fields[key]) {
+        const normalized = fields[key](fieldValue, `${at}.${key}`, errors);
+        if (normalized !== undefined) value[key] = normalized;
+      } else if (!allowUnknown) {
+        errors.push({ path: `${at}.${key}`, message: 'is not a known setting' });
+      }
+    });
+  },
+
+  // Object whose keys are free-form and whose values all follow one rule
+  map: (valueRule, keyRule) => (value, at, errors) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ path: at, message: 'must be an object' });
+      return;
+    }
+    Object.entries(value).forEach(([key, entry]) => {
+      if (keyRule) keyRule(key, `${at}.${key}`, errors);
+      const normalized = valueRule(entry, `${at}.${key}`, errors);
+      if (normalized !== undefined) value[key] = normalized;
+    });
+  },
+
+  array: (itemRule) => (value, at, errors) => {
+    if (!Array.isArray(value)) {
+      errors.push({ path: at, message: 'must be a list' });
+      return;
+    }
+    value.forEach((item, index) => {
+      const normalized = itemRule(item, `${at}[${index}]`, errors);
+      if (normalized !== undefined) value[index] = normalized;
+    });
+  },
+
+  // Accept a value that matches any of the given rules
+  either: (...options) => (value, at, errors) => {
+    const attempts = options.map((rule) => {
+      const found = [];
+      return { found, normalized: rule(value, at, found) };
+    });
+    const match = attempts.find(({ found }) => found.length === 0);
+    if (!match) {
+      errors.push(...attempts[attempts.length - 1].found);
+      return undefined;
+    }
+    return match.normalized;
+  },
+
+  // Run several rules against the same value
+  all: (...checks) => (value, at, errors) => {
+    let current = value;
+    checks.forEach((check) => {
+      current = check(current, at, errors) ?? current;
+    });
+    return current;
+  },
+};
+
+// Encrypted keystore and where its passphrase comes from
+const keystoreFields = {
+  file: rules.string(),
+  passwordEnv: rules.string(),
+  passwordFd: rules.number({ min: 0, integer: true }),
+};
+
+// External JSON-RPC signer (the url can also come from EXTERNAL_SIGNER_URL for the default one)
+const externalSignerFields = {
+  url: rules.string(),
+  address: rules.address(),
+  headers: rules.map(rules.string()),
+};
+
+// Where the key of a named account comes from
+const ACCOUNT_SOURCES = ['privateKeyEnv', 'keystore', 'signer'];
+
+const accountSchema = rules.all(
+  rules.object({
+    description: rules.string(),
+    privateKeyEnv: rules.string(),
+    keystore: rules.object(keystoreFields, { required: ['file'] }),
+    signer: rules.object(externalSignerFields, { required: ['url'] }),
+  }),
+  (account, at, errors) => {
+    if (!account || typeof account !== 'object' || Array.isArray(account)) return;
+    const sources = ACCOUNT_SOURCES.filter((source) => account[source] !== undefined);
+    if (sources.length !== 1) {
+      errors.push({ path: at, message: `needs exactly one of ${ACCOUNT_SOURCES.join(', ')}` });
+    }
+  }
+);
+
+// Price sources for USD values; each listed source needs its settings
+const PRICE_SOURCES = ['chainlink', 'http', 'file'];
+
+const pricesSchema = rules.all(
+  rules.object({
+    sources: rules.array(rules.oneOf(PRICE_SOURCES)),
+    cacheSeconds: rules.number({ min: 0 }),
+    aliases: rules.map(rules.string()),
+    chainlink: rules.object({
+      chainId: rules.chainId(),
+      maxAgeSeconds: rules.number({ exclusiveMin: 0 }),
+      feeds: rules.map(rules.address()),
+    }),
+    http: rules.object(
+      {
+        url: rules.string(),
+        path: rules.string(),
+        headers: rules.map(rules.string()),
+        timeoutMs: rules.number({ exclusiveMin: 0 }),
+      },
+      { required: ['url'] }
+    ),
+    file: rules.string(),
+  }),
+  (prices, at, errors) => {
+    if (!prices || !Array.isArray(prices.sources)) return;
+    prices.sources
+      .filter((source) => PRICE_SOURCES.includes(source) && !(prices[source] ?? OPTIONS.prices?.[source]))
+      .forEach((source) => {
+        errors.push({ path: `${at}.${source}`, message: `is required for the ${source} price source` });
+      });
+  }
+);
+
+const retrySchema = rules.object({
+  enabled: rules.boolean(),
+  maxAttempts: rules.number({ min: 1, integer: true }),
+  delayMinutes: rules.number({ min: 0 }),
+});
+
+// Quote threshold rules (see tools/thresholds.js); fees and amounts are in token units
+const thresholdFields = {
+  minOutputPercentage: rules.number({ exclusiveMin: 0, max: 1 }),
+  minOutputAmount: rules.number({ min: 0 }),
+  maxRelayFee: rules.number({ min: 0 }),
+  maxLpFee: rules.number({ min: 0 }),
+  maxFeeBps: rules.number({ min: 0, max: 10000 }),
+  maxTotalCost: rules.number({ min: 0 }),
+  maxTotalCostBps: rules.number({ min: 0, max: 10000 }),
+  minOutputUsd: rules.number({ min: 0 }),
+  maxRelayFeeUsd: rules.number({ min: 0 }),
+  maxLpFeeUsd: rules.number({ min: 0 }),
+  maxFeeUsd: rules.number({ min: 0 }),
+  maxGasUsd: rules.number({ min: 0 }),
+  maxTotalCostUsd: rules.number({ min: 0 }),
+  maxFillTimeSeconds: rules.number({ exclusiveMin: 0 }),
+};
+
+const scheduleSchema = rules.all(
+  rules.object({
+    cron: rules.string(),
+    intervalMinutes: rules.number({ exclusiveMin: 0 }),
+    windows: rules.array(
+      rules.object(
+        {
+          start: rules.string(),
+          end: rules.string(),
+          days: rules.array(rules.string()),
+        },
+        { required: ['start', 'end'] }
+      )
+    ),
+  }),
+  (schedule, at, errors) => {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) return;
+    if (schedule.windows !== undefined && !Array.isArray(schedule.windows)) return;
+    validateSchedule(schedule).forEach((message) => errors.push({ path: `${at}`, message }));
+  }
+);
+
+const operationSchema = rules.all(
+  rules.object(
+    {
+      name: rules.string(),
+      enabled: rules.boolean(),
+      tokenSymbol: rules.string(),
+      tokenAddress: rules.address(),
+      outputTokenSymbol: rules.token(),
+      outputTokenAddress: rules.address(),
+      originChainId: rules.chainId(),
+      destinationChainId: rules.chainId(),
+      inputAmount: rules.number({ exclusiveMin: 0 }),
+      amount: rules.object(
+        {
+          mode: rules.oneOf(['percentage', 'reserve', 'max']),
+          percentage: rules.number({ exclusiveMin: 0, max: 100 }),
+          reserve: rules.number({ min: 0 }),
+          gasReserve: rules.number({ min: 0 }),
+          minAmount: rules.number({ exclusiveMin: 0 }),
+          maxAmount: rules.number({ exclusiveMin: 0 }),
+        },
+        { required: ['mode'] }
+      ),
+      decimals: rules.number({ min: 0, max: 36, integer: true }),
+      useNativeToken: rules.boolean(),
+      useBridged: rules.boolean(),
+      recipient: rules.address(),
+      signer: rules.object(externalSignerFields, { required: ['url'] }),
+      account: rules.string(),
+      retry: rules.either(rules.oneOf([false]), retrySchema),
+      thresholds: rules.object(thresholdFields),
+      schedule: scheduleSchema,
+    },
+    { required: ['name', 'originChainId', 'destinationChainId'] }
+  ),
+  // A token is named by symbol (from TOKENS) or by its address on the origin chain; with an
+  // address, a symbol is only checked against the token contract
+  (operation, at, errors) => {
+    if (!operation || typeof operation !== 'object' || operation.tokenAddress !== undefined) return;
+    if (operation.tokenSymbol === undefined) {
+      errors.push({ path: `${at}.tokenSymbol`, message: 'is required (or set tokenAddress)' });
+      return;
+    }
+    rules.token()(operation.tokenSymbol, `${at}.tokenSymbol`, errors);
+  },
+  // The destination token is the same token unless the operation picks another symbol, the
+  // bridged variant (a "<chainId>-bridged" entry in TOKENS) or an address
+  (operation, at, errors) => {
+    if (!operation || typeof operation !== 'object' || !operation.useBridged) return;
+    if (operation.outputTokenAddress !== undefined) {
+      errors.push({ path: `${at}.useBridged`, message: 'cannot be combined with outputTokenAddress' });
+      return;
+    }
+    const symbol = operation.outputTokenSymbol ?? operation.tokenSymbol;
+    const chainId = operation.destinationChainId;
+    if (typeof symbol === 'string' && TOKENS[symbol] && !TOKENS[symbol][`${chainId}-bridged`]) {
+      errors.push({
+        path: `${at}.useBridged`,
+        message: `no bridged ${symbol} is listed for chain ${chainId} in TOKENS`,
+      });
+    }
+  },
+  (operation, at, errors) => {
+    if (!operation || typeof operation !== 'object') return;
+    if (operation.inputAmount === undefined && operation.amount === undefined) {
+      errors.push({ path: `${at}.inputAmount`, message: 'is required (or set a dynamic amount)' });
+    }
+    const amount = operation.amount;
+    if (amount && amount.mode === 'percentage' && amount.percentage === undefined) {
+      errors.push({ path: `${at}.amount.percentage`, message: 'is required for percentage amounts' });
+    }
+    if (amount && amount.mode === 'reserve' && amount.reserve === undefined) {
+      errors.push({ path: `${at}.amount.reserve`, message: 'is required for reserve amounts' });
+    }
+    if (
+      amount &&
+      amount.minAmount !== undefined &&
+      amount.maxAmount !== undefined &&
+      amount.minAmount > amount.maxAmount
+    ) {
+      errors.push({ path: `${at}.amount.minAmount`, message: 'must not be greater than maxAmount' });
+    }
+  },
+  (operation, at, errors) => {
+    if (
+      operation &&
+      operation.originChainId !== undefined &&
+      Number(operation.originChainId) === Number(operation.destinationChainId)
+    ) {
+      errors.push({ path: `${at}.destinationChainId`, message: 'must differ from originChainId' });
+    }
+    if (operation && operation.account !== undefined && operation.signer !== undefined) {
+      errors.push({ path: `${at}.signer`, message: 'cannot be combined with account' });
+    }
+  }
+);
+
+const channelSchema = rules.object(
+  {
+    type: rules.oneOf(['webhook', 'slack', 'email', 'command']),
+    enabled: rules.boolean(),
+  },
+  { required: ['type'], allowUnknown: true }
+);
+
+const notificationsSchema = rules.all(
+  rules.object({
+    ...Object.fromEntries(NOTIFICATION_EVENTS.map((event) => [event, rules.boolean()])),
+    channels: rules.map(channelSchema),
+    routes: rules.map(rules.array(rules.string()), rules.oneOf(NOTIFICATION_EVENTS)),
+    templates: rules.map(
+      rules.object({ title: rules.string(), message: rules.string() }),
+      rules.oneOf(NOTIFICATION_EVENTS)
+    ),
+    retry: rules.object({
+      attempts: rules.number({ min: 1, integer: true }),
+      delayMs: rules.number({ min: 0 }),
+    }),
+  }),
+  (notifications, at, errors) => {
+    const channels = (notifications && notifications.channels) || {};
+    Object.entries((notifications && notifications.routes) || {}).forEach(([event, names]) => {
+      (Array.isArray(names) ? names : []).forEach((name, index) => {
+        if (!channels[name]) {
+          errors.push({ path: `${at}.routes.${event}[${index}]`, message: `unknown channel "${name}"` });
+        }
+      });
+    });
+  }
+);
+
+const rebalanceTokenSchema = rules.all(
+  rules.object(
+    {
+      enabled: rules.boolean(),
+      useNativeToken: rules.boolean(),
+      tolerancePercentage: rules.number({ min: 0, max: 100 }),
+      minTransfer: rules.number({ min: 0 }),
+      targets: rules.map(
+        rules.either(
+          rules.object({ share: rules.number({ min: 0, max: 1 }) }, { required: ['share'] }),
+          rules.object({ balance: rules.number({ min: 0 }) }, { required: ['balance'] })
+        ),
+        rules.chainId()
+      ),
+    },
+    { required: ['targets'] }
+  ),
+  (token, at, errors) => {
+    if (!token || !token.targets || typeof token.targets !== 'object') return;
+    const shares = Object.values(token.targets).reduce(
+      (sum, target) => sum + (target && typeof target.share === 'number' ? target.share : 0),
+      0
+    );
+    if (shares > 1 + 1e-9) {
+      errors.push({ path: `${at}.targets`, message: `shares add up to ${shares}, more than 1` });
+    }
+  }
+);
+
+const rebalanceSchema = rules.all(
+  rules.object({
+    tolerancePercentage: rules.number({ min: 0, max: 100 }),
+    account: rules.string(),
+    tokens: rules.map(rebalanceTokenSchema, rules.token()),
+  }),
+  (rebalance, at, errors) => {
+    if (!rebalance || !rebalance.tokens || typeof rebalance.tokens !== 'object') return;
+    Object.entries(rebalance.tokens).forEach(([tokenSymbol, token]) => {
+      if (!TOKENS[tokenSymbol] || !token || !token.targets) return;
+      Object.keys(token.targets)
+        .filter((chainId) => CHAINS[chainId] && !TOKENS[tokenSymbol][chainId])
+        .forEach((chainId) => {
+          errors.push({
+            path: `${at}.tokens.${tokenSymbol}.targets.${chainId}`,
+            message: `${tokenSymbol} has no address on chain ${chainId} in TOKENS`,
+          });
+        });
+    });
+  }
+);
+
+export const CONFIG_SCHEMA = {
+  BRIDGE_OPERATIONS: rules.array(operationSchema),
+  THRESHOLDS: rules.object({ ...thresholdFields, retry: retrySchema }),
+  MONITORING: rules.object({
+    statusPollingInterval: rules.number({ exclusiveMin: 0 }),
+    maxPollingAttempts: rules.number({ min: 1, integer: true }),
+    statusSource: rules.oneOf(['api', 'rpc', 'auto']),
+    logBlockRange: rules.number({ min: 1, integer: true }),
+    notifications: notificationsSchema,
+  }),
+  REBALANCE: rebalanceSchema,
+  ACCOUNTS: rules.map(accountSchema),
+  OPTIONS: rules.object({
+    autoExecute: rules.boolean(),
+    maxConcurrentOperations: rules.number({ min: 1, integer: true }),
+    confirmAnswersFile: rules.string(),
+    keystore: rules.object(keystoreFields),
+    externalSigner: rules.object(externalSignerFields),
+    maxSlippage: rules.number({ min: 0, max: 100 }),
+    maxQuoteAgeSeconds: rules.number({ exclusiveMin: 0 }),
+    waitForRetries: rules.boolean(),
+    dryRun: rules.boolean(),
+    prices: pricesSchema,
+    routes: rules.object({
+      enabled: rules.boolean(),
+      apiUrl: rules.string(),
+      cacheFile: rules.string(),
+      ttlSeconds: rules.number({ min: 0 }),
+      offline: rules.boolean(),
+    }),
+    rpcOverrides: rules.map(rules.string(), rules.chainId()),
+    spokePoolOverrides: rules.map(rules.address(), rules.chainId()),
+    preflight: rules.object({
+      enabled: rules.boolean(),
+      gasBufferMultiplier: rules.number({ min: 1 }),
+      fallbackApprovalGas: rules.number({ exclusiveMin: 0, integer: true }),
+      fallbackDepositGas: rules.number({ exclusiveMin: 0, integer: true }),
+    }),
+    saveHistory: rules.boolean(),
+    historyFile: rules.string(),
+    pendingDepositsFile: rules.string(),
+    verboseLogging: rules.boolean(),
+    showQuoteDetails: rules.boolean(),
+  }),
+};
+
+// Check that operations and rebalancing only name accounts that exist (in the same
+// config or in config.js)
+function checkAccountNames(config, errors) {
+  const accounts = { ...ACCOUNTS, ...(config.ACCOUNTS || {}) };
+  const check = (name, at) => {
+    if (typeof name === 'string' && !Object.hasOwn(accounts, name)) {
+      errors.push({ path: at, message: `is not an account in ACCOUNTS (${name})` });
+    }
+  };
+
+  if (Array.isArray(config.BRIDGE_OPERATIONS)) {
+    config.BRIDGE_OPERATIONS.forEach((operation, index) => {
+      if (operation) check(operation.account, `BRIDGE_OPERATIONS[${index}].account`);
+    });
+  }
+  if (config.REBALANCE) check(config.REBALANCE.account, 'REBALANCE.account');
+}
+
+// USD thresholds need a price source, or every quote would fail them
+function checkUsdThresholds(config, errors) {
+  const sources = config.OPTIONS?.prices?.sources ?? OPTIONS.prices?.sources ?? [];
+  if (Array.isArray(sources) && sources.length > 0) return;
+
+  const usdRules = (thresholds, at) => {
+    if (!thresholds || typeof thresholds !== 'object') return;
+    USD_THRESHOLD_RULES.filter((rule) => thresholds[rule] !== undefined).forEach((rule) => {
+      errors.push({ path: `${at}.${rule}`, message: 'needs a price source in OPTIONS.prices.sources' });
+    });
+  };
+
+  usdRules(config.THRESHOLDS, 'THRESHOLDS');
+  if (Array.isArray(config.BRIDGE_OPERATIONS)) {
+    config.BRIDGE_OPERATIONS.forEach((operation, index) => {
+      if (operation) usdRules(operation.thresholds, `BRIDGE_OPERATIONS[${index}].thresholds`);
+    });
+  }
+}
+
+/**
+ * Validate configuration sections against the schema
+ * Numeric strings in number settings are converted to numbers in place
+ * @param {Object} config - Object with any of BRIDGE_OPERATIONS, THRESHOLDS, MONITORING, REBALANCE, ACCOUNTS, OPTIONS
+ * @returns {Array} List of { path, message } errors (empty when valid)
+ */
+export function validateConfig(config) {
+  const errors = [];
+
+  Object.entries(config).forEach(([section, value]) => {
+    if (!CONFIG_SCHEMA[section]) {
+      errors.push({
+        path: section,
+        message: `is not a known section (expected ${Object.keys(CONFIG_SCHEMA).join(', ')})`,
+      });
+      return;
+    }
+    const normalized = CONFIG_SCHEMA[section](value, section, errors);
+    if (normalized !== undefined) config[section] = normalized;
+  });
+  checkAccountNames(config, errors);
+  checkUsdThresholds(config, errors);
+
+  return errors;
+}
+
+/**
+ * Read a JSON or YAML config file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Object} Parsed configuration sections
+ */
+export function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  try {
+    const parsed = extension === '.json' ? JSON.parse(text) : YAML.parse(text);
+    return parsed || {};
+  } catch (error) {
+    throw new Error(`Could not parse config file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse an environment override value: JSON literals (numbers, booleans, objects) or plain strings
+ * @param {string} raw - Raw environment value
+ * @returns {*} Parsed value
+ */
+function parseEnvValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+/**
+ * Apply BRIDGE_CONFIG__<SECTION>__<key>[__<key>...] environment overrides
+ * Array items are addressed by index, e.g. BRIDGE_CONFIG__BRIDGE_OPERATIONS__0__inputAmount=0.5
+ * @param {Object} config - Configuration sections to update in place
+ * @param {Object} env - Environment variables
+ * @returns {Array} Paths that were overridden
+ */
+export function applyEnvOverrides(config, env = process.env) {
+  const applied = [];
+
+  Object.entries(env)
+    .filter(([name]) => name.startsWith(ENV_PREFIX))
+    .forEach(([name, raw]) => {
+      const keys = name.slice(ENV_PREFIX.length).split('__');
+      let target = config;
+
+      for (let i = 0; i < keys.length - 1; i++) {
+        if (target[keys[i]] === undefined || target[keys[i]] === null) {
+          target[keys[i]] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+        }
+        target = target[keys[i]];
+      }
+
+      target[keys[keys.length - 1]] = parseEnvValue(raw);
+      applied.push(keys.join('.'));
+    });
+
+  return applied;
+}
+
+/**
+ * Recursively merge plain objects; arrays and other values replace the target
+ * @param {Object} target - Object updated in place
+ * @param {Object} source - Values to merge in
+ * @returns {Object} The target
+ */
+function deepMerge(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+    if (isPlainObject && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      deepMerge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Load the bridge configuration
+ * Sections from the config file replace (BRIDGE_OPERATIONS) or are merged into
+ * (THRESHOLDS, MONITORING, OPTIONS) the defaults in config.js, named ACCOUNTS replace
+ * the defaults of the same name, environment overrides
+ * are applied, and the result is validated before anything runs. The exported config
+ * objects are updated in place so every module sees the loaded values.
+ * @param {string} [filePath] - Config file path (defaults to BRIDGE_CONFIG_FILE)
+ * @returns {Object} { source, overrides } describing what was loaded
+ */
+export function loadBridgeConfig(filePath = process.env.BRIDGE_CONFIG_FILE) {
+  let fileConfig = {};
+
+  if (filePath) {
+    fileConfig = readConfigFile(filePath);
+    const fileErrors = validateConfig(fileConfig);
+    if (fileErrors.length > 0) {
+      throw new ConfigValidationError(fileErrors, filePath);
+    }
+  }
+
+  const { tokens: fileRebalanceTokens, ...fileRebalance } = fileConfig.REBALANCE || {};
+  const merged = {
+    BRIDGE_OPERATIONS: fileConfig.BRIDGE_OPERATIONS
+      ? structuredClone(fileConfig.BRIDGE_OPERATIONS)
+      : structuredClone(BRIDGE_OPERATIONS),
+    THRESHOLDS: deepMerge(structuredClone(THRESHOLDS), fileConfig.THRESHOLDS || {}),
+    MONITORING: deepMerge(structuredClone(MONITORING), fileConfig.MONITORING || {}),
+    // Rebalance targets from a file replace the defaults per token, so shares are not mixed
+    REBALANCE: {
+      ...deepMerge(structuredClone(REBALANCE), fileRebalance),
+      tokens: { ...structuredClone(REBALANCE.tokens), ...structuredClone(fileRebalanceTokens || {}) },
+    },
+    // An account from a file replaces the one of the same name, so key sources are not mixed
+    ACCOUNTS: { ...structuredClone(ACCOUNTS), ...structuredClone(fileConfig.ACCOUNTS || {}) },
+    OPTIONS: deepMerge(structuredClone(OPTIONS), fileConfig.OPTIONS || {}),
+  };
+
+  const overrides = applyEnvOverrides(merged);
+
+  const errors = validateConfig(merged);
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors, filePath || 'tools/config.js');
+  }
+
+  // Update the shared config objects in place so existing references stay valid
+  BRIDGE_OPERATIONS.splice(0, BRIDGE_OPERATIONS.length, ...merged.BRIDGE_OPERATIONS);
+  const { tokens: rebalanceTokens, ...rebalanceSettings } = merged.REBALANCE;
+  ['THRESHOLDS', 'MONITORING', 'OPTIONS'].forEach((section) => {
+    deepMerge(SECTIONS[section], merged[section]);
+  });
+  deepMerge(REBALANCE, rebalanceSettings);
+  REBALANCE.tokens = rebalanceTokens;
+  Object.keys(ACCOUNTS).forEach((name) => delete ACCOUNTS[name]);
+  Object.assign(ACCOUNTS, merged.ACCOUNTS);
+
+  return { source: filePath || null, overrides };
+}
+
+export default {
+  ConfigValidationError,
+  CONFIG_SCHEMA,
+  validateConfig,
+  readConfigFile,
+  applyEnvOverrides,
+  loadBridgeConfig,
+};
@@ -0,0 +1,183 @@
+// Operator confirmation for quotes when OPTIONS.autoExecute is disabled
+import fs from 'fs';
+import readline from 'readline';
+import { OPTIONS } from './config.js';
+
+// Answers accepted at the prompt and in the pre-answer file
+const ACTIONS = {
+  a: 'approve',
+  approve: 'approve',
+  s: 'skip',
+  skip: 'skip',
+  r: 'requote',
+  requote: 'requote',
+  e: 'amount',
+  amount: 'amount',
+};
+
+// Answers loaded from the pre-answer file, keyed by operation name
+let preAnswers = null;
+
+/**
+ * Parse an answer such as "approve", "r" or "amount=0.5"
+ * @param {string} answer - Raw answer from the prompt or pre-answer file
+ * @returns {Object|null} Parsed decision with action (and amount as a decimal string), or null if invalid
+ */
+export function parseAnswer(answer) {
+  if (typeof answer !== 'string') {
+    return null;
+  }
+
+  const [rawAction, rawAmount] = answer.trim().toLowerCase().split('=');
+  const action = ACTIONS[rawAction];
+  if (!action) {
+    return null;
+  }
+
+  if (action !== 'amount') {
+    return { action };
+  }
+
+  // An amount answer without a value is completed interactively
+  if (rawAmount === undefined) {
+    return { action };
+  }
+
+  const amount = parseAmount(rawAmount);
+  return amount === null ? null : { action, amount };
+}
+
+/**
+ * Check an edited amount. It is kept as the decimal string that was typed, since a
+ * Number would turn small amounts such as 0.0000001 into "1e-7", which parseUnits rejects.
+ * @param {string} text - Amount as typed
+ * @returns {string|null} Positive decimal amount, or null if invalid
+ */
+function parseAmount(text) {
+  const amount = String(text).trim();
+  if (!/^\d+(\.\d+)?$/.test(amount) || !/[1-9]/.test(amount)) {
+    return null;
+  }
+  return amount;
+}
+
+/**
+ * Load the pre-answer file used when stdin is not a TTY
+ * The file maps operation names (or "*" for any operation) to one answer or a list of
+ * answers consumed in order, e.g. { "ETH Arbitrum to Optimism": ["requote", "approve"] }
+ * @returns {Object} Remaining answers keyed by operation name
+ */
+function loadPreAnswers() {
+  if (preAnswers) {
+    return preAnswers;
+  }
+
+  const answersFile = process.env.CONFIRM_ANSWERS_FILE || OPTIONS.confirmAnswersFile;
+  if (!answersFile || !fs.existsSync(answersFile)) {
+    preAnswers = {};
+    return preAnswers;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(answersFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse confirmation answers file ${answersFile}: ${error.message}`);
+  }
+
+  preAnswers = {};
+  Object.entries(data || {}).forEach(([name, answers]) => {
+    preAnswers[name] = Array.isArray(answers) ? [...answers] : [answers];
+  });
+
+  return preAnswers;
+}
+
+/**
+ * Take the next pre-answer for an operation
+ * Named answers are consumed in order, then the "*" answers; once both are used up
+ * there is no answer, so a re-quote can never loop forever
+ * @param {string} operationName - Operation name
+ * @returns {string|null} Raw answer, or null if the file has no answer
+ */
+function nextPreAnswer(operationName) {
+  const answers = loadPreAnswers();
+  const named = answers[operationName];
+
+  if (named && named.length > 0) {
+    return named.shift();
+  }
+
+  const fallback = answers['*'];
+  return fallback && fallback.length > 0 ? fallback.shift() : null;
+}
+
+/**
+ * Ask a single question on the terminal
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} The operator's answer
+ */
+function ask(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    // Prompts go to stderr so they never mix with --json output on stdout
+    output: process.stderr,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Ask the operator what to do with a quote
+ * Uses the terminal when stdin is a TTY, otherwise the pre-answer file; without
+ * either the quote is declined
+ * @param {Object} operation - Bridge operation details
+ * @returns {Promise<Object>} Decision with action, optional amount, source and decidedAt
+ */
+export async function askForConfirmation(operation) {
+  if (!process.stdin.isTTY) {
+    const answer = nextPreAnswer(operation.name);
+    const decision = answer === null ? null : parseAnswer(answer);
+
+    if (!decision || (decision.action === 'amount' && decision.amount === undefined)) {
+      return {
+        action: 'skip',
+        source: answer === null ? 'non-interactive' : 'invalid-answer',
+        decidedAt: new Date().toISOString(),
+      };
+    }
+
+    return { ...decision, source: 'answers-file', decidedAt: new Date().toISOString() };
+  }
+
+  while (true) {
+    const answer = await ask('Execute this quote? [a]pprove, [s]kip, [r]e-quote, [e]dit amount: ');
+    const decision = parseAnswer(answer);
+
+    if (!decision) {
+      console.error('Please answer a, s, r or e.');
+      continue;
+    }
+
+    if (decision.action === 'amount' && decision.amount === undefined) {
+      const amount = parseAmount(await ask(`New amount for ${operation.name}: `));
+      if (amount === null) {
+        console.error('Amount must be a positive number.');
+        continue;
+      }
+      decision.amount = amount;
+    }
+
+    return { ...decision, source: 'tty', decidedAt: new Date().toISOString() };
+  }
+}
+
+export default {
+  parseAnswer,
+  askForConfirmation,
+};
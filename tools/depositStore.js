@@ -0,0 +1,99 @@
+// Persistent store of deposits that have been sent but not yet seen filled, so tracking survives restarts
+import fs from 'fs';
+
+/**
+ * Key of a deposit in the store
+ * @param {number|string} originChainId - Origin chain ID
+ * @param {number|string|bigint} depositId - Deposit ID
+ * @returns {string} Key such as "42161:1234"
+ */
+export function depositKey(originChainId, depositId) {
+  return `${Number(originChainId)}:${depositId.toString()}`;
+}
+
+/**
+ * Create a store backed by a JSON file. The file is read on every call so that
+ * separate processes (e.g. the daemon and the CLI) see each other's changes.
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Object} Store with list, get, record, update and remove
+ */
+export function createDepositStore(filePath) {
+  function read() {
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // Write through a temporary file so a crash never leaves a half-written store
+  function write(deposits) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(deposits, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  return {
+    /**
+     * All deposits that are still outstanding, oldest first
+     * @returns {Array<Object>} Deposit records
+     */
+    list() {
+      return Object.values(read()).sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+    },
+
+    /**
+     * Look up one deposit
+     * @param {string} key - Key from depositKey
+     * @returns {Object|null} Deposit record
+     */
+    get(key) {
+      return read()[key] || null;
+    },
+
+    /**
+     * Record a deposit as soon as its transaction confirms
+     * @param {Object} deposit - { originChainId, depositId, originTxHash, ... }
+     * @returns {Object} The stored record
+     */
+    record(deposit) {
+      const deposits = read();
+      const key = depositKey(deposit.originChainId, deposit.depositId);
+      deposits[key] = {
+        key,
+        ...deposit,
+        depositId: deposit.depositId.toString(),
+        recordedAt: new Date().toISOString(),
+      };
+      write(deposits);
+      return deposits[key];
+    },
+
+    /**
+     * Update fields of a stored deposit
+     * @param {string} key - Key from depositKey
+     * @param {Object} changes - Fields to update
+     */
+    update(key, changes) {
+      const deposits = read();
+      if (!deposits[key]) return;
+      deposits[key] = { ...deposits[key], ...changes };
+      write(deposits);
+    },
+
+    /**
+     * Remove a deposit once its final status is known
+     * @param {string} key - Key from depositKey
+     */
+    remove(key) {
+      const deposits = read();
+      if (!deposits[key]) return;
+      delete deposits[key];
+      write(deposits);
+    },
+  };
+}
+
+export default {
+  depositKey,
+  createDepositStore,
+};
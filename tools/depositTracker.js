@@ -0,0 +1,262 @@
+// On-chain deposit tracking: follows deposits through SpokePool events over RPC, without the Across status API
+import { parseAbi, parseEventLogs, getAddress } from 'viem';
+
+// SpokePool deposit and fill events (addresses are emitted as bytes32)
+export const SPOKE_POOL_EVENTS = parseAbi([
+  'event FundsDeposited(bytes32 inputToken, bytes32 outputToken, uint256 inputAmount, uint256 outputAmount, uint256 indexed destinationChainId, uint256 indexed depositId, uint32 quoteTimestamp, uint32 fillDeadline, uint32 exclusivityDeadline, bytes32 indexed depositor, bytes32 recipient, bytes32 exclusiveRelayer, bytes message)',
+  'event FilledRelay(bytes32 inputToken, bytes32 outputToken, uint256 inputAmount, uint256 outputAmount, uint256 repaymentChainId, uint256 indexed originChainId, uint256 indexed depositId, uint32 fillDeadline, uint32 exclusivityDeadline, bytes32 exclusiveRelayer, bytes32 indexed relayer, bytes32 depositor, bytes32 recipient, bytes32 messageHash, (bytes32 updatedRecipient, bytes32 updatedMessageHash, uint256 updatedOutputAmount, uint8 fillType) relayExecutionInfo)',
+]);
+
+const FILLED_RELAY_EVENT = SPOKE_POOL_EVENTS.find((item) => item.name === 'FilledRelay');
+
+// Refunds of expired deposits are ERC-20 transfers from the origin SpokePool to the depositor
+const [TRANSFER_EVENT] = parseAbi(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+
+// Start the fill search this many seconds before the deposit, as chain clocks drift slightly
+const CLOCK_SKEW_SECONDS = 120n;
+
+// Convert a bytes32 address from a SpokePool event to a checksummed address
+function bytes32ToAddress(value) {
+  return getAddress(`0x${value.slice(-40)}`);
+}
+
+/**
+ * Read the deposit event from a deposit transaction on the origin chain
+ * @param {Object} publicClient - viem public client for the origin chain
+ * @param {Object} params - Lookup parameters
+ * @param {string} params.spokePool - Origin SpokePool address
+ * @param {string} params.txHash - Deposit transaction hash
+ * @param {bigint|string|number} [params.depositId] - Deposit to pick when the transaction holds several
+ * @returns {Promise<Object>} Deposit details, including destinationChainId, fillDeadline, blockNumber and timestamp
+ */
+export async function readDepositEvent(publicClient, { spokePool, txHash, depositId }) {
+  const receipt = await publicClient.getTransactionReceipt({ hash: txHash });
+  const [event] = parseEventLogs({
+    abi: SPOKE_POOL_EVENTS,
+    eventName: 'FundsDeposited',
+    logs: receipt.logs,
+  }).filter(
+    (log) =>
+      log.address.toLowerCase() === spokePool.toLowerCase() &&
+      (depositId === undefined || log.args.depositId === BigInt(depositId))
+  );
+  if (!event) {
+    throw new Error(`No SpokePool deposit event found in transaction ${txHash}`);
+  }
+
+  const block = await publicClient.getBlock({ blockNumber: receipt.blockNumber });
+  const { args } = event;
+
+  return {
+    depositId: args.depositId,
+    destinationChainId: Number(args.destinationChainId),
+    inputToken: bytes32ToAddress(args.inputToken),
+    outputToken: bytes32ToAddress(args.outputToken),
+    inputAmount: args.inputAmount,
+    outputAmount: args.outputAmount,
+    fillDeadline: args.fillDeadline,
+    depositor: bytes32ToAddress(args.depositor),
+    recipient: bytes32ToAddress(args.recipient),
+    blockNumber: receipt.blockNumber,
+    timestamp: block.timestamp,
+  };
+}
+
+/**
+ * Find the first block at or after a time (binary search over block timestamps)
+ * @param {Object} publicClient - viem public client
+ * @param {bigint} timestamp - Unix time in seconds
+ * @returns {Promise<bigint>} Block number
+ */
+export async function findBlockAtTime(publicClient, timestamp) {
+  const latest = await publicClient.getBlock();
+  if (latest.timestamp <= timestamp) {
+    return latest.number;
+  }
+
+  let low = 0n;
+  let high = latest.number;
+  while (low < high) {
+    const middle = (low + high) / 2n;
+    const block = await publicClient.getBlock({ blockNumber: middle });
+    if (block.timestamp < timestamp) {
+      low = middle + 1n;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Look for the fill of a deposit in a block range of the destination SpokePool
+ * @param {Object} publicClient - viem public client for the destination chain
+ * @param {Object} params - Search parameters
+ * @param {string} params.spokePool - Destination SpokePool address
+ * @param {number} params.originChainId - Origin chain ID
+ * @param {bigint|string|number} params.depositId - Deposit ID
+ * @param {bigint} params.fromBlock - First block to search
+ * @param {bigint} params.toBlock - Last block to search
+ * @returns {Promise<Object|null>} { fillTxHash, blockNumber, relayer, outputAmount }, or null if not filled in the range
+ */
+export async function findFillEvent(publicClient, { spokePool, originChainId, depositId, fromBlock, toBlock }) {
+  const [log] = await publicClient.getLogs({
+    address: spokePool,
+    event: FILLED_RELAY_EVENT,
+    args: {
+      originChainId: BigInt(originChainId),
+      depositId: BigInt(depositId),
+    },
+    fromBlock,
+    toBlock,
+  });
+  if (!log) return null;
+
+  return {
+    fillTxHash: log.transactionHash,
+    blockNumber: log.blockNumber,
+    relayer: bytes32ToAddress(log.args.relayer),
+    outputAmount: log.args.outputAmount,
+  };
+}
+
+/**
+ * Look for a refund of a deposit in a block range of the origin chain: a transfer of the
+ * input token from the SpokePool to the depositor
+ * @param {Object} publicClient - viem public client for the origin chain
+ * @param {Object} params - Search parameters
+ * @param {string} params.spokePool - Origin SpokePool address
+ * @param {string} params.inputToken - Deposited token
+ * @param {string} params.depositor - Depositor address
+ * @param {bigint} params.fromBlock - First block to search
+ * @param {bigint} params.toBlock - Last block to search
+ * @returns {Promise<Object|null>} { refundTxHash, blockNumber }, or null if no refund in the range
+ */
+export async function findRefundTransfer(publicClient, { spokePool, inputToken, depositor, fromBlock, toBlock }) {
+  const [log] = await publicClient.getLogs({
+    address: inputToken,
+    event: TRANSFER_EVENT,
+    args: { from: spokePool, to: depositor },
+    fromBlock,
+    toBlock,
+  });
+  if (!log) return null;
+
+  return { refundTxHash: log.transactionHash, blockNumber: log.blockNumber };
+}
+
+/**
+ * Create a tracker that follows deposits through SpokePool events. The first check of a
+ * deposit reads its event from the origin transaction and finds the destination block to
+ * start from; later checks only search the destination blocks added since the previous one.
+ * Once the fill deadline has passed, the origin chain is searched for the refund the same way.
+ * @param {Object} params - Tracker dependencies
+ * @param {Function} params.getPublicClient - (chainId) => viem public client
+ * @param {Function} params.getSpokePoolAddress - (chainId) => SpokePool address
+ * @param {number} [params.blockRange=5000] - Maximum number of blocks per log query
+ * @returns {Object} Tracker with checkDeposit
+ */
+export function createDepositTracker({ getPublicClient, getSpokePoolAddress, blockRange = 5000 }) {
+  // Deposit details and the next destination block to search, by "originChainId:depositId"
+  const tracked = new Map();
+
+  // Read the deposit and where its fill search starts
+  async function startTracking(originChainId, depositId, originTxHash) {
+    if (!originTxHash) {
+      throw new Error('The deposit transaction hash is needed to track a deposit on-chain');
+    }
+
+    const deposit = await readDepositEvent(getPublicClient(originChainId), {
+      spokePool: getSpokePoolAddress(originChainId),
+      txHash: originTxHash,
+      depositId,
+    });
+    const nextBlock = await findBlockAtTime(
+      getPublicClient(deposit.destinationChainId),
+      deposit.timestamp - CLOCK_SKEW_SECONDS
+    );
+    return { deposit, nextBlock, nextRefundBlock: deposit.blockNumber };
+  }
+
+  // Search the origin blocks added since the last check for the refund of an expired deposit
+  async function findRefund(originChainId, state) {
+    const { deposit } = state;
+    const originClient = getPublicClient(originChainId);
+    const latest = await originClient.getBlockNumber();
+
+    while (state.nextRefundBlock <= latest) {
+      const rangeEnd = state.nextRefundBlock + BigInt(blockRange) - 1n;
+      const toBlock = rangeEnd < latest ? rangeEnd : latest;
+      const refund = await findRefundTransfer(originClient, {
+        spokePool: getSpokePoolAddress(originChainId),
+        inputToken: deposit.inputToken,
+        depositor: deposit.depositor,
+        fromBlock: state.nextRefundBlock,
+        toBlock,
+      });
+      if (refund) return refund;
+      state.nextRefundBlock = toBlock + 1n;
+    }
+    return null;
+  }
+
+  return {
+    /**
+     * Check a deposit once
+     * @param {Object} params - Deposit to check
+     * @param {number} params.originChainId - Origin chain ID
+     * @param {bigint|string|number} params.depositId - Deposit ID
+     * @param {string} params.originTxHash - Deposit transaction hash
+     * @returns {Promise<Object>} { status: "filled", fillTxHash, destinationChainId },
+     *   { status: "expired" } once the destination chain is past the fill deadline,
+     *   { status: "refunded", refundTxHash } once the refund is seen, or { status: "pending" }
+     */
+    async checkDeposit({ originChainId, depositId, originTxHash }) {
+      const key = `${Number(originChainId)}:${depositId.toString()}`;
+      if (!tracked.has(key)) {
+        tracked.set(key, await startTracking(Number(originChainId), depositId, originTxHash));
+      }
+
+      const state = tracked.get(key);
+      const { deposit } = state;
+      const destinationClient = getPublicClient(deposit.destinationChainId);
+      const latest = await destinationClient.getBlock();
+
+      while (state.nextBlock <= latest.number) {
+        const rangeEnd = state.nextBlock + BigInt(blockRange) - 1n;
+        const toBlock = rangeEnd < latest.number ? rangeEnd : latest.number;
+        const fill = await findFillEvent(destinationClient, {
+          spokePool: getSpokePoolAddress(deposit.destinationChainId),
+          originChainId,
+          depositId,
+          fromBlock: state.nextBlock,
+          toBlock,
+        });
+        if (fill) {
+          tracked.delete(key);
+          return { status: 'filled', destinationChainId: deposit.destinationChainId, ...fill };
+        }
+        state.nextBlock = toBlock + 1n;
+      }
+
+      // Fills revert once the destination chain is past the deadline, so no fill can follow;
+      // the deposit stays tracked until its refund shows up on the origin chain
+      if (latest.timestamp > BigInt(deposit.fillDeadline)) {
+        const refund = await findRefund(Number(originChainId), state);
+        if (!refund) return { status: 'expired' };
+        tracked.delete(key);
+        return { status: 'refunded', refundTxHash: refund.refundTxHash };
+      }
+      return { status: 'pending' };
+    },
+  };
+}
+
+export default {
+  SPOKE_POOL_EVENTS,
+  readDepositEvent,
+  findBlockAtTime,
+  findFillEvent,
+  findRefundTransfer,
+  createDepositTracker,
+};
@@ -0,0 +1,138 @@
+// Accounts whose keys are held by an external JSON-RPC signer (Clef, Web3Signer and similar)
+import axios from 'axios';
+import { bytesToHex, getAddress, numberToHex, parseTransaction, recoverTransactionAddress } from 'viem';
+import { toAccount } from 'viem/accounts';
+
+let requestId = 0;
+
+/**
+ * Send one JSON-RPC request to a signer
+ * @param {Object} signer - { url, headers? }
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - Method parameters
+ * @returns {Promise<*>} The result field of the response
+ */
+export async function signerRequest(signer, method, params = []) {
+  let response;
+  try {
+    response = await axios.post(
+      signer.url,
+      { jsonrpc: '2.0', id: ++requestId, method, params },
+      { headers: { 'Content-Type': 'application/json', ...(signer.headers || {}) } }
+    );
+  } catch (error) {
+    throw new Error(`Could not reach signer at ${signer.url}: ${error.message}`);
+  }
+
+  if (response.data.error) {
+    throw new Error(`Signer ${method} failed: ${response.data.error.message || JSON.stringify(response.data.error)}`);
+  }
+  return response.data.result;
+}
+
+// Encode a number as a JSON-RPC quantity, leaving missing values out
+function quantity(value) {
+  return value === undefined || value === null ? undefined : numberToHex(value);
+}
+
+/**
+ * Convert a viem transaction request into eth_signTransaction parameters
+ * @param {string} from - Sending address
+ * @param {Object} transaction - Prepared transaction (nonce, gas and fees filled in)
+ * @returns {Object} Transaction object with hex quantities
+ */
+export function toRpcTransaction(from, transaction) {
+  const fields = {
+    from,
+    to: transaction.to,
+    data: transaction.data,
+    value: quantity(transaction.value ?? 0n),
+    nonce: quantity(transaction.nonce),
+    gas: quantity(transaction.gas),
+    gasPrice: quantity(transaction.gasPrice),
+    maxFeePerGas: quantity(transaction.maxFeePerGas),
+    maxPriorityFeePerGas: quantity(transaction.maxPriorityFeePerGas),
+    chainId: quantity(transaction.chainId),
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Check that a transaction returned by the signer is the one that was asked for,
+ * signed by the expected address
+ * @param {string} serialized - Signed raw transaction
+ * @param {string} address - Expected signer
+ * @param {Object} transaction - Requested transaction
+ */
+async function verifySignedTransaction(serialized, address, transaction) {
+  const signed = parseTransaction(serialized);
+  const mismatched = ['to', 'data', 'value', 'nonce', 'chainId'].filter((field) => {
+    const expected = field === 'value' ? transaction.value ?? 0n : transaction[field];
+    const actual = field === 'value' ? signed.value ?? 0n : signed[field];
+    if (expected === undefined) return false;
+    return typeof expected === 'string'
+      ? String(actual).toLowerCase() !== expected.toLowerCase()
+      : BigInt(actual ?? 0) !== BigInt(expected);
+  });
+  if (mismatched.length > 0) {
+    throw new Error(`Signer returned a transaction with a different ${mismatched.join(', ')}`);
+  }
+
+  const recovered = await recoverTransactionAddress({ serializedTransaction: serialized });
+  if (recovered.toLowerCase() !== address.toLowerCase()) {
+    throw new Error(`Signer signed with ${recovered} instead of ${address}`);
+  }
+}
+
+/**
+ * Create an account that sends transactions to an external signer for signing
+ * (eth_signTransaction) and broadcasts the returned raw transaction itself
+ * @param {Object} signer - External signer settings
+ * @param {string} signer.url - JSON-RPC endpoint of the signer
+ * @param {string} [signer.address] - Account to sign with (defaults to the first one the signer lists)
+ * @param {Object} [signer.headers] - Extra HTTP headers, e.g. an authorization token
+ * @param {Object} [accountOptions] - { nonceManager }
+ * @returns {Promise<Object>} viem account
+ */
+export async function createExternalSignerAccount(signer, { nonceManager } = {}) {
+  const accounts = await signerRequest(signer, 'eth_accounts');
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    throw new Error(`Signer at ${signer.url} has no accounts`);
+  }
+
+  const address = getAddress(signer.address || accounts[0]);
+  if (!accounts.some((listed) => listed.toLowerCase() === address.toLowerCase())) {
+    throw new Error(`Signer at ${signer.url} does not hold ${address}`);
+  }
+
+  return toAccount({
+    address,
+    nonceManager,
+
+    async signTransaction(transaction) {
+      const result = await signerRequest(signer, 'eth_signTransaction', [toRpcTransaction(address, transaction)]);
+      // Clef returns { raw, tx }, Web3Signer the raw transaction itself
+      const serialized = typeof result === 'string' ? result : result.raw;
+      await verifySignedTransaction(serialized, address, transaction);
+      return serialized;
+    },
+
+    async signMessage({ message }) {
+      const data = typeof message === 'string' ? `0x${Buffer.from(message, 'utf8').toString('hex')}` : message.raw;
+      return signerRequest(signer, 'eth_sign', [address, typeof data === 'string' ? data : bytesToHex(data)]);
+    },
+
+    async signTypedData(typedData) {
+      return signerRequest(signer, 'eth_signTypedData_v4', [
+        address,
+        JSON.stringify(typedData, (key, value) => (typeof value === 'bigint' ? value.toString() : value)),
+      ]);
+    },
+  });
+}
+
+export default {
+  signerRequest,
+  toRpcTransaction,
+  createExternalSignerAccount,
+};
@@ -1,5 +1,7 @@
 // Helper functions for working with the Across Bridge configuration
-import { TOKENS, CHAINS, TOKEN_DECIMALS } from './config.js';
+import { TOKENS, CHAINS, TOKEN_DECIMALS, OPTIONS } from './config.js';
+import { isDynamicAmount, describeAmountSpec } from './amounts.js';
+import { findRegistryRoutes, findRegistryRoute, findRegistryRouteByToken } from './routes.js';
 
 /**
  * Get token address for a specific chain and token symbol
@@ -10,7 +12,7 @@ import { TOKENS, CHAINS, TOKEN_DECIMALS } from './config.js';
  */
 export function getTokenAddress(tokenSymbol, chainId, useBridged = false) {
   // For tokens that have both native and bridged versions
-  if (useBridged && ["USDC"].includes(tokenSymbol)) {
+  if (useBridged) {
     const bridgedKey = `${chainId}-bridged`;
     if (TOKENS[tokenSymbol] && TOKENS[tokenSymbol][bridgedKey]) {
       return TOKENS[tokenSymbol][bridgedKey];
@@ -26,11 +28,11 @@ export function getTokenAddress(tokenSymbol, chainId, useBridged = false) {
 }
 
 /**
- * Get token decimals for a token symbol
+ * Get the decimals the config knows for a token symbol
  * @param {string} tokenSymbol - Token symbol
- * @returns {number} Number of decimals
+ * @returns {number|null} Number of decimals, or null for tokens the config does not know
  */
-export function getTokenDecimals(tokenSymbol) {
+export function getConfiguredDecimals(tokenSymbol) {
   if (TOKEN_DECIMALS[tokenSymbol]) {
     return TOKEN_DECIMALS[tokenSymbol];
   }
@@ -47,8 +49,24 @@ export function getTokenDecimals(tokenSymbol) {
     case 'WBTC':
       return 8;
     default:
-      return 18;
+      return null;
+  }
+}
+
+/**
+ * Get token decimals for a token symbol the config knows
+ * Bridge operations read the real value from the token contract (tools/tokenMetadata.js);
+ * decimals are never guessed for other tokens
+ * @param {string} tokenSymbol - Token symbol
+ * @returns {number} Number of decimals
+ * @throws {Error} When the config does not know the token
+ */
+export function getTokenDecimals(tokenSymbol) {
+  const decimals = getConfiguredDecimals(tokenSymbol);
+  if (decimals === null) {
+    throw new Error(`Unknown decimals for ${tokenSymbol}: add it to TOKEN_DECIMALS or read them from the token contract`);
   }
+  return decimals;
 }
 
 /**
@@ -64,6 +82,79 @@ export function getChainName(chainId) {
   return `Chain ${chainId}`;
 }
 
+/**
+ * Get the native gas token symbol of a chain
+ * @param {number} chainId - Chain ID
+ * @returns {string} Native token symbol (defaults to ETH)
+ */
+export function getNativeSymbol(chainId) {
+  if (CHAINS[chainId] && CHAINS[chainId].nativeSymbol) {
+    return CHAINS[chainId].nativeSymbol;
+  }
+  
+  return 'ETH';
+}
+
+/**
+ * Get the RPC URL for a chain, honouring overrides for local forks and dev nodes
+ * Overrides come from the RPC_URL_<chainId> environment variable or OPTIONS.rpcOverrides
+ * @param {number} chainId - Chain ID
+ * @returns {string} RPC URL
+ */
+export function getRpcUrl(chainId) {
+  const envOverride = process.env[`RPC_URL_${chainId}`];
+  if (envOverride) {
+    return envOverride;
+  }
+  
+  if (OPTIONS.rpcOverrides && OPTIONS.rpcOverrides[chainId]) {
+    return OPTIONS.rpcOverrides[chainId];
+  }
+  
+  if (CHAINS[chainId]) {
+    return CHAINS[chainId].rpcUrl;
+  }
+  
+  throw new Error(`No RPC URL configured for chain ${chainId}`);
+}
+
+/**
+ * Get the SpokePool address for a chain, honouring overrides for contracts on local dev chains
+ * Overrides come from the SPOKE_POOL_<chainId> environment variable or OPTIONS.spokePoolOverrides
+ * @param {number} chainId - Chain ID
+ * @returns {string} SpokePool address
+ */
+export function getSpokePoolAddress(chainId) {
+  const envOverride = process.env[`SPOKE_POOL_${chainId}`];
+  if (envOverride) {
+    return envOverride;
+  }
+  
+  if (OPTIONS.spokePoolOverrides && OPTIONS.spokePoolOverrides[chainId]) {
+    return OPTIONS.spokePoolOverrides[chainId];
+  }
+  
+  if (CHAINS[chainId] && CHAINS[chainId].spokePool) {
+    return CHAINS[chainId].spokePool;
+  }
+  
+  throw new Error(`No SpokePool address configured for chain ${chainId}`);
+}
+
+/**
+ * Get the block explorer link for a transaction
+ * @param {number} chainId - Chain ID
+ * @param {string} txHash - Transaction hash
+ * @returns {string|null} Explorer URL, or null if the chain has no explorer configured
+ */
+export function getExplorerTxUrl(chainId, txHash) {
+  if (!txHash || !CHAINS[chainId] || !CHAINS[chainId].explorerUrl) {
+    return null;
+  }
+  
+  return `${CHAINS[chainId].explorerUrl}/tx/${txHash}`;
+}
+
 /**
  * Get all supported chains
  * @returns {Array} Array of chain IDs
@@ -91,12 +182,18 @@ export function getSupportedTokensForChain(chainId) {
 
 /**
  * Check if a pair of chains supports bridging a specific token
+ * Uses the route registry (tools/routes.js) when it knows both chains, otherwise the TOKENS table
  * @param {number} originChainId - Origin chain ID
  * @param {number} destinationChainId - Destination chain ID
  * @param {string} tokenSymbol - Token symbol
  * @returns {boolean} Whether the token is supported for this pair
  */
 export function isBridgeSupportedForToken(originChainId, destinationChainId, tokenSymbol) {
+  const registryRoute = findRegistryRoute(tokenSymbol, originChainId, destinationChainId);
+  if (registryRoute !== null) {
+    return registryRoute !== undefined;
+  }
+  
   // Check if token exists on both chains
   if (!TOKENS[tokenSymbol] || 
       !TOKENS[tokenSymbol][originChainId] || 
@@ -114,7 +211,8 @@ export function isBridgeSupportedForToken(originChainId, destinationChainId, tok
  * @returns {string} Formatted amount with token symbol
  */
 export function formatTokenAmount(amount, tokenSymbol) {
-  const decimals = getTokenDecimals(tokenSymbol);
+  // Only picks the number of places shown, so tokens the config does not know get the default
+  const decimals = getConfiguredDecimals(tokenSymbol);
   
   // Convert to number and format based on decimals
   const numAmount = Number(amount);
@@ -148,11 +246,20 @@ export function formatTokenAmount(amount, tokenSymbol) {
 
 /**
  * Find available routes between chains for a token
+ * Routes come from the route registry (tools/routes.js) when it is available; pairs of TOKENS
+ * chains the registry cannot tell about (such as local dev chains) are added from the table
  * @param {string} tokenSymbol - Token symbol
  * @returns {Array} Array of route objects with originChainId and destinationChainId
  */
 export function findAvailableRoutes(tokenSymbol) {
-  const routes = [];
+  const registryRoutes = findRegistryRoutes(tokenSymbol);
+  const routes = registryRoutes
+    ? registryRoutes.map(({ originChainId, destinationChainId }) => ({
+        originChainId,
+        destinationChainId,
+        tokenSymbol
+      }))
+    : [];
   
   if (!TOKENS[tokenSymbol]) {
     return routes;
@@ -165,7 +272,8 @@ export function findAvailableRoutes(tokenSymbol) {
   // Generate all possible routes between supported chains
   for (const originChain of supportedChains) {
     for (const destinationChain of supportedChains) {
-      if (originChain !== destinationChain) {
+      const known = registryRoutes && findRegistryRoute(tokenSymbol, originChain, destinationChain) !== null;
+      if (originChain !== destinationChain && !known) {
         routes.push({
           originChainId: originChain,
           destinationChainId: destinationChain,
@@ -189,29 +297,118 @@ export function describeBridgeOperation(operation) {
     originChainId,
     destinationChainId,
     inputAmount,
-    useNativeToken = tokenSymbol === 'ETH',
-    decimals = getTokenDecimals(tokenSymbol)
+    useNativeToken = tokenSymbol === 'ETH'
   } = operation;
   
   const originChainName = getChainName(originChainId);
   const destinationChainName = getChainName(destinationChainId);
-  const formattedAmount = formatTokenAmount(inputAmount, tokenSymbol);
+  // Dynamic amounts are only known once the balance has been read
+  let formattedAmount;
+  if (inputAmount === undefined && isDynamicAmount(operation)) {
+    formattedAmount = describeAmountSpec(operation.amount, tokenSymbol || 'token');
+  } else {
+    formattedAmount = tokenSymbol ? formatTokenAmount(inputAmount, tokenSymbol) : `${inputAmount} tokens`;
+  }
   const tokenDisplay = tokenSymbol === 'ETH' && useNativeToken ? 'ETH (native)' : tokenSymbol;
+  // Tokens named by address show their address, after their symbol once it has been read from the chain
+  let tokenName = tokenDisplay;
+  if (operation.tokenAddress) {
+    tokenName = tokenSymbol ? `${tokenDisplay} (${operation.tokenAddress})` : `token ${operation.tokenAddress}`;
+  }
+  const outputDisplay = hasOutputTokenChoice(operation) ? ` → ${describeOutputToken(operation)}` : '';
+  
+  return `Bridge ${formattedAmount} from ${originChainName} to ${destinationChainName} using ${tokenName}${outputDisplay}`;
+}
+
+/**
+ * Whether an operation picks its destination token instead of receiving the same token
+ * @param {Object} operation - Bridge operation details
+ * @returns {boolean} Whether outputTokenSymbol, outputTokenAddress or useBridged is set
+ */
+export function hasOutputTokenChoice(operation) {
+  return Boolean(operation.outputTokenAddress || operation.outputTokenSymbol || operation.useBridged);
+}
+
+/**
+ * Describe the token an operation receives on the destination chain
+ * @param {Object} operation - Bridge operation details
+ * @returns {string} Symbol, marked "(bridged)" for bridged variants, with the address for tokens named by address
+ */
+export function describeOutputToken(operation) {
+  const symbol = operation.outputSymbol || operation.outputTokenSymbol;
+  
+  // Tokens named by address show their symbol once it has been read from the chain
+  if (operation.outputTokenAddress) {
+    return symbol ? `${symbol} (${operation.outputTokenAddress})` : operation.outputTokenAddress;
+  }
+  const display = symbol || operation.tokenSymbol || operation.tokenAddress;
+  return operation.useBridged ? `${display} (bridged)` : display;
+}
+
+/**
+ * Address of the destination token an operation picks, from its outputTokenAddress or
+ * from TOKENS (the bridged variant with useBridged)
+ * @param {string} tokenSymbol - Input token symbol
+ * @param {number} destinationChainId - Destination chain ID
+ * @param {Object} output - { tokenSymbol, tokenAddress, useBridged } of the output token
+ * @returns {string|null} Token address, or null when the operation does not pick one
+ */
+function getChosenOutputToken(tokenSymbol, destinationChainId, output) {
+  if (output.tokenAddress) return output.tokenAddress;
+  if (!output.tokenSymbol && !output.useBridged) return null;
   
-  return `Bridge ${formattedAmount} from ${originChainName} to ${destinationChainName} using ${tokenDisplay}`;
+  const symbol = output.tokenSymbol || tokenSymbol;
+  if (output.useBridged && !TOKENS[symbol]?.[`${destinationChainId}-bridged`]) {
+    throw new Error(`No bridged ${symbol} known on chain ${destinationChainId} (add "${destinationChainId}-bridged" to TOKENS.${symbol})`);
+  }
+  return getTokenAddress(symbol, destinationChainId, output.useBridged);
 }
 
 /**
  * Create a route object for Across Protocol's getQuote function
+ * Token addresses come from TOKENS, or from the route registry for chains the table does not list.
+ * Throws when the registry knows both chains and Across has no such route.
  * @param {string} tokenSymbol - Token symbol 
  * @param {number} originChainId - Origin chain ID
  * @param {number} destinationChainId - Destination chain ID
  * @param {boolean} useNativeToken - Whether to use native token (for ETH)
+ * @param {string} [inputTokenAddress] - Input token address, for tokens named by address
+ * @param {Object} [output] - Destination token, when it is not the same token:
+ *   { tokenSymbol, tokenAddress, useBridged }
  * @returns {Object} Route object for getQuote
  */
-export function createRouteObject(tokenSymbol, originChainId, destinationChainId, useNativeToken = false) {
-  const inputToken = getTokenAddress(tokenSymbol, originChainId);
-  const outputToken = getTokenAddress(tokenSymbol, destinationChainId);
+export function createRouteObject(
+  tokenSymbol,
+  originChainId,
+  destinationChainId,
+  useNativeToken = false,
+  inputTokenAddress = null,
+  output = {}
+) {
+  const chosenOutputToken = getChosenOutputToken(tokenSymbol, destinationChainId, output);
+  if (inputTokenAddress || chosenOutputToken) {
+    const inputToken = inputTokenAddress || getTokenAddress(tokenSymbol, originChainId);
+    const route = createRouteForAddress(tokenSymbol, inputToken, originChainId, destinationChainId, chosenOutputToken);
+    if (tokenSymbol === 'ETH' && useNativeToken) {
+      route.isNative = true;
+    }
+    return route;
+  }
+  
+  const registryRoute = findRegistryRoute(tokenSymbol, originChainId, destinationChainId);
+  if (registryRoute === undefined) {
+    throw new Error(
+      `Across does not support bridging ${tokenSymbol} from ${getChainName(originChainId)} to ${getChainName(destinationChainId)}`
+    );
+  }
+  
+  // Addresses from the registry only fill in chains TOKENS does not list
+  const inputToken = registryRoute && !TOKENS[tokenSymbol]?.[originChainId]
+    ? registryRoute.inputToken
+    : getTokenAddress(tokenSymbol, originChainId);
+  const outputToken = registryRoute && !TOKENS[tokenSymbol]?.[destinationChainId]
+    ? registryRoute.outputToken
+    : getTokenAddress(tokenSymbol, destinationChainId);
   
   const route = {
     originChainId: Number(originChainId), 
@@ -228,16 +425,60 @@ export function createRouteObject(tokenSymbol, originChainId, destinationChainId
   return route;
 }
 
+/**
+ * Create a route object from token addresses: a token named by its address on the origin
+ * chain, or a destination token the operation picks. Without a chosen output token it is
+ * the same symbol in TOKENS, or the token the route registry pairs the input with.
+ * @param {string} tokenSymbol - Token symbol (as read from the token contract)
+ * @param {string} inputToken - Input token address
+ * @param {number} originChainId - Origin chain ID
+ * @param {number} destinationChainId - Destination chain ID
+ * @param {string|null} chosenOutputToken - Output token the operation picks
+ * @returns {Object} Route object for getQuote
+ */
+function createRouteForAddress(tokenSymbol, inputToken, originChainId, destinationChainId, chosenOutputToken) {
+  const localOutputToken = chosenOutputToken || TOKENS[tokenSymbol]?.[destinationChainId];
+  const registryRoute = findRegistryRouteByToken(inputToken, originChainId, destinationChainId, localOutputToken);
+  // A chosen output token must be one Across pairs with the input token
+  const pairMissing = Boolean(chosenOutputToken) && Boolean(registryRoute) &&
+    registryRoute.outputToken.toLowerCase() !== chosenOutputToken.toLowerCase();
+  if (registryRoute === undefined || pairMissing) {
+    throw new Error(
+      `Across does not support bridging ${tokenSymbol || inputToken} from ${getChainName(originChainId)} to ${getChainName(destinationChainId)}` +
+        (chosenOutputToken ? ` into ${chosenOutputToken}` : '')
+    );
+  }
+  
+  const outputToken = chosenOutputToken || registryRoute?.outputToken || localOutputToken;
+  if (!outputToken) {
+    throw new Error(`No ${tokenSymbol} token known on chain ${destinationChainId} to bridge ${inputToken} into`);
+  }
+  
+  return {
+    originChainId: Number(originChainId),
+    destinationChainId: Number(destinationChainId),
+    inputToken,
+    outputToken,
+  };
+}
+
 // Export default object for compatibility
 export default {
   getTokenAddress,
+  getConfiguredDecimals,
   getTokenDecimals,
   getChainName,
+  getNativeSymbol,
+  getRpcUrl,
+  getSpokePoolAddress,
+  getExplorerTxUrl,
   getSupportedChains,
   getSupportedTokensForChain,
   isBridgeSupportedForToken,
   formatTokenAmount,
   findAvailableRoutes,
   describeBridgeOperation,
+  hasOutputTokenChoice,
+  describeOutputToken,
   createRouteObject
 };
\ No newline at end of file
@@ -0,0 +1,233 @@
+// Append-only transaction history stored as JSON Lines, with queries and CSV export
+import fs from 'fs';
+
+/**
+ * Create a history store backed by a JSON Lines file (one entry per line).
+ * Appends are a single write, so a crash can at most leave one partial line,
+ * which is skipped when reading. A history file in the old format (one JSON array)
+ * is converted on first use.
+ * @param {string} filePath - Path of the .jsonl file
+ * @param {Object} [options] - Store options
+ * @param {Function} [options.log] - Logger for migration messages and warnings
+ * @returns {Object} Store with append, read and query
+ */
+export function createHistoryStore(filePath, { log = () => {} } = {}) {
+  let migrated = false;
+
+  // Convert an old JSON array history (in this file or in the .json file next to it)
+  function migrate() {
+    if (migrated) return;
+    migrated = true;
+
+    const legacyPath = filePath.endsWith('.jsonl') ? filePath.slice(0, -1) : null;
+
+    if (fs.existsSync(filePath)) {
+      const content = fs.readFileSync(filePath, 'utf8');
+      if (content.trimStart().startsWith('[')) {
+        fs.copyFileSync(filePath, `${filePath}.bak`);
+        writeLines(filePath, JSON.parse(content));
+        log(`Converted ${filePath} to JSON Lines (backup: ${filePath}.bak)`);
+      }
+      return;
+    }
+
+    if (legacyPath && fs.existsSync(legacyPath)) {
+      const entries = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+      writeLines(filePath, entries);
+      fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+      log(`Migrated ${entries.length} history entries from ${legacyPath} to ${filePath}`);
+    }
+  }
+
+  return {
+    /**
+     * Append one entry
+     * @param {Object} entry - History entry
+     */
+    append(entry) {
+      migrate();
+      fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+    },
+
+    /**
+     * Read every entry, oldest first (unreadable lines are skipped)
+     * @returns {Array<Object>} History entries
+     */
+    read() {
+      migrate();
+      if (!fs.existsSync(filePath)) {
+        return [];
+      }
+
+      const entries = [];
+      let skipped = 0;
+      fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter((line) => line.trim() !== '')
+        .forEach((line) => {
+          try {
+            entries.push(JSON.parse(line));
+          } catch {
+            skipped++;
+          }
+        });
+
+      if (skipped > 0) {
+        log(`Warning: Skipped ${skipped} unreadable lines in ${filePath}`);
+      }
+      return entries;
+    },
+
+    /**
+     * Read the entries that match a set of filters
+     * @param {Object} filters - See filterHistory
+     * @returns {Array<Object>} Matching entries, oldest first
+     */
+    query(filters = {}) {
+      return filterHistory(this.read(), filters);
+    },
+  };
+}
+
+// Write entries as JSON Lines through a temporary file
+function writeLines(filePath, entries) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Token of a history entry: its symbol, or its address for operations that failed before
+ * the symbol of a token named by address was read
+ * @param {Object} entry - History entry
+ * @returns {string|undefined} Token symbol or address
+ */
+export function entryToken(entry) {
+  return entry.operation.tokenSymbol || entry.operation.tokenAddress;
+}
+
+/**
+ * Token received by a history entry: the output symbol, the output address for a token picked
+ * by address whose symbol was not read, or the input token for same-token routes
+ * @param {Object} entry - History entry
+ * @returns {string|undefined} Token symbol or address
+ */
+export function entryOutputToken(entry) {
+  const { outputTokenSymbol, outputTokenAddress } = entry.operation;
+  return outputTokenSymbol || outputTokenAddress || entryToken(entry);
+}
+
+/**
+ * Status of a history entry
+ * @param {Object} entry - History entry
+ * @returns {string} "simulation", "success", "failed", "expired" or "refunded"
+ */
+export function entryStatus(entry) {
+  if (entry.simulation) return 'simulation';
+  if (['expired', 'refunded'].includes(entry.result.outcome)) return entry.result.outcome;
+  return entry.result.success ? 'success' : 'failed';
+}
+
+// Whether an entry was sent from an account, given by name or address
+function matchesAccount(entry, account) {
+  const { name = 'default', address } = entry.account || {};
+  return name === account || (Boolean(address) && address.toLowerCase() === account.toLowerCase());
+}
+
+/**
+ * Filter history entries
+ * @param {Array<Object>} entries - History entries
+ * @param {Object} filters - Filters (all optional)
+ * @param {Date} filters.since - Only entries at or after this time
+ * @param {Date} filters.until - Only entries before this time
+ * @param {string} filters.token - Token symbol, or address for tokens named by address
+ * @param {number} filters.originChainId - Origin chain ID
+ * @param {number} filters.destinationChainId - Destination chain ID
+ * @param {string} filters.status - "success", "failed", "expired", "refunded" or "simulation"
+ * @param {string} filters.operation - Text contained in the operation name (case-insensitive)
+ * @param {string} filters.account - Account name or address (entries from before named accounts count as "default")
+ * @param {number} filters.limit - Keep only the most recent entries
+ * @returns {Array<Object>} Matching entries, oldest first
+ */
+export function filterHistory(entries, filters = {}) {
+  const { since, until, token, originChainId, destinationChainId, status, operation, account, limit } = filters;
+
+  const matches = entries.filter((entry) => {
+    const time = new Date(entry.timestamp);
+    if (since && time < since) return false;
+    if (until && time >= until) return false;
+    if (token && String(entryToken(entry)).toUpperCase() !== token.toUpperCase()) return false;
+    if (originChainId !== undefined && entry.operation.originChainId !== Number(originChainId)) return false;
+    if (destinationChainId !== undefined && entry.operation.destinationChainId !== Number(destinationChainId)) {
+      return false;
+    }
+    if (status && entryStatus(entry) !== status) return false;
+    if (operation && !entry.operation.name.toLowerCase().includes(operation.toLowerCase())) return false;
+    if (account && !matchesAccount(entry, account)) return false;
+    return true;
+  });
+
+  return limit ? matches.slice(-limit) : matches;
+}
+
+// CSV columns for the accounting export: header and how to read it from an entry
+const CSV_COLUMNS = [
+  ['timestamp', (entry) => entry.timestamp],
+  ['operation', (entry) => entry.operation.name],
+  ['account', (entry) => entry.account?.name],
+  ['account_address', (entry) => entry.account?.address],
+  ['status', (entry) => entryStatus(entry)],
+  ['token', (entry) => entryToken(entry)],
+  ['origin_chain_id', (entry) => entry.operation.originChainId],
+  ['destination_chain_id', (entry) => entry.operation.destinationChainId],
+  ['input_amount', (entry) => entry.operation.inputAmount],
+  ['output_amount', (entry) => entry.result.outputAmount],
+  ['output_token', (entry) => entryOutputToken(entry)],
+  ['relay_fee', (entry) => entry.result.fees?.relayFee],
+  ['lp_fee', (entry) => entry.result.fees?.lpFee],
+  ['gas_used', (entry) => entry.result.gas?.gasUsed],
+  ['gas_cost', (entry) => entry.result.gas?.cost],
+  ['gas_symbol', (entry) => entry.result.gas?.symbol],
+  ['gas_cost_token', (entry) => entry.result.gas?.costInToken],
+  ['input_usd', (entry) => entry.result.usd?.input],
+  ['output_usd', (entry) => entry.result.usd?.output],
+  ['fees_usd', (entry) => entry.result.usd?.fees],
+  ['gas_usd', (entry) => entry.result.usd?.gas],
+  ['total_cost_usd', (entry) => entry.result.usd?.totalCost],
+  ['deposit_id', (entry) => entry.result.depositId],
+  ['origin_tx_hash', (entry) => entry.result.originTxHash],
+  ['destination_tx_hash', (entry) => entry.result.destinationTxHash],
+  ['refund_tx_hash', (entry) => entry.result.refundTxHash],
+  ['refund_amount', (entry) => entry.result.refundAmount],
+  ['blocked_by', (entry) => entry.result.thresholdCheck?.blockedBy.join(' ')],
+  ['error', (entry) => entry.result.error],
+];
+
+// Quote a CSV value when it contains a delimiter, quote or line break
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export history entries as CSV (fees, gas and USD values are blank when not recorded)
+ * @param {Array<Object>} entries - History entries
+ * @returns {string} CSV text with a header row
+ */
+export function historyToCsv(entries) {
+  const rows = [
+    CSV_COLUMNS.map(([header]) => header),
+    ...entries.map((entry) => CSV_COLUMNS.map(([, read]) => read(entry))),
+  ];
+  return `${rows.map((row) => row.map(csvValue).join(',')).join('\n')}\n`;
+}
+
+export default {
+  createHistoryStore,
+  entryToken,
+  entryOutputToken,
+  entryStatus,
+  filterHistory,
+  historyToCsv,
+};
@@ -0,0 +1,202 @@
+// Encrypted keystores (Web3 Secret Storage / V3 keystore files) as an alternative to a raw PRIVATE_KEY
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { Writable } from 'stream';
+import { promisify } from 'util';
+import { keccak256, bytesToHex, hexToBytes } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Key derivation settings for new keystores (the same as geth's standard scrypt settings)
+const SCRYPT_PARAMS = { n: 262144, r: 8, p: 1, dklen: 32 };
+
+// Environment variable that can hold the file descriptor to read the passphrase from
+const PASSWORD_FD_ENV = 'KEYSTORE_PASSWORD_FD';
+
+/**
+ * Derive the key that encrypts a keystore from its passphrase
+ * @param {string} passphrase - Keystore passphrase
+ * @param {string} kdf - "scrypt" or "pbkdf2"
+ * @param {Object} params - kdfparams from the keystore
+ * @returns {Promise<Buffer>} Derived key
+ */
+async function deriveKey(passphrase, kdf, params) {
+  const password = Buffer.from(passphrase.normalize('NFKD'), 'utf8');
+  const salt = Buffer.from(params.salt, 'hex');
+
+  if (kdf === 'scrypt') {
+    return scrypt(password, salt, params.dklen, {
+      N: params.n,
+      r: params.r,
+      p: params.p,
+      maxmem: 256 * params.n * params.r + 1024 * 1024,
+    });
+  }
+
+  if (kdf === 'pbkdf2') {
+    if (params.prf !== 'hmac-sha256') {
+      throw new Error(`Unsupported keystore pbkdf2 function: ${params.prf}`);
+    }
+    return pbkdf2(password, salt, params.c, params.dklen, 'sha256');
+  }
+
+  throw new Error(`Unsupported keystore key derivation function: ${kdf}`);
+}
+
+// MAC over the second half of the derived key and the ciphertext, as the V3 format defines it
+function keystoreMac(derivedKey, ciphertext) {
+  return keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext])).slice(2);
+}
+
+/**
+ * Encrypt a private key into a V3 keystore
+ * @param {string} privateKey - 0x-prefixed private key
+ * @param {string} passphrase - Passphrase to encrypt with
+ * @returns {Promise<Object>} Keystore object, ready to be saved as JSON
+ */
+export async function encryptKeystore(privateKey, passphrase) {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(16);
+  const kdfparams = { ...SCRYPT_PARAMS, salt: salt.toString('hex') };
+  const derivedKey = await deriveKey(passphrase, 'scrypt', kdfparams);
+
+  const cipher = crypto.createCipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(hexToBytes(privateKey)), cipher.final()]);
+
+  return {
+    version: 3,
+    id: crypto.randomUUID(),
+    address: privateKeyToAccount(privateKey).address.slice(2).toLowerCase(),
+    crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf: 'scrypt',
+      kdfparams,
+      mac: keystoreMac(derivedKey, ciphertext),
+    },
+  };
+}
+
+/**
+ * Decrypt a V3 keystore
+ * @param {Object} keystore - Parsed keystore JSON
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Promise<string>} 0x-prefixed private key
+ */
+export async function decryptKeystore(keystore, passphrase) {
+  // Some older tools wrote the section as "Crypto"
+  const section = keystore.crypto || keystore.Crypto;
+  if (Number(keystore.version) !== 3 || !section) {
+    throw new Error('Not a V3 keystore file');
+  }
+  if (section.cipher !== 'aes-128-ctr') {
+    throw new Error(`Unsupported keystore cipher: ${section.cipher}`);
+  }
+
+  const derivedKey = await deriveKey(passphrase, section.kdf, section.kdfparams);
+  const ciphertext = Buffer.from(section.ciphertext, 'hex');
+  if (keystoreMac(derivedKey, ciphertext) !== section.mac.toLowerCase()) {
+    throw new Error('Wrong keystore passphrase');
+  }
+
+  const decipher = crypto.createDecipheriv(
+    'aes-128-ctr',
+    derivedKey.subarray(0, 16),
+    Buffer.from(section.cipherparams.iv, 'hex')
+  );
+  return bytesToHex(Buffer.concat([decipher.update(ciphertext), decipher.final()]));
+}
+
+/**
+ * Ask for a passphrase on the terminal without echoing it (the prompt goes to stderr)
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Entered passphrase
+ */
+export function promptPassphrase(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(
+      new Error('A keystore passphrase is needed but stdin is not a terminal (set it in the environment or a file descriptor)')
+    );
+  }
+
+  return new Promise((resolve) => {
+    let muted = false;
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) process.stderr.write(chunk, encoding);
+        callback();
+      },
+    });
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+/**
+ * Read a keystore passphrase from, in order: the environment variable, the file
+ * descriptor (e.g. `3<passphrase.txt`), or a prompt
+ * @param {Object} source - Where the passphrase may come from
+ * @param {string} [source.passwordEnv] - Name of the environment variable holding it
+ * @param {number} [source.passwordFd] - File descriptor to read it from (defaults to KEYSTORE_PASSWORD_FD)
+ * @param {string} question - Prompt text used when neither is set
+ * @returns {Promise<string>} Passphrase
+ */
+export async function readPassphrase({ passwordEnv, passwordFd } = {}, question) {
+  if (passwordEnv && process.env[passwordEnv]) {
+    return process.env[passwordEnv];
+  }
+
+  const fd = passwordFd ?? process.env[PASSWORD_FD_ENV];
+  if (fd !== undefined && fd !== null && fd !== '') {
+    // Only the first line counts, so a trailing newline in the file is not part of it
+    return fs.readFileSync(Number(fd), 'utf8').split(/\r?\n/)[0];
+  }
+
+  return promptPassphrase(question);
+}
+
+/**
+ * Load an account from a keystore file. The decrypted key only lives inside the account.
+ * @param {Object} source - { file, passwordEnv, passwordFd }
+ * @param {Object} [accountOptions] - Options for privateKeyToAccount (e.g. nonceManager)
+ * @returns {Promise<Object>} viem local account
+ */
+export async function loadKeystoreAccount(source, accountOptions = {}) {
+  if (!fs.existsSync(source.file)) {
+    throw new Error(`Keystore file not found: ${source.file}`);
+  }
+
+  const keystore = JSON.parse(fs.readFileSync(source.file, 'utf8'));
+  const passphrase = await readPassphrase(source, `Passphrase for ${source.file}: `);
+  return privateKeyToAccount(await decryptKeystore(keystore, passphrase), accountOptions);
+}
+
+/**
+ * Save a keystore, readable by the owner only. Existing files are never overwritten.
+ * @param {string} filePath - Destination path
+ * @param {Object} keystore - Keystore object from encryptKeystore
+ */
+export function saveKeystore(filePath, keystore) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(keystore, null, 2)}\n`, { flag: 'wx', mode: 0o600 });
+}
+
+export default {
+  encryptKeystore,
+  decryptKeystore,
+  promptPassphrase,
+  readPassphrase,
+  loadKeystoreAccount,
+  saveKeystore,
+};
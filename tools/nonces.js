@@ -0,0 +1,99 @@
+// Per-chain transaction ordering for operations that run in parallel from the same account
+import { getTransactionCount } from 'viem/actions';
+
+/**
+ * Create a nonce manager that hands out nonces per chain and account, and a lock
+ * that operations hold while sending, so two approvals or deposits never share a nonce.
+ * It implements viem's NonceManager interface, so pass it to privateKeyToAccount
+ * and every transaction sent from that account (including the SDK's) goes through it.
+ * @returns {Object} Nonce manager with consume, increment, get, reset and lock
+ */
+export function createNonceManager() {
+  // Next nonce to hand out by "chainId:address" (absent until a nonce has been taken)
+  const nextNonces = new Map();
+  // Tails of the promise chains that serialize nonce reads and lock holders per key
+  const lanes = new Map();
+  const locks = new Map();
+
+  const keyOf = (chainId, address) => `${Number(chainId)}:${address.toLowerCase()}`;
+
+  // Run fn after every earlier call for the same key has settled
+  function serialize(key, fn) {
+    const previous = lanes.get(key) || Promise.resolve();
+    const result = previous.then(fn);
+    lanes.set(key, result.catch(() => {}));
+    return result;
+  }
+
+  return {
+    /**
+     * Take the next nonce for an account on a chain: the pending transaction count,
+     * or one past the last nonce handed out if the RPC has not seen that transaction yet
+     * @param {Object} params - { address, chainId, client }
+     * @returns {Promise<number>} Nonce to use
+     */
+    consume({ address, chainId, client }) {
+      const key = keyOf(chainId, address);
+      return serialize(key, async () => {
+        const pending = await getTransactionCount(client, { address, blockTag: 'pending' });
+        const local = nextNonces.get(key);
+        const nonce = local !== undefined && local > pending ? local : pending;
+        nextNonces.set(key, nonce + 1);
+        return nonce;
+      });
+    },
+
+    /**
+     * Skip a nonce (part of viem's interface)
+     * @param {Object} params - { address, chainId }
+     */
+    increment({ address, chainId }) {
+      const key = keyOf(chainId, address);
+      if (nextNonces.has(key)) {
+        nextNonces.set(key, nextNonces.get(key) + 1);
+      }
+    },
+
+    /**
+     * Peek at the next nonce without taking it
+     * @param {Object} params - { address, chainId, client }
+     * @returns {Promise<number>} Next nonce
+     */
+    async get({ address, chainId, client }) {
+      const pending = await getTransactionCount(client, { address, blockTag: 'pending' });
+      const local = nextNonces.get(keyOf(chainId, address));
+      return local !== undefined && local > pending ? local : pending;
+    },
+
+    /**
+     * Forget the locally tracked nonce, e.g. after a transaction failed before it was sent,
+     * so the next one is read from the chain again instead of leaving a gap
+     * @param {Object} params - { address, chainId }
+     */
+    reset({ address, chainId }) {
+      nextNonces.delete(keyOf(chainId, address));
+    },
+
+    /**
+     * Wait for exclusive use of an account on a chain
+     * @param {number} chainId - Chain ID
+     * @param {string} address - Account address
+     * @returns {Promise<Function>} Resolves with a release function once the lock is held
+     */
+    lock(chainId, address) {
+      const key = keyOf(chainId, address);
+      const previous = locks.get(key) || Promise.resolve();
+      let release;
+      const released = new Promise((resolve) => {
+        release = resolve;
+      });
+      locks.set(key, previous.then(() => released));
+
+      return previous.then(() => release);
+    },
+  };
+}
+
+export default {
+  createNonceManager,
+};
@@ -0,0 +1,322 @@
+// Notification delivery for bridge events (webhook, Slack, email and local commands)
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { spawn } from 'child_process';
+import { getChainName, getExplorerTxUrl } from './helper.js';
+
+// Event types that can trigger a notification
+export const NOTIFICATION_EVENTS = [
+  'onStart',
+  'onThresholdFailure',
+  'onExecutionStart',
+  'onExecutionComplete',
+  'onError',
+];
+
+// Default title and message templates for each event
+const DEFAULT_TEMPLATES = {
+  onStart: {
+    title: 'Across bridge run started',
+    message: 'Starting {{operationCount}} bridge operations from {{account}}',
+  },
+  onThresholdFailure: {
+    title: 'Thresholds not met: {{operation}}',
+    message:
+      'Quote for {{amount}} {{token}} from {{origin}} to {{destination}} did not meet thresholds ' +
+      '({{blockedBy}}; output {{outputAmount}} {{outputToken}}, fill time {{fillTime}}s)',
+  },
+  onExecutionStart: {
+    title: 'Bridging: {{operation}}',
+    message:
+      'Bridging {{amount}} {{token}} from {{origin}} to {{destination}} (expected output {{outputAmount}} {{outputToken}})',
+  },
+  onExecutionComplete: {
+    title: '{{operation}} {{status}}',
+    message:
+      'Bridge of {{amount}} {{token}} from {{origin}} to {{destination}} {{status}}\n' +
+      'Deposit ID: {{depositId}}\n' +
+      'Origin tx: {{originTxUrl}}\n' +
+      'Destination tx: {{destinationTxUrl}}',
+  },
+  onError: {
+    title: 'Error in {{operation}}',
+    message: 'Bridge of {{amount}} {{token}} from {{origin}} to {{destination}} failed: {{error}}',
+  },
+};
+
+/**
+ * Resolve "env:NAME" values from the environment at send time
+ * @param {*} value - Config value
+ * @returns {*} The environment value for "env:NAME" strings, otherwise the value itself
+ */
+function resolveValue(value) {
+  if (typeof value === 'string' && value.startsWith('env:')) {
+    return process.env[value.slice(4)];
+  }
+  return value;
+}
+
+/**
+ * Resolve every "env:NAME" value of a channel config
+ * @param {Object} channel - Channel config
+ * @returns {Object} Channel config with resolved values
+ */
+function resolveChannel(channel) {
+  return Object.fromEntries(
+    Object.entries(channel).map(([key, value]) => [key, resolveValue(value)])
+  );
+}
+
+/**
+ * Fill {{placeholders}} in a template; unknown placeholders become "-"
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, values) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => {
+    const value = values[key];
+    return value === undefined || value === null || value === '' ? '-' : String(value);
+  });
+}
+
+/**
+ * Build the template values for an event
+ * @param {Object} data - Event data (operation, quote summary, result, error, ...)
+ * @returns {Object} Flat placeholder values
+ */
+function buildTemplateValues(data) {
+  const operation = data.operation || {};
+  const result = data.result || {};
+
+  return {
+    operation: operation.name,
+    token: operation.tokenSymbol || operation.tokenAddress,
+    amount: operation.inputAmount,
+    origin: operation.originChainId ? getChainName(operation.originChainId) : undefined,
+    destination: operation.destinationChainId
+      ? getChainName(operation.destinationChainId)
+      : undefined,
+    outputAmount: data.outputAmount,
+    outputToken: operation.outputSymbol || operation.outputTokenSymbol || operation.tokenSymbol,
+    fillTime: data.estimatedFillTimeSec,
+    blockedBy: data.blockedBy,
+    status: result.success === undefined ? undefined : result.success ? 'succeeded' : 'failed',
+    depositId: result.depositId,
+    originTxHash: result.originTxHash,
+    originTxUrl: getExplorerTxUrl(operation.originChainId, result.originTxHash),
+    destinationTxHash: result.destinationTxHash,
+    destinationTxUrl: getExplorerTxUrl(operation.destinationChainId, result.destinationTxHash),
+    error: data.error || result.error,
+    account: data.account,
+    operationCount: data.operationCount,
+  };
+}
+
+/**
+ * Create the SMTP transport of an email channel
+ * @param {Object} channel - Resolved email channel config
+ * @returns {Object} nodemailer transport
+ */
+function createEmailTransport(channel) {
+  return nodemailer.createTransport({
+    host: channel.host,
+    port: Number(channel.port || 587),
+    secure: channel.secure === true || channel.secure === 'true',
+    auth: channel.user ? { user: channel.user, pass: channel.pass } : undefined,
+  });
+}
+
+// Adapters that deliver a rendered notification to one channel
+const ADAPTERS = {
+  // Generic webhook: POST the full notification as JSON
+  webhook: async (channel, notification) => {
+    await axios.post(channel.url, notification, {
+      headers: channel.headers || {},
+      timeout: channel.timeoutMs || 10000,
+    });
+  },
+
+  // Slack-compatible incoming webhook
+  slack: async (channel, notification) => {
+    await axios.post(
+      channel.url,
+      { text: `*${notification.title}*\n${notification.message}` },
+      { timeout: channel.timeoutMs || 10000 }
+    );
+  },
+
+  // SMTP email, through the transport the notifier keeps for the channel
+  email: async (channel, notification, { transport }) => {
+    await transport.sendMail({
+      from: channel.from,
+      to: channel.to,
+      subject: notification.title,
+      text: notification.message,
+    });
+  },
+
+  // Local command or script: the notification is passed as JSON on stdin and in env vars
+  command: (channel, notification) =>
+    new Promise((resolve, reject) => {
+      const timeoutMs = channel.timeoutMs || 30000;
+      const startedAt = Date.now();
+      const child = spawn(channel.command, channel.args || [], {
+        env: {
+          ...process.env,
+          BRIDGE_EVENT: notification.event,
+          BRIDGE_TITLE: notification.title,
+          BRIDGE_MESSAGE: notification.message,
+        },
+        stdio: ['pipe', 'ignore', 'pipe'],
+        timeout: timeoutMs,
+      });
+
+      let stderr = '';
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk;
+      });
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        const output = stderr ? `: ${stderr.trim()}` : '';
+        if (code === 0) {
+          resolve();
+        } else if (signal) {
+          // The spawn timeout kills the command, which then closes with a signal and no exit code
+          const timedOut = Date.now() - startedAt >= timeoutMs;
+          reject(new Error(`Command ${timedOut ? `timed out after ${timeoutMs} ms` : `killed by ${signal}`}${output}`));
+        } else {
+          reject(new Error(`Command exited with code ${code}${output}`));
+        }
+      });
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(JSON.stringify(notification));
+    }),
+};
+
+/**
+ * Create a notifier for MONITORING.notifications
+ * @param {Object} config - Notification settings (event flags, channels, routes, templates, retry)
+ * @param {Function} log - Logger used for delivery status
+ * @returns {Object} Notifier with notify(event, data)
+ */
+export function createNotifier(config = {}, log = console.log) {
+  const channels = config.channels || {};
+  const routes = config.routes || {};
+  const templates = config.templates || {};
+  const retry = { attempts: 3, delayMs: 2000, ...(config.retry || {}) };
+  // SMTP transports by email channel name, created on the first send and reused by retries
+  const emailTransports = new Map();
+  // Notifications still being delivered
+  const inFlight = new Set();
+
+  /**
+   * Channels that should receive an event
+   * Events without a route go to every enabled channel
+   * @param {string} event - Event type
+   * @returns {Array} Channel names
+   */
+  function channelsForEvent(event) {
+    const names = routes[event] || Object.keys(channels);
+    return names.filter((name) => channels[name] && channels[name].enabled !== false);
+  }
+
+  /**
+   * Deliver to one channel, retrying failed attempts
+   * @param {string} name - Channel name
+   * @param {Object} notification - Rendered notification
+   * @returns {Promise<boolean>} Whether delivery succeeded
+   */
+  async function deliver(name, notification) {
+    const channel = resolveChannel(channels[name]);
+    const adapter = ADAPTERS[channel.type];
+
+    if (!adapter) {
+      log(`Notification channel ${name} has unknown type: ${channel.type}`);
+      return false;
+    }
+    if (channel.type === 'email' && !emailTransports.has(name)) {
+      emailTransports.set(name, createEmailTransport(channel));
+    }
+    const context = { transport: emailTransports.get(name) };
+
+    for (let attempt = 1; attempt <= retry.attempts; attempt++) {
+      try {
+        await adapter(channel, notification, context);
+        return true;
+      } catch (error) {
+        log(
+          `Notification to ${name} failed (attempt ${attempt} of ${retry.attempts}): ${error.message}`
+        );
+        if (attempt < retry.attempts) {
+          await new Promise((resolve) => setTimeout(resolve, retry.delayMs * attempt));
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Send a notification for an event to its channels
+   * Never rejects: delivery failures are logged and the bridge run continues, so callers
+   * need not wait for delivery (see flush)
+   * @param {string} event - Event type (see NOTIFICATION_EVENTS)
+   * @param {Object} data - Event data (operation, result, outputAmount, error, ...)
+   * @returns {Promise<void>} Settles once every channel has been tried
+   */
+  function notify(event, data = {}) {
+    const sending = send(event, data);
+    inFlight.add(sending);
+    sending.finally(() => inFlight.delete(sending));
+    return sending;
+  }
+
+  /**
+   * Render a notification and deliver it to the event's channels
+   * @param {string} event - Event type
+   * @param {Object} data - Event data
+   * @returns {Promise<void>}
+   */
+  async function send(event, data) {
+    if (!config[event]) return;
+
+    try {
+      const template = { ...DEFAULT_TEMPLATES[event], ...(templates[event] || {}) };
+      const values = buildTemplateValues(data);
+      const notification = {
+        event,
+        title: renderTemplate(template.title, values),
+        message: renderTemplate(template.message, values),
+        timestamp: new Date().toISOString(),
+        data: values,
+      };
+
+      log(`Notification: ${notification.title}`);
+
+      const targets = channelsForEvent(event);
+      await Promise.all(targets.map((name) => deliver(name, notification)));
+    } catch (error) {
+      log(`Notification error for ${event}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait until every notification sent so far has been delivered or given up on
+   * @returns {Promise<void>}
+   */
+  async function flush() {
+    while (inFlight.size > 0) {
+      await Promise.all(inFlight);
+    }
+  }
+
+  return { notify, flush };
+}
+
+export default {
+  NOTIFICATION_EVENTS,
+  renderTemplate,
+  createNotifier,
+};
@@ -0,0 +1,105 @@
+// Run bridge operations at the same time, up to a limit
+
+/**
+ * Create a runner that starts async tasks as they arrive, with at most `limit` running at once
+ * Tasks beyond the limit wait in a queue and start in the order they were added
+ * @param {number} limit - Maximum number of tasks running at once (at least 1)
+ * @returns {Object} Limiter with run, pendingCount, cancelQueued and waitForAll
+ */
+export function createConcurrencyLimiter(limit) {
+  const maxRunning = Math.max(1, Math.floor(limit) || 1);
+  const queue = [];
+  let running = 0;
+  let idleWaiters = [];
+
+  function notifyIfIdle() {
+    if (queue.length === 0 && running === 0) {
+      idleWaiters.forEach((resolve) => resolve());
+      idleWaiters = [];
+    }
+  }
+
+  function startNext() {
+    while (running < maxRunning && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      running++;
+      // Started right away, so a task that throws synchronously is reported like one that rejects
+      new Promise((settle) => settle(task())).then(resolve, reject).finally(() => {
+        running--;
+        startNext();
+        notifyIfIdle();
+      });
+    }
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} The task's result (undefined if it was cancelled before starting)
+   */
+  function run(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      startNext();
+    });
+  }
+
+  /**
+   * Number of tasks that are queued or running
+   * @returns {number} Pending task count
+   */
+  function pendingCount() {
+    return queue.length + running;
+  }
+
+  /**
+   * Drop every task that has not started (running tasks finish normally)
+   * @returns {number} Number of cancelled tasks
+   */
+  function cancelQueued() {
+    const cancelled = queue.splice(0);
+    cancelled.forEach(({ resolve }) => resolve(undefined));
+    notifyIfIdle();
+    return cancelled.length;
+  }
+
+  /**
+   * Wait until every queued and running task has finished
+   * @returns {Promise<void>}
+   */
+  function waitForAll() {
+    return new Promise((resolve) => {
+      idleWaiters.push(resolve);
+      notifyIfIdle();
+    });
+  }
+
+  return { run, pendingCount, cancelQueued, waitForAll };
+}
+
+/**
+ * Run an async worker over a list of items with at most `limit` running at once
+ * Workers that throw do not stop the others; their errors are returned in the results
+ * @param {Array} items - Items to process, started in order
+ * @param {number} limit - Maximum number of workers running at once (at least 1)
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Settled results in item order ({ status, value | reason })
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const limiter = createConcurrencyLimiter(limit);
+
+  async function settle(item, index) {
+    try {
+      return { status: 'fulfilled', value: await limiter.run(() => worker(item, index)) };
+    } catch (reason) {
+      return { status: 'rejected', reason };
+    }
+  }
+
+  return Promise.all(items.map(settle));
+}
+
+export default {
+  createConcurrencyLimiter,
+  runWithConcurrency,
+};
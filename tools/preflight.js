@@ -0,0 +1,148 @@
+// Pre-flight funding checks: balances, gas costs and funds reserved by queued operations
+import { erc20Abi, formatUnits } from 'viem';
+
+/**
+ * Read the native balance and (optionally) an ERC-20 balance of an account
+ * @param {Object} publicClient - viem public client for the chain
+ * @param {string} owner - Account address
+ * @param {string|null} tokenAddress - ERC-20 token address, or null for native only
+ * @returns {Promise<Object>} { native, token } balances as bigint (token is null without a token)
+ */
+export async function readBalances(publicClient, owner, tokenAddress = null) {
+  const [native, token] = await Promise.all([
+    publicClient.getBalance({ address: owner }),
+    tokenAddress
+      ? publicClient.readContract({
+          address: tokenAddress,
+          abi: erc20Abi,
+          functionName: 'balanceOf',
+          args: [owner],
+        })
+      : Promise.resolve(null),
+  ]);
+
+  return { native, token };
+}
+
+/**
+ * Create a ledger of funds reserved by operations that have passed pre-flight but
+ * not yet finished, so queued operations drawing on the same balance are not double-counted
+ * @returns {Object} Ledger with key, reserved, reserve and release
+ */
+export function createFundingLedger() {
+  const reservations = new Map();
+
+  return {
+    /**
+     * Ledger key for a balance
+     * @param {number} chainId - Chain ID
+     * @param {string} owner - Account address
+     * @param {string} asset - Token address, or "native"
+     * @returns {string} Ledger key
+     */
+    key(chainId, owner, asset) {
+      return `${Number(chainId)}:${owner.toLowerCase()}:${asset.toLowerCase()}`;
+    },
+
+    /**
+     * Amount currently reserved for a balance
+     * @param {string} key - Ledger key
+     * @returns {bigint} Reserved amount
+     */
+    reserved(key) {
+      return reservations.get(key) || 0n;
+    },
+
+    /**
+     * Reserve an amount of a balance
+     * @param {string} key - Ledger key
+     * @param {bigint} amount - Amount to reserve
+     */
+    reserve(key, amount) {
+      reservations.set(key, (reservations.get(key) || 0n) + amount);
+    },
+
+    /**
+     * Release a previous reservation
+     * @param {string} key - Ledger key
+     * @param {bigint} amount - Amount to release
+     */
+    release(key, amount) {
+      const remaining = (reservations.get(key) || 0n) - amount;
+      if (remaining > 0n) {
+        reservations.set(key, remaining);
+      } else {
+        reservations.delete(key);
+      }
+    },
+  };
+}
+
+/**
+ * Check whether an operation can be funded
+ * @param {Object} params - Balances, requirements and reservations (all bigint)
+ * @param {bigint} params.nativeBalance - Native balance on the origin chain
+ * @param {bigint} params.nativeRequired - Native amount needed (gas, plus the input for native deposits)
+ * @param {bigint} params.nativeReserved - Native amount reserved by other operations
+ * @param {bigint|null} params.tokenBalance - Input token balance (null for native deposits)
+ * @param {bigint} params.tokenRequired - Input token amount needed
+ * @param {bigint} params.tokenReserved - Input token amount reserved by other operations
+ * @param {number} params.tokenDecimals - Input token decimals (for messages)
+ * @param {string} params.tokenSymbol - Input token symbol (for messages)
+ * @param {string} params.nativeSymbol - Native token symbol (for messages)
+ * @returns {Object} { ok, reasons }
+ */
+export function checkFunding({
+  nativeBalance,
+  nativeRequired,
+  nativeReserved = 0n,
+  tokenBalance = null,
+  tokenRequired = 0n,
+  tokenReserved = 0n,
+  tokenDecimals = 18,
+  tokenSymbol = 'token',
+  nativeSymbol = 'ETH',
+}) {
+  const reasons = [];
+
+  const nativeAvailable = nativeBalance - nativeReserved;
+  if (nativeAvailable < nativeRequired) {
+    reasons.push(
+      `Insufficient ${nativeSymbol}: needs ${formatUnits(nativeRequired, 18)}, ` +
+        `has ${formatUnits(nativeBalance, 18)}` +
+        (nativeReserved > 0n ? ` (${formatUnits(nativeReserved, 18)} reserved by queued operations)` : '')
+    );
+  }
+
+  if (tokenBalance !== null) {
+    const tokenAvailable = tokenBalance - tokenReserved;
+    if (tokenAvailable < tokenRequired) {
+      reasons.push(
+        `Insufficient ${tokenSymbol}: needs ${formatUnits(tokenRequired, tokenDecimals)}, ` +
+          `has ${formatUnits(tokenBalance, tokenDecimals)}` +
+          (tokenReserved > 0n
+            ? ` (${formatUnits(tokenReserved, tokenDecimals)} reserved by queued operations)`
+            : '')
+      );
+    }
+  }
+
+  return { ok: reasons.length === 0, reasons };
+}
+
+/**
+ * Apply a safety multiplier to a gas estimate
+ * @param {bigint} gas - Gas estimate
+ * @param {number} multiplier - Buffer multiplier (e.g. 1.2)
+ * @returns {bigint} Buffered gas
+ */
+export function applyGasBuffer(gas, multiplier = 1) {
+  return (gas * BigInt(Math.round(multiplier * 100))) / 100n;
+}
+
+export default {
+  readBalances,
+  createFundingLedger,
+  checkFunding,
+  applyGasBuffer,
+};
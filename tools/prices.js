@@ -0,0 +1,160 @@
+// USD prices for valuing quotes: Chainlink-style aggregators, an HTTP price endpoint or a static file
+import fs from 'fs';
+import axios from 'axios';
+import { parseAbi } from 'viem';
+
+// The parts of the Chainlink AggregatorV3 interface that are read
+const AGGREGATOR_ABI = parseAbi([
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+]);
+
+/**
+ * Price source that reads Chainlink-style aggregators (latestRoundData)
+ * @param {Object} settings - Aggregator settings
+ * @param {number} [settings.chainId=1] - Chain the feeds are deployed on
+ * @param {Object} settings.feeds - Feed address by token symbol
+ * @param {number} [settings.maxAgeSeconds] - Reject answers older than this
+ * @param {Function} getPublicClient - (chainId) => viem public client
+ * @returns {Object} Price source
+ */
+export function createChainlinkSource({ chainId = 1, feeds = {}, maxAgeSeconds } = {}, getPublicClient) {
+  return {
+    name: 'chainlink',
+
+    async getPrice(symbol) {
+      const feed = feeds[symbol];
+      if (!feed) return null;
+
+      const publicClient = getPublicClient(Number(chainId));
+      const [decimals, [, answer, , updatedAt]] = await Promise.all([
+        publicClient.readContract({ address: feed, abi: AGGREGATOR_ABI, functionName: 'decimals' }),
+        publicClient.readContract({ address: feed, abi: AGGREGATOR_ABI, functionName: 'latestRoundData' }),
+      ]);
+
+      if (answer <= 0n) {
+        throw new Error(`Feed ${feed} returned ${answer}`);
+      }
+      if (maxAgeSeconds && Date.now() / 1000 - Number(updatedAt) > maxAgeSeconds) {
+        throw new Error(`Feed ${feed} has not been updated for over ${maxAgeSeconds}s`);
+      }
+      return Number(answer) / 10 ** decimals;
+    },
+  };
+}
+
+/**
+ * Price source that fetches a JSON price endpoint. "{symbol}" in the url and path is
+ * replaced with the token symbol.
+ * @param {Object} settings - Endpoint settings
+ * @param {string} settings.url - e.g. "https://api.coinbase.com/v2/prices/{symbol}-USD/spot"
+ * @param {string} [settings.path] - Dot-separated path to the price in the response, e.g. "data.amount"
+ * @param {Object} [settings.headers] - Extra HTTP headers, e.g. an API key
+ * @param {number} [settings.timeoutMs=10000] - Request timeout
+ * @returns {Object} Price source
+ */
+export function createHttpSource({ url, path = '', headers = {}, timeoutMs = 10000 } = {}) {
+  return {
+    name: 'http',
+
+    async getPrice(symbol) {
+      const response = await axios.get(url.replaceAll('{symbol}', symbol), { headers, timeout: timeoutMs });
+      const value = path
+        .replaceAll('{symbol}', symbol)
+        .split('.')
+        .filter(Boolean)
+        .reduce((data, key) => data?.[key], response.data);
+
+      const price = Number(value);
+      if (value === undefined || value === null || !Number.isFinite(price) || price <= 0) {
+        throw new Error(`No price at "${path}" in the response`);
+      }
+      return price;
+    },
+  };
+}
+
+/**
+ * Price source that reads a JSON file of USD prices by symbol, e.g. { "ETH": 3000, "USDC": 1 },
+ * for offline runs. The file is read on every lookup, so it can be edited while running.
+ * @param {string} filePath - Path of the price file
+ * @returns {Object} Price source
+ */
+export function createFileSource(filePath) {
+  return {
+    name: 'file',
+
+    async getPrice(symbol) {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`Price file not found: ${filePath}`);
+      }
+      const price = JSON.parse(fs.readFileSync(filePath, 'utf8'))[symbol];
+      return price === undefined || price === null ? null : Number(price);
+    },
+  };
+}
+
+/**
+ * Create a USD price lookup from OPTIONS.prices. Sources are tried in order until one
+ * has a price, and prices are cached for cacheSeconds.
+ * @param {Object} settings - OPTIONS.prices
+ * @param {Array<string>} [settings.sources] - "chainlink", "http" and/or "file"; none disables USD values
+ * @param {Object} [settings.aliases] - Symbols priced as another symbol (WETH is priced as ETH, bridged USDC as USDC)
+ * @param {number} [settings.cacheSeconds=60] - How long a price is reused
+ * @param {Object} params - Dependencies
+ * @param {Function} params.getPublicClient - (chainId) => viem public client, for Chainlink feeds
+ * @param {Function} [params.log] - Logger for sources that fail
+ * @returns {Object} { enabled, getUsdPrice(symbol) } where getUsdPrice resolves to { price, source } or null
+ */
+export function createPriceOracle(settings = {}, { getPublicClient, log = () => {} } = {}) {
+  const factories = {
+    chainlink: () => createChainlinkSource(settings.chainlink, getPublicClient),
+    http: () => createHttpSource(settings.http),
+    file: () => createFileSource(settings.file),
+  };
+  const sources = (settings.sources || []).map((name) => factories[name]());
+  const aliases = { WETH: 'ETH', 'USDC.e': 'USDC', USDbC: 'USDC', ...(settings.aliases || {}) };
+  const cacheMs = (settings.cacheSeconds ?? 60) * 1000;
+
+  // Lookups by symbol, shared by operations asking at the same time
+  const cache = new Map();
+
+  async function lookup(symbol) {
+    for (const source of sources) {
+      try {
+        const price = await source.getPrice(symbol);
+        if (price !== null) return { price, source: source.name };
+      } catch (error) {
+        log(`Warning: Could not get the ${symbol} price from ${source.name}: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  return {
+    enabled: sources.length > 0,
+
+    getUsdPrice(tokenSymbol) {
+      const symbol = aliases[tokenSymbol] || tokenSymbol;
+      const cached = cache.get(symbol);
+      if (cached && Date.now() - cached.at < cacheMs) {
+        return cached.lookup;
+      }
+
+      const pending = lookup(symbol).then((result) => {
+        // Missing prices are looked up again next time
+        if (!result) cache.delete(symbol);
+        return result;
+      });
+      cache.set(symbol, { lookup: pending, at: Date.now() });
+      return pending;
+    },
+  };
+}
+
+export default {
+  createChainlinkSource,
+  createHttpSource,
+  createFileSource,
+  createPriceOracle,
+};
@@ -0,0 +1,132 @@
+// Target-balance rebalancing: work out the transfers that bring each chain back within its tolerance band
+import { parseUnits } from 'viem';
+
+// Shares are applied with this many decimal places of precision
+const SHARE_SCALE = 1000000n;
+
+/**
+ * Resolve per-chain targets into absolute amounts
+ * @param {Object} targets - Targets by chain ID: { share } of the total across the listed chains, or a fixed { balance }
+ * @param {Object} balances - Current balances by chain ID (bigint)
+ * @param {number} decimals - Token decimals
+ * @returns {Object} Target amounts by chain ID (bigint)
+ */
+export function resolveRebalanceTargets(targets, balances, decimals) {
+  const total = Object.keys(targets).reduce((sum, chainId) => sum + (balances[chainId] || 0n), 0n);
+
+  return Object.fromEntries(
+    Object.entries(targets).map(([chainId, target]) => [
+      chainId,
+      target.share !== undefined
+        ? (total * BigInt(Math.round(target.share * Number(SHARE_SCALE)))) / SHARE_SCALE
+        : parseUnits(String(target.balance), decimals),
+    ])
+  );
+}
+
+/**
+ * Plan the transfers that move every targeted chain back within its tolerance band.
+ * Chains are handled largest imbalance first, and each is settled against the chains
+ * on the other side of their target (largest first), so the plan uses few transfers.
+ * Every transfer moves a chain to its target rather than to the edge of the band.
+ * @param {Object} params - Planning inputs
+ * @param {Object} params.balances - Current balances by chain ID (bigint)
+ * @param {Object} params.targets - Target amounts by chain ID (bigint), see resolveRebalanceTargets
+ * @param {number} params.tolerancePercentage - Allowed distance from the target, as a percentage of it
+ * @param {Array} params.routes - Available routes ({ originChainId, destinationChainId })
+ * @param {bigint} [params.minTransfer=0n] - Transfers below this amount are left out
+ * @returns {Object} { chains, transfers, unresolved }
+ */
+export function computeRebalancePlan({ balances, targets, tolerancePercentage, routes, minTransfer = 0n }) {
+  const chainIds = Object.keys(targets).map(Number);
+  const working = new Map(chainIds.map((chainId) => [chainId, balances[chainId] || 0n]));
+  const tolerance = BigInt(Math.round(tolerancePercentage * 100));
+
+  const difference = (chainId) => working.get(chainId) - targets[chainId];
+  const magnitude = (value) => (value < 0n ? -value : value);
+  const band = (chainId) => (targets[chainId] * tolerance) / 10000n;
+  const outOfBand = (chainId) => magnitude(difference(chainId)) > band(chainId);
+  const hasRoute = (originChainId, destinationChainId) =>
+    routes.some(
+      (route) =>
+        Number(route.originChainId) === originChainId &&
+        Number(route.destinationChainId) === destinationChainId
+    );
+  const byImbalance = (a, b) => {
+    const diff = magnitude(difference(b)) - magnitude(difference(a));
+    return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+  };
+
+  const chains = chainIds.map((chainId) => ({
+    chainId,
+    balance: working.get(chainId),
+    target: targets[chainId],
+    status: !outOfBand(chainId) ? 'ok' : difference(chainId) > 0n ? 'surplus' : 'deficit',
+  }));
+
+  const transfers = [];
+  const unresolved = [];
+  const settled = new Set();
+
+  for (;;) {
+    const [chainId] = chainIds.filter((id) => !settled.has(id) && outOfBand(id)).sort(byImbalance);
+    if (chainId === undefined) break;
+    settled.add(chainId);
+
+    const surplus = difference(chainId) > 0n;
+    let remaining = magnitude(difference(chainId));
+
+    const counterparties = chainIds
+      .filter(
+        (id) =>
+          id !== chainId &&
+          (surplus ? difference(id) < 0n : difference(id) > 0n) &&
+          (surplus ? hasRoute(chainId, id) : hasRoute(id, chainId))
+      )
+      .sort(byImbalance);
+
+    for (const counterparty of counterparties) {
+      if (remaining === 0n) break;
+
+      const room = magnitude(difference(counterparty));
+      const amount = remaining < room ? remaining : room;
+      if (amount < minTransfer) continue;
+
+      const originChainId = surplus ? chainId : counterparty;
+      const destinationChainId = surplus ? counterparty : chainId;
+      const existing = transfers.find(
+        (transfer) =>
+          transfer.originChainId === originChainId && transfer.destinationChainId === destinationChainId
+      );
+      if (existing) {
+        existing.amount += amount;
+      } else {
+        transfers.push({ originChainId, destinationChainId, amount });
+      }
+
+      working.set(originChainId, working.get(originChainId) - amount);
+      working.set(destinationChainId, working.get(destinationChainId) + amount);
+      remaining -= amount;
+    }
+
+    if (outOfBand(chainId)) {
+      unresolved.push({
+        chainId,
+        amount: magnitude(difference(chainId)),
+        reason:
+          counterparties.length === 0
+            ? surplus
+              ? 'No chain below its target has a route to receive the surplus'
+              : 'No chain above its target has a route to cover the shortfall'
+            : 'The remaining transfers are too small or no other chain has room',
+      });
+    }
+  }
+
+  return { chains, transfers, unresolved };
+}
+
+export default {
+  resolveRebalanceTargets,
+  computeRebalancePlan,
+};
@@ -0,0 +1,145 @@
+// Retry scheduling for bridge operations whose quotes do not meet the thresholds
+import { THRESHOLDS } from './config.js';
+
+/**
+ * Resolve the retry policy for an operation
+ * Operations can override any field of THRESHOLDS.retry with their own `retry` object,
+ * or disable retries entirely with `retry: false`
+ * @param {Object} operation - Bridge operation details
+ * @returns {Object} Retry policy with enabled, maxAttempts and delayMinutes
+ */
+export function getRetryPolicy(operation) {
+  const defaults = THRESHOLDS.retry || {};
+
+  if (operation.retry === false) {
+    return { ...defaults, enabled: false };
+  }
+
+  const overrides = operation.retry || {};
+
+  return {
+    enabled: overrides.enabled ?? defaults.enabled ?? false,
+    maxAttempts: overrides.maxAttempts ?? defaults.maxAttempts ?? 1,
+    delayMinutes: overrides.delayMinutes ?? defaults.delayMinutes ?? 0,
+  };
+}
+
+/**
+ * Check whether another attempt is allowed after a failed one
+ * @param {Object} policy - Retry policy from getRetryPolicy
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @returns {boolean} Whether a retry should be scheduled
+ */
+export function shouldRetry(policy, attempt) {
+  return Boolean(policy.enabled) && attempt < policy.maxAttempts;
+}
+
+/**
+ * Create a scheduler that re-runs operations after their retry delay
+ * Several operations can be waiting at once; when their timers fire the attempts
+ * run one after another so transactions from the same account never overlap
+ * @param {Function} runAttempt - Async function called with (operation, attempt)
+ * @returns {Object} Scheduler with schedule, pendingCount, listPending, isScheduled, cancelAll and waitForAll
+ */
+export function createRetryScheduler(runAttempt) {
+  const pending = new Map();
+  let nextId = 0;
+  let running = 0;
+  let queue = Promise.resolve();
+  let idleWaiters = [];
+
+  function notifyIfIdle() {
+    if (pending.size === 0 && running === 0) {
+      idleWaiters.forEach((resolve) => resolve());
+      idleWaiters = [];
+    }
+  }
+
+  /**
+   * Schedule the next attempt of an operation
+   * @param {Object} operation - Bridge operation details
+   * @param {number} attempt - The attempt number to run (1-based)
+   * @param {number} delayMinutes - How long to wait before running it
+   * @returns {Date} When the attempt will run
+   */
+  function schedule(operation, attempt, delayMinutes) {
+    const id = nextId++;
+    const delayMs = Math.max(0, delayMinutes) * 60 * 1000;
+    const runAt = new Date(Date.now() + delayMs);
+
+    // Attempts stay pending until they start, so queued ones can still be cancelled
+    const timer = setTimeout(() => {
+      queue = queue
+        .then(() => {
+          if (!pending.delete(id)) return undefined;
+          running++;
+          return runAttempt(operation, attempt).finally(() => {
+            running--;
+          });
+        })
+        .catch(() => {})
+        .finally(notifyIfIdle);
+    }, delayMs);
+
+    pending.set(id, { operation, attempt, runAt, timer });
+    return runAt;
+  }
+
+  /**
+   * Number of attempts that are waiting or running
+   * @returns {number} Pending attempt count
+   */
+  function pendingCount() {
+    return pending.size + running;
+  }
+
+  /**
+   * Attempts that are waiting for their timer or their turn, soonest first
+   * @returns {Array} { operation, attempt, runAt } for each waiting attempt
+   */
+  function listPending() {
+    return [...pending.values()]
+      .map(({ operation, attempt, runAt }) => ({ operation, attempt, runAt }))
+      .sort((a, b) => a.runAt - b.runAt);
+  }
+
+  /**
+   * Whether an attempt of an operation is waiting for its timer or its turn
+   * @param {string} operationName - Operation name
+   * @returns {boolean} True if a retry is scheduled
+   */
+  function isScheduled(operationName) {
+    return [...pending.values()].some((entry) => entry.operation.name === operationName);
+  }
+
+  /**
+   * Cancel every attempt that has not started (running attempts finish normally)
+   * @returns {number} Number of cancelled attempts
+   */
+  function cancelAll() {
+    const cancelled = pending.size;
+    pending.forEach((entry) => clearTimeout(entry.timer));
+    pending.clear();
+    notifyIfIdle();
+    return cancelled;
+  }
+
+  /**
+   * Wait until every scheduled attempt (including ones scheduled by retries) has finished
+   * @returns {Promise<void>}
+   */
+  function waitForAll() {
+    return new Promise((resolve) => {
+      idleWaiters.push(resolve);
+      notifyIfIdle();
+    });
+  }
+
+  return { schedule, pendingCount, listPending, isScheduled, cancelAll, waitForAll };
+}
+
+export default {
+  getRetryPolicy,
+  shouldRetry,
+  createRetryScheduler,
+};
@@ -0,0 +1,277 @@
+// Route registry: the routes Across actually supports, from its available-routes API,
+// cached on disk and merged with the local TOKENS table
+import fs from 'fs';
+import axios from 'axios';
+import { TOKENS, OPTIONS } from './config.js';
+
+// Symbols the API may use for a token of the local table (ETH routes are listed as ETH and WETH)
+const SYMBOL_ALIASES = {
+  ETH: ['ETH', 'WETH'],
+};
+
+// Routes in use: { source: "api" | "cache", fetchedAt, routes, chainIds }
+let registry = null;
+
+// Load in progress, shared by callers asking at the same time
+let pendingLoad = null;
+
+function getSettings() {
+  return OPTIONS.routes || {};
+}
+
+/**
+ * Convert a route from the available-routes API into the registry's format
+ * @param {Object} route - API route
+ * @returns {Object} { originChainId, destinationChainId, originToken, destinationToken, originTokenSymbol, destinationTokenSymbol, isNative }
+ */
+export function normalizeRoute(route) {
+  return {
+    originChainId: Number(route.originChainId),
+    destinationChainId: Number(route.destinationChainId),
+    originToken: route.originToken,
+    destinationToken: route.destinationToken,
+    originTokenSymbol: route.originTokenSymbol || null,
+    destinationTokenSymbol: route.destinationTokenSymbol || null,
+    isNative: Boolean(route.isNative),
+  };
+}
+
+// Build the in-memory registry from a list of routes
+function useRoutes(source, fetchedAt, routes) {
+  const chainIds = new Set();
+  routes.forEach((route) => {
+    chainIds.add(route.originChainId);
+    chainIds.add(route.destinationChainId);
+  });
+  registry = { source, fetchedAt, routes, chainIds };
+  return registry;
+}
+
+/**
+ * Read the route cache file
+ * @param {string} filePath - Cache file path
+ * @returns {Object|null} { fetchedAt, routes }, or null when there is no readable cache
+ */
+export function readRouteCache(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+
+  try {
+    const cache = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(cache.routes) || !cache.fetchedAt) return null;
+    return { fetchedAt: cache.fetchedAt, routes: cache.routes.map(normalizeRoute) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetch the routes Across supports
+ * @param {string} apiUrl - available-routes endpoint
+ * @returns {Promise<Array>} Normalized routes
+ */
+export async function fetchRoutes(apiUrl) {
+  const response = await axios.get(apiUrl, { timeout: 15000 });
+  if (!Array.isArray(response.data)) {
+    throw new Error(`Unexpected response from ${apiUrl}`);
+  }
+  return response.data.map(normalizeRoute);
+}
+
+/**
+ * Load the route registry. A cache younger than ttlSeconds is used as is; otherwise the
+ * routes are fetched and cached, falling back to an older cache when the API cannot be
+ * reached. In offline mode only the cache is used.
+ * @param {Object} [params] - Load options
+ * @param {boolean} [params.force] - Fetch even when the cache is fresh
+ * @param {Function} [params.log] - Logger for fetch failures and fallbacks
+ * @returns {Promise<Object|null>} { source, fetchedAt, count }, or null without a registry
+ */
+export async function loadRoutes({ force = false, log = () => {} } = {}) {
+  const settings = getSettings();
+  if (settings.enabled === false) return null;
+
+  const ttlMs = (settings.ttlSeconds ?? 86400) * 1000;
+  const isFresh = (fetchedAt) => Date.now() - new Date(fetchedAt).getTime() < ttlMs;
+
+  // Routes already loaded by this process
+  if (!force && registry && (settings.offline || isFresh(registry.fetchedAt))) {
+    return describeRegistry();
+  }
+  if (pendingLoad) return pendingLoad;
+
+  pendingLoad = (async () => {
+    const cache = readRouteCache(settings.cacheFile);
+
+    if (settings.offline) {
+      if (!cache) {
+        log(`Warning: Offline mode and no route cache at ${settings.cacheFile}; using the TOKENS table`);
+        return null;
+      }
+      useRoutes('cache', cache.fetchedAt, cache.routes);
+      return describeRegistry();
+    }
+
+    if (cache && !force && isFresh(cache.fetchedAt)) {
+      useRoutes('cache', cache.fetchedAt, cache.routes);
+      return describeRegistry();
+    }
+
+    try {
+      const routes = await fetchRoutes(settings.apiUrl);
+      const fetchedAt = new Date().toISOString();
+      useRoutes('api', fetchedAt, routes);
+      if (settings.cacheFile) {
+        fs.writeFileSync(settings.cacheFile, JSON.stringify({ fetchedAt, apiUrl: settings.apiUrl, routes }, null, 2));
+      }
+    } catch (error) {
+      if (cache) {
+        log(`Warning: Could not fetch Across routes (${error.message}); using the cache from ${cache.fetchedAt}`);
+        useRoutes('cache', cache.fetchedAt, cache.routes);
+      } else {
+        log(`Warning: Could not fetch Across routes (${error.message}); using the TOKENS table`);
+        return null;
+      }
+    }
+    return describeRegistry();
+  })();
+
+  try {
+    return await pendingLoad;
+  } finally {
+    pendingLoad = null;
+  }
+}
+
+/**
+ * The routes in use, reading the cache file when nothing has been loaded yet
+ * @returns {Object|null} Registry, or null when the registry is off or has no routes
+ */
+function getRegistry() {
+  const settings = getSettings();
+  if (settings.enabled === false) return null;
+
+  if (!registry) {
+    const cache = readRouteCache(settings.cacheFile);
+    if (cache) useRoutes('cache', cache.fetchedAt, cache.routes);
+  }
+  return registry;
+}
+
+/**
+ * Describe the routes in use
+ * @returns {Object|null} { source, fetchedAt, count }, or null without a registry
+ */
+export function describeRegistry() {
+  const current = getRegistry();
+  return current ? { source: current.source, fetchedAt: current.fetchedAt, count: current.routes.length } : null;
+}
+
+// Whether a token of a route is the given symbol: by its TOKENS address when the table has
+// one for the chain, otherwise by the symbol the API lists
+function isToken(tokenSymbol, chainId, address, apiSymbol) {
+  const local = TOKENS[tokenSymbol]?.[chainId];
+  if (local) {
+    return local.toLowerCase() === String(address).toLowerCase();
+  }
+  return (SYMBOL_ALIASES[tokenSymbol] || [tokenSymbol]).includes(apiSymbol);
+}
+
+/**
+ * Routes Across supports for a token, merged with the local table
+ * @param {string} tokenSymbol - Token symbol
+ * @returns {Array|null} [{ originChainId, destinationChainId, tokenSymbol, inputToken, outputToken }],
+ *   or null without a registry
+ */
+export function findRegistryRoutes(tokenSymbol) {
+  const current = getRegistry();
+  if (!current) return null;
+
+  const seen = new Set();
+  return current.routes
+    .filter(
+      (route) =>
+        isToken(tokenSymbol, route.originChainId, route.originToken, route.originTokenSymbol) &&
+        isToken(tokenSymbol, route.destinationChainId, route.destinationToken, route.destinationTokenSymbol)
+    )
+    .filter((route) => {
+      const key = `${route.originChainId}-${route.destinationChainId}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((route) => ({
+      originChainId: route.originChainId,
+      destinationChainId: route.destinationChainId,
+      tokenSymbol,
+      inputToken: route.originToken,
+      outputToken: route.destinationToken,
+    }));
+}
+
+/**
+ * Look up the route for a token between two chains
+ * @param {string} tokenSymbol - Token symbol
+ * @param {number} originChainId - Origin chain ID
+ * @param {number} destinationChainId - Destination chain ID
+ * @returns {Object|null|undefined} The route, undefined when Across does not support it, or null
+ *   when the registry cannot tell (no registry, or a chain the API does not list, such as a local dev chain)
+ */
+export function findRegistryRoute(tokenSymbol, originChainId, destinationChainId) {
+  const current = getRegistry();
+  if (!current) return null;
+  if (!current.chainIds.has(Number(originChainId)) || !current.chainIds.has(Number(destinationChainId))) {
+    return null;
+  }
+
+  return findRegistryRoutes(tokenSymbol).find(
+    (route) => route.originChainId === Number(originChainId) && route.destinationChainId === Number(destinationChainId)
+  );
+}
+
+/**
+ * Look up a route by the address of its input token
+ * @param {string} inputToken - Input token address on the origin chain
+ * @param {number} originChainId - Origin chain ID
+ * @param {number} destinationChainId - Destination chain ID
+ * @param {string} [outputToken] - Preferred output token, when the input token has several routes
+ * @returns {Object|null|undefined} { originChainId, destinationChainId, inputToken, outputToken, tokenSymbol },
+ *   undefined when Across does not support it, or null when the registry cannot tell
+ */
+export function findRegistryRouteByToken(inputToken, originChainId, destinationChainId, outputToken) {
+  const current = getRegistry();
+  if (!current) return null;
+  if (!current.chainIds.has(Number(originChainId)) || !current.chainIds.has(Number(destinationChainId))) {
+    return null;
+  }
+
+  const sameAddress = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+  const candidates = current.routes.filter(
+    (route) =>
+      route.originChainId === Number(originChainId) &&
+      route.destinationChainId === Number(destinationChainId) &&
+      sameAddress(route.originToken, inputToken)
+  );
+  const route =
+    (outputToken && candidates.find((candidate) => sameAddress(candidate.destinationToken, outputToken))) ||
+    candidates[0];
+  if (!route) return undefined;
+
+  return {
+    originChainId: route.originChainId,
+    destinationChainId: route.destinationChainId,
+    tokenSymbol: route.originTokenSymbol,
+    inputToken: route.originToken,
+    outputToken: route.destinationToken,
+  };
+}
+
+export default {
+  normalizeRoute,
+  readRouteCache,
+  fetchRoutes,
+  loadRoutes,
+  describeRegistry,
+  findRegistryRoutes,
+  findRegistryRoute,
+  findRegistryRouteByToken,
+};
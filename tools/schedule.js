@@ -0,0 +1,327 @@
+// Operation schedules for daemon mode: cron expressions, fixed intervals and time windows (local time)
+
+// Cron fields in order, with their allowed ranges
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 7 is also Sunday, so ranges such as 1-7 may end on it
+  { name: 'day of week', min: 0, max: 6, rangeMax: 7 },
+];
+
+// Day names accepted in time windows and cron expressions (0 = Sunday)
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// How far ahead to search for the next run before giving up
+const SEARCH_LIMIT_DAYS = 366 * 5;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} text - Field text, e.g. "*", "5", "1-5", "*\/15", "mon-fri"
+ * @param {Object} field - Field definition from CRON_FIELDS
+ * @returns {Set<number>} Matching values
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+  const toNumber = (value) => {
+    const dayIndex = field.name === 'day of week' ? DAY_NAMES.indexOf(value.toLowerCase()) : -1;
+    const number = dayIndex >= 0 ? dayIndex : Number(value);
+    if (!Number.isInteger(number)) {
+      throw new Error(`Invalid ${field.name} "${value}"`);
+    }
+    return number;
+  };
+  const rangeMax = field.rangeMax ?? field.max;
+
+  text.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(toNumber);
+    } else {
+      start = toNumber(range);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start < field.min || end > rangeMax || start > end) {
+      throw new Error(`${field.name} "${part}" is outside ${field.min}-${rangeMax}`);
+    }
+
+    // Values past max (day of week 7) wrap around to min (Sunday)
+    for (let value = start; value <= end; value += step) {
+      values.add(value > field.max ? field.min : value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression ("minute hour day-of-month month day-of-week")
+ * @param {string} expression - Cron expression, e.g. "0 *\/6 * * *"
+ * @returns {Object} Parsed expression with a set of values per field
+ */
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) =>
+    parseCronField(part, CRON_FIELDS[index])
+  );
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either one may match
+    anyDay: parts[2] !== '*' && parts[4] !== '*',
+  };
+}
+
+/**
+ * Find the first time after `from` that matches a cron expression
+ * @param {Object} cron - Parsed expression from parseCron
+ * @param {Date} from - Search start (exclusive)
+ * @returns {Date|null} Next matching minute, or null if none within the search limit
+ */
+function nextCronTime(cron, from) {
+  const time = new Date(from.getTime());
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+  const limit = from.getTime() + SEARCH_LIMIT_DAYS * DAY_MS;
+
+  const dayMatches = (date) => {
+    const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+    const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+    return cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+  };
+
+  while (time.getTime() <= limit) {
+    if (!cron.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} text - Time of day
+ * @returns {number} Minutes after midnight
+ */
+function parseTimeOfDay(text) {
+  const match = String(text).match(/^(\d{1,2}):(\d{2})$/);
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new Error(`Invalid time "${text}" (expected HH:MM)`);
+  }
+  return minutes;
+}
+
+/**
+ * Start and end of a time window on the day that `day` falls on
+ * Windows whose end is not after their start run past midnight
+ * @param {Object} window - { start: "HH:MM", end: "HH:MM", days?: ["mon", ...] }
+ * @param {Date} day - Any time on the day
+ * @returns {Object|null} { start, end } as Dates, or null if the window is not open that day
+ */
+function windowOnDay(window, day) {
+  if (window.days && !window.days.map((name) => name.toLowerCase()).includes(DAY_NAMES[day.getDay()])) {
+    return null;
+  }
+
+  const midnight = new Date(day.getTime());
+  midnight.setHours(0, 0, 0, 0);
+
+  const startMinutes = parseTimeOfDay(window.start);
+  let endMinutes = parseTimeOfDay(window.end);
+  if (endMinutes <= startMinutes) {
+    endMinutes += 24 * 60;
+  }
+
+  const start = new Date(midnight.getTime());
+  start.setMinutes(startMinutes);
+  const end = new Date(midnight.getTime());
+  end.setMinutes(endMinutes);
+  return { start, end };
+}
+
+/**
+ * Find the window that contains a time
+ * @param {Array} windows - Time windows
+ * @param {Date} time - Time to check
+ * @returns {Object|null} { start, end } of the open window, or null
+ */
+function openWindowAt(windows, time) {
+  for (const window of windows) {
+    // Check the previous day too, for windows that run past midnight
+    for (const offset of [0, -1]) {
+      const day = new Date(time.getTime());
+      day.setDate(day.getDate() + offset);
+      const open = windowOnDay(window, day);
+      if (open && open.start <= time && time < open.end) {
+        return open;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the next time a window opens after `from`
+ * @param {Array} windows - Time windows
+ * @param {Date} from - Search start (exclusive)
+ * @returns {Date|null} Next window start, or null if no window ever opens
+ */
+function nextWindowStart(windows, from) {
+  let earliest = null;
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(from.getTime());
+    day.setDate(day.getDate() + offset);
+    windows.forEach((window) => {
+      const open = windowOnDay(window, day);
+      if (open && open.start > from && (!earliest || open.start < earliest)) {
+        earliest = open.start;
+      }
+    });
+  }
+
+  return earliest;
+}
+
+/**
+ * Check whether a schedule is valid
+ * @param {Object} schedule - { cron?, intervalMinutes?, windows? }
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateSchedule(schedule) {
+  const problems = [];
+
+  if (schedule.cron === undefined && schedule.intervalMinutes === undefined && schedule.windows === undefined) {
+    problems.push('needs a cron expression, intervalMinutes or windows');
+  }
+  if (schedule.cron !== undefined && schedule.intervalMinutes !== undefined) {
+    problems.push('cannot have both cron and intervalMinutes');
+  }
+  if (schedule.cron !== undefined) {
+    try {
+      parseCron(schedule.cron);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+  (schedule.windows || []).forEach((window) => {
+    [window.start, window.end]
+      .filter((time) => time !== undefined)
+      .forEach((time) => {
+        try {
+          parseTimeOfDay(time);
+        } catch (error) {
+          problems.push(error.message);
+        }
+      });
+    if (window.days && window.days.length === 0) {
+      problems.push('window days must not be empty');
+    }
+    (window.days || []).forEach((day) => {
+      if (!DAY_NAMES.includes(String(day).toLowerCase())) {
+        problems.push(`Invalid day "${day}" (use ${DAY_NAMES.join(', ')})`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Work out when a scheduled operation should next run
+ * - cron: the next matching minute (inside a window, if windows are set)
+ * - intervalMinutes: immediately on the first run, then every interval (moved into the next window if needed)
+ * - windows only: once each time a window opens (immediately if one is open and has not run yet)
+ * @param {Object} schedule - { cron?, intervalMinutes?, windows? }
+ * @param {Object} params - Scheduling state
+ * @param {Date} params.now - Current time
+ * @param {Date|null} [params.lastRunAt=null] - When the operation last started
+ * @returns {Date|null} Next run time, or null if the schedule never fires again
+ */
+export function getNextRunTime(schedule, { now, lastRunAt = null }) {
+  const windows = schedule.windows && schedule.windows.length > 0 ? schedule.windows : null;
+
+  if (schedule.cron !== undefined) {
+    const cron = parseCron(schedule.cron);
+    const limit = now.getTime() + SEARCH_LIMIT_DAYS * DAY_MS;
+    let candidate = nextCronTime(cron, now);
+    while (candidate && windows && !openWindowAt(windows, candidate)) {
+      candidate = candidate.getTime() < limit ? nextCronTime(cron, candidate) : null;
+    }
+    return candidate;
+  }
+
+  if (schedule.intervalMinutes !== undefined) {
+    let candidate = lastRunAt ? new Date(lastRunAt.getTime() + schedule.intervalMinutes * MINUTE_MS) : now;
+    if (candidate < now) {
+      candidate = now;
+    }
+    if (windows && !openWindowAt(windows, candidate)) {
+      candidate = nextWindowStart(windows, candidate);
+    }
+    return candidate;
+  }
+
+  const open = openWindowAt(windows, now);
+  if (open && (!lastRunAt || lastRunAt < open.start)) {
+    return now;
+  }
+  return nextWindowStart(windows, now);
+}
+
+/**
+ * Describe a schedule for logs
+ * @param {Object} schedule - { cron?, intervalMinutes?, windows? }
+ * @returns {string} Description such as "every 30 min, 09:00-17:00 mon,tue"
+ */
+export function describeSchedule(schedule) {
+  const parts = [];
+  if (schedule.cron !== undefined) parts.push(`cron "${schedule.cron}"`);
+  if (schedule.intervalMinutes !== undefined) parts.push(`every ${schedule.intervalMinutes} min`);
+  (schedule.windows || []).forEach((window) => {
+    parts.push(`${window.start}-${window.end}${window.days ? ` ${window.days.join(',')}` : ''}`);
+  });
+  return parts.join(', ');
+}
+
+export default {
+  parseCron,
+  validateSchedule,
+  getNextRunTime,
+  describeSchedule,
+};
@@ -0,0 +1,188 @@
+// Quote threshold rules: every rule that is set is checked against the quote
+import { parseUnits, formatUnits } from 'viem';
+
+// Convert a limit in token units to base units
+function toUnits(limit, decimals) {
+  return parseUnits(String(limit), decimals);
+}
+
+// Rule on a USD value of the quote. It fails when the value is unknown (no price, or
+// no gas estimate), so a dollar limit is never skipped silently.
+function usdRule(rule, label, field, kind) {
+  return {
+    rule,
+    label,
+    evaluate: ({ usd }, limit) => {
+      const value = usd?.[field] ?? null;
+      const bound = `${kind === 'min' ? 'minimum' : 'maximum'}: $${limit}`;
+      if (value === null) {
+        return { value, passed: false, text: `unknown, no USD value (${bound})` };
+      }
+      return {
+        value,
+        passed: kind === 'min' ? value >= limit : value <= limit,
+        text: `$${value.toFixed(2)} (${bound})`,
+      };
+    },
+  };
+}
+
+// Decimals of the output token, which is the input token unless the operation picks another
+function outputDecimalsOf({ decimals, outputDecimals }) {
+  return outputDecimals ?? decimals;
+}
+
+// Relay fee, LP fee and origin gas together in base units, or null without a gas cost
+function totalCost({ relayFee, lpFee, gasCost }) {
+  return gasCost === null || gasCost === undefined ? null : relayFee + lpFee + gasCost;
+}
+
+// Rules in the order they are reported. Each one returns the quote's value, whether it
+// passes and a description of both for the log.
+const RULES = [
+  {
+    rule: 'minOutputPercentage',
+    label: 'Output percentage',
+    evaluate: ({ inputAmount, outputAmount }, limit, token) => {
+      // Compared in token units, since the output token may have other decimals
+      const ratio =
+        Number(formatUnits(outputAmount, outputDecimalsOf(token))) / Number(formatUnits(inputAmount, token.decimals));
+      return {
+        value: ratio,
+        passed: ratio >= limit,
+        text: `${(ratio * 100).toFixed(4)}% (minimum: ${limit * 100}%)`,
+      };
+    },
+  },
+  {
+    rule: 'minOutputAmount',
+    label: 'Output amount',
+    evaluate: ({ outputAmount }, limit, token) => {
+      const decimals = outputDecimalsOf(token);
+      const symbol = token.outputSymbol || token.tokenSymbol;
+      return {
+        value: formatUnits(outputAmount, decimals),
+        passed: outputAmount >= toUnits(limit, decimals),
+        text: `${formatUnits(outputAmount, decimals)} ${symbol} (minimum: ${limit} ${symbol})`,
+      };
+    },
+  },
+  {
+    rule: 'maxRelayFee',
+    label: 'Relay fee',
+    evaluate: ({ relayFee }, limit, { decimals, tokenSymbol }) => ({
+      value: formatUnits(relayFee, decimals),
+      passed: relayFee <= toUnits(limit, decimals),
+      text: `${formatUnits(relayFee, decimals)} ${tokenSymbol} (maximum: ${limit} ${tokenSymbol})`,
+    }),
+  },
+  {
+    rule: 'maxLpFee',
+    label: 'LP fee',
+    evaluate: ({ lpFee }, limit, { decimals, tokenSymbol }) => ({
+      value: formatUnits(lpFee, decimals),
+      passed: lpFee <= toUnits(limit, decimals),
+      text: `${formatUnits(lpFee, decimals)} ${tokenSymbol} (maximum: ${limit} ${tokenSymbol})`,
+    }),
+  },
+  {
+    rule: 'maxFeeBps',
+    label: 'Total fee',
+    evaluate: ({ inputAmount, relayFee, lpFee }, limit) => {
+      const bps = (Number(relayFee + lpFee) / Number(inputAmount)) * 10000;
+      return {
+        value: bps,
+        passed: bps <= limit,
+        text: `${bps.toFixed(2)} bps (maximum: ${limit} bps)`,
+      };
+    },
+  },
+  {
+    rule: 'maxTotalCost',
+    label: 'Total cost with gas',
+    evaluate: (quote, limit, { decimals, tokenSymbol }) => {
+      const total = totalCost(quote);
+      if (total === null) {
+        return { value: null, passed: false, text: `unknown, no gas cost (maximum: ${limit} ${tokenSymbol})` };
+      }
+      return {
+        value: formatUnits(total, decimals),
+        passed: total <= toUnits(limit, decimals),
+        text: `${formatUnits(total, decimals)} ${tokenSymbol} (maximum: ${limit} ${tokenSymbol})`,
+      };
+    },
+  },
+  {
+    rule: 'maxTotalCostBps',
+    label: 'Total cost with gas',
+    evaluate: (quote, limit) => {
+      const total = totalCost(quote);
+      if (total === null) {
+        return { value: null, passed: false, text: `unknown, no gas cost (maximum: ${limit} bps)` };
+      }
+      const bps = (Number(total) / Number(quote.inputAmount)) * 10000;
+      return {
+        value: bps,
+        passed: bps <= limit,
+        text: `${bps.toFixed(2)} bps (maximum: ${limit} bps)`,
+      };
+    },
+  },
+  usdRule('minOutputUsd', 'Output (USD)', 'output', 'min'),
+  usdRule('maxRelayFeeUsd', 'Relay fee (USD)', 'relayFee', 'max'),
+  usdRule('maxLpFeeUsd', 'LP fee (USD)', 'lpFee', 'max'),
+  usdRule('maxFeeUsd', 'Relay + LP fee (USD)', 'fees', 'max'),
+  usdRule('maxGasUsd', 'Origin gas (USD)', 'gas', 'max'),
+  usdRule('maxTotalCostUsd', 'Total cost with gas (USD)', 'totalCost', 'max'),
+  {
+    rule: 'maxFillTimeSeconds',
+    label: 'Fill time',
+    evaluate: ({ estimatedFillTimeSec }, limit) => ({
+      value: estimatedFillTimeSec,
+      passed: estimatedFillTimeSec <= limit,
+      text: `${estimatedFillTimeSec}s (maximum: ${limit}s)`,
+    }),
+  },
+];
+
+// Names of the rules that can be set in THRESHOLDS or an operation's thresholds
+export const THRESHOLD_RULES = RULES.map(({ rule }) => rule);
+
+// Rules that need USD prices
+export const USD_THRESHOLD_RULES = THRESHOLD_RULES.filter((rule) => rule.endsWith('Usd'));
+
+/**
+ * Check a quote against threshold rules. Rules that are not set are skipped.
+ * @param {Object} quote - Quote amounts in base units
+ * @param {bigint} quote.inputAmount - Amount deposited
+ * @param {bigint} quote.outputAmount - Amount received
+ * @param {bigint} quote.relayFee - Total relay fee
+ * @param {bigint} quote.lpFee - LP fee
+ * @param {bigint|null} [quote.gasCost] - Estimated origin gas converted to the input token (null when unknown)
+ * @param {number} quote.estimatedFillTimeSec - Estimated fill time
+ * @param {Object} [quote.usd] - USD values { input, output, relayFee, lpFee, fees, gas, totalCost } (null where unknown)
+ * @param {Object} thresholds - Rule limits by rule name (fees and amounts in token units, the
+ *   output amount in output token units)
+ * @param {Object} token - { decimals, tokenSymbol } of the input token, with { outputDecimals, outputSymbol }
+ *   when the output token differs
+ * @returns {Object} { passed, checks: [{ rule, label, value, limit, passed, text }], blockedBy: [rule names] }
+ */
+export function evaluateThresholds(quote, thresholds, token) {
+  const checks = RULES.filter(({ rule }) => thresholds[rule] !== undefined && thresholds[rule] !== null).map(
+    ({ rule, label, evaluate }) => ({
+      rule,
+      label,
+      limit: thresholds[rule],
+      ...evaluate(quote, thresholds[rule], token),
+    })
+  );
+  const blockedBy = checks.filter((check) => !check.passed).map((check) => check.rule);
+
+  return { passed: blockedBy.length === 0, checks, blockedBy };
+}
+
+export default {
+  THRESHOLD_RULES,
+  USD_THRESHOLD_RULES,
+  evaluateThresholds,
+};
@@ -0,0 +1,109 @@
+// Token metadata read from the token contracts: decimals and symbol per chain, checked
+// against the configured values so amounts are never parsed with the wrong decimals
+import { parseAbi, getAddress } from 'viem';
+
+// The parts of the ERC-20 interface that are read
+const METADATA_ABI = parseAbi(['function decimals() view returns (uint8)', 'function symbol() view returns (string)']);
+
+// Contract symbols that stand for a configured symbol: ETH is bridged as WETH, and bridged
+// USDC goes by USDC.e or USDbC
+const SYMBOL_ALIASES = {
+  ETH: ['WETH'],
+  USDC: ['USDC.e', 'USDbC'],
+};
+
+/**
+ * Raised when the configuration and the token contract disagree
+ */
+export class TokenMetadataError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenMetadataError';
+  }
+}
+
+/**
+ * Check whether a contract's symbol matches a configured symbol (case-insensitive, with aliases)
+ * @param {string} configured - Symbol in the config
+ * @param {string} onChain - Symbol returned by the contract
+ * @returns {boolean} Whether they name the same token
+ */
+export function symbolsMatch(configured, onChain) {
+  const candidates = [configured, ...(SYMBOL_ALIASES[configured] || [])];
+  return candidates.some((symbol) => symbol.toLowerCase() === onChain.toLowerCase());
+}
+
+/**
+ * Create a token metadata lookup. Metadata never changes, so it is cached for the
+ * lifetime of the process; failed reads are tried again next time.
+ * @param {Object} params - Dependencies
+ * @param {Function} params.getPublicClient - (chainId) => viem public client
+ * @returns {Object} { getMetadata(address, chainId), resolve({ address, chainId, symbol, decimals }) }
+ */
+export function createTokenMetadata({ getPublicClient }) {
+  const cache = new Map();
+
+  async function read(address, chainId) {
+    const publicClient = getPublicClient(Number(chainId));
+    const decimals = await publicClient.readContract({ address, abi: METADATA_ABI, functionName: 'decimals' });
+    // Some older tokens return their symbol as bytes32, which is left unchecked
+    const symbol = await publicClient
+      .readContract({ address, abi: METADATA_ABI, functionName: 'symbol' })
+      .catch(() => null);
+
+    return { address, chainId: Number(chainId), decimals: Number(decimals), symbol };
+  }
+
+  /**
+   * Read a token's decimals and symbol
+   * @param {string} address - Token address
+   * @param {number} chainId - Chain the token is on
+   * @returns {Promise<Object>} { address, chainId, decimals, symbol } (symbol is null when unreadable)
+   */
+  function getMetadata(address, chainId) {
+    const key = `${Number(chainId)}:${getAddress(address)}`;
+    if (!cache.has(key)) {
+      const pending = read(getAddress(address), chainId).catch((error) => {
+        cache.delete(key);
+        throw error;
+      });
+      cache.set(key, pending);
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Read a token's metadata and check it against the configured symbol and decimals
+   * @param {Object} token - What the config says about the token
+   * @param {string} token.address - Token address
+   * @param {number} token.chainId - Chain the token is on
+   * @param {string} [token.symbol] - Configured symbol
+   * @param {number} [token.decimals] - Configured decimals
+   * @returns {Promise<Object>} { address, chainId, decimals, symbol }
+   * @throws {TokenMetadataError} When the contract disagrees with the config
+   */
+  async function resolve({ address, chainId, symbol, decimals }) {
+    const metadata = await getMetadata(address, chainId);
+    const name = symbol ? `${symbol} (${metadata.address})` : metadata.address;
+
+    if (decimals !== undefined && decimals !== null && Number(decimals) !== metadata.decimals) {
+      throw new TokenMetadataError(
+        `${name} on chain ${metadata.chainId} has ${metadata.decimals} decimals, but the config says ${decimals}`
+      );
+    }
+    if (symbol && metadata.symbol && !symbolsMatch(symbol, metadata.symbol)) {
+      throw new TokenMetadataError(
+        `${metadata.address} on chain ${metadata.chainId} is ${metadata.symbol}, but the config says ${symbol}`
+      );
+    }
+    return metadata;
+  }
+
+  return { getMetadata, resolve };
+}
+
+export default {
+  TokenMetadataError,
+  symbolsMatch,
+  createTokenMetadata,
+};